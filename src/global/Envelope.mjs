@@ -0,0 +1,76 @@
+import { isJsonObject } from 'tiny-essentials';
+
+/**
+ * Version of the event envelope protocol.
+ * Increase it when the envelope format changes in an incompatible way.
+ *
+ * @type {number}
+ */
+export const EnvelopeVersion = 1;
+
+/**
+ * Payload wrapper of the `AppEvents` messages sent from the main process to a window.
+ *
+ * @typedef {Object} EventEnvelope
+ * @property {any} value - The event value.
+ * @property {number} time - Time when the envelope was created (ms since epoch). Only informative.
+ * @property {number} seq - Monotonic sequence number, unique per target window. Used to drop stale events.
+ * @property {number} version - Version of the envelope protocol (see `EnvelopeVersion`).
+ * @property {number|null} source - Id of the window that produced the event, or `null` if it came from the app.
+ */
+
+/**
+ * Sequence counters of every target, used by `nextEnvelopeSeq`.
+ * @type {WeakMap<object, number>}
+ */
+const sequences = new WeakMap();
+
+/**
+ * Returns the next sequence number of a target.
+ *
+ * The counter is kept per target object (usually the `webContents` of a window),
+ * so events sent to the same window from different places share a single sequence.
+ *
+ * @param {object} target - The object that identifies the target window.
+ * @returns {number} A number greater than every number returned before for this target.
+ */
+export function nextEnvelopeSeq(target) {
+  if (typeof target !== 'object' || target === null)
+    throw new TypeError('Envelope error: "target" must be an object');
+  const seq = (sequences.get(target) ?? 0) + 1;
+  sequences.set(target, seq);
+  return seq;
+}
+
+/**
+ * Creates an event envelope.
+ *
+ * @param {any} value - The event value.
+ * @param {number} seq - The sequence number of the envelope.
+ * @param {number|null} [source=null] - Id of the window that produced the event.
+ * @returns {EventEnvelope}
+ * @throws {TypeError} If the sequence number or the source are invalid.
+ */
+export function createEnvelope(value, seq, source = null) {
+  if (!Number.isSafeInteger(seq) || seq < 1)
+    throw new TypeError('Envelope error: "seq" must be a positive integer');
+  if (source !== null && !Number.isSafeInteger(source))
+    throw new TypeError('Envelope error: "source" must be an integer or null');
+  return { value, time: Date.now(), seq, version: EnvelopeVersion, source };
+}
+
+/**
+ * Checks if a received message is an event envelope.
+ *
+ * @param {unknown} data - The received message.
+ * @returns {data is EventEnvelope}
+ */
+export function isEnvelope(data) {
+  return (
+    isJsonObject(data) &&
+    Number.isSafeInteger(data.seq) &&
+    /** @type {number} */ (data.seq) > 0 &&
+    Number.isSafeInteger(data.version) &&
+    (data.source === null || Number.isSafeInteger(data.source))
+  );
+}
@@ -49,6 +49,9 @@
  * @property {string} WindowMove                - Moves the window to a specified position on the screen.
  * @property {string} Resized                   - Fired after the window has been resized.
  * @property {string} WillResize                - Fired right before the window starts being resized.
+ * @property {string} WindowPort                - Delivers a MessagePort connected to another window.
+ * @property {string} WindowPortClose           - Closes a MessagePort connection between two windows.
+ * @property {string} WindowSubmitResult        - Submits the result of a child window to the window that opened it.
  */
 
 export const AppEvents = {
@@ -96,6 +99,9 @@ export const AppEvents = {
   Resized: 'resized',
   WillResize: 'will-resize',
   ShowApp: 'tiny-app-is-show',
+  WindowPort: 'tiny-window-port',
+  WindowPortClose: 'tiny-window-port-close',
+  WindowSubmitResult: 'tiny-window-submit-result',
 };
 
 /**
@@ -124,6 +130,13 @@ export const AppEvents = {
  * @property {string} Resized            - Emitted after the window resizing process completes.
  * @property {string} WillResize         - Emitted before the window starts resizing.
  * @property {string} WindowMove         - Emitted when the window is moved to a different screen position.
+ * @property {string} IpcAccessDenied    - Emitted when an IPC request is denied by the IPC policy.
+ * @property {string} WindowPort         - Emitted when a MessagePort connected to another window is received.
+ * @property {string} WindowPortClosed   - Emitted when a MessagePort connection between two windows is closed.
+ * @property {string} DbMigrationStart   - Emitted when a `TinyDbMigrator` starts to apply pending migrations.
+ * @property {string} DbMigrationProgress - Emitted after each migration applied by a `TinyDbMigrator`.
+ * @property {string} DbMigrationDone    - Emitted when a `TinyDbMigrator` finishes every pending migration.
+ * @property {string} DbMigrationError   - Emitted when a `TinyDbMigrator` fails to apply its migrations.
  */
 
 export const RootEvents = {
@@ -147,6 +160,13 @@ export const RootEvents = {
   DOMContentLoaded: 'DOMContentLoaded',
   ShowApp: 'ShowApp',
   WindowMove: 'WindowMove',
+  IpcAccessDenied: 'IpcAccessDenied',
+  WindowPort: 'WindowPort',
+  WindowPortClosed: 'WindowPortClosed',
+  DbMigrationStart: 'DbMigrationStart',
+  DbMigrationProgress: 'DbMigrationProgress',
+  DbMigrationDone: 'DbMigrationDone',
+  DbMigrationError: 'DbMigrationError',
 };
 
 /**
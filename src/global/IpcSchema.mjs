@@ -0,0 +1,270 @@
+import { isJsonObject } from 'tiny-essentials';
+
+/**
+ * The value types supported by an IPC schema.
+ *
+ * @typedef {'string'|'number'|'integer'|'boolean'|'object'|'array'|'null'|'undefined'|'any'} IpcSchemaType
+ */
+
+/**
+ * A declarative description of an IPC payload.
+ *
+ * @typedef {Object} IpcSchema
+ * @property {IpcSchemaType|IpcSchemaType[]} [type] - Accepted type (or list of types) of the value.
+ * @property {any[]} [enum] - List of accepted values, compared with `===`.
+ * @property {number} [minLength] - Minimum length of a string or array.
+ * @property {number} [maxLength] - Maximum length of a string or array.
+ * @property {number} [min] - Minimum value of a number.
+ * @property {number} [max] - Maximum value of a number.
+ * @property {Record<string, IpcSchema>} [properties] - Schemas of the object properties.
+ * @property {string[]} [required] - Names of the object properties that must be defined.
+ * @property {boolean} [additionalProperties=true] - If `false`, properties that are not listed in `properties` are rejected.
+ * @property {IpcSchema} [items] - Schema of every array item.
+ */
+
+/**
+ * A single problem found while validating a value.
+ *
+ * @typedef {Object} IpcSchemaIssue
+ * @property {string} path - Path of the invalid value (e.g. `payload.user.name`).
+ * @property {string} message - Human readable description of the problem.
+ */
+
+/**
+ * The error created when an IPC payload does not match its schema.
+ *
+ * @typedef {import('./Utils.mjs').ErrorParsed & {
+ *   code: 'EVALIDATION',
+ *   data: { channel: string, issues: IpcSchemaIssue[] }
+ * }} IpcValidationError
+ */
+
+/** @type {IpcSchemaType[]} */
+const schemaTypes = [
+  'string',
+  'number',
+  'integer',
+  'boolean',
+  'object',
+  'array',
+  'null',
+  'undefined',
+  'any',
+];
+
+/**
+ * Returns the schema type of a value.
+ *
+ * @param {unknown} value
+ * @returns {IpcSchemaType}
+ */
+function getValueType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  if (typeof value === 'string' || typeof value === 'boolean' || typeof value === 'undefined')
+    return /** @type {IpcSchemaType} */ (typeof value);
+  if (isJsonObject(value)) return 'object';
+  return 'any';
+}
+
+/**
+ * Checks if a schema definition is valid.
+ *
+ * @param {IpcSchema} schema - The schema to check.
+ * @param {string} [path='schema'] - Path used in the error messages.
+ * @throws {TypeError} If the schema definition is invalid.
+ */
+export function checkSchema(schema, path = 'schema') {
+  if (!isJsonObject(schema)) throw new TypeError(`IPC schema error: "${path}" must be an object`);
+
+  if (typeof schema.type !== 'undefined') {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    for (const type of types)
+      if (!schemaTypes.includes(type))
+        throw new TypeError(`IPC schema error: "${path}.type" has an unknown type "${type}"`);
+  }
+
+  if (typeof schema.enum !== 'undefined' && !Array.isArray(schema.enum))
+    throw new TypeError(`IPC schema error: "${path}.enum" must be an array`);
+
+  for (const name of /** @type {const} */ (['minLength', 'maxLength', 'min', 'max'])) {
+    const value = schema[name];
+    if (typeof value !== 'undefined' && (typeof value !== 'number' || Number.isNaN(value)))
+      throw new TypeError(`IPC schema error: "${path}.${name}" must be a number`);
+  }
+
+  if (typeof schema.required !== 'undefined') {
+    if (!Array.isArray(schema.required) || schema.required.some((key) => typeof key !== 'string'))
+      throw new TypeError(`IPC schema error: "${path}.required" must be an array of strings`);
+  }
+
+  if (
+    typeof schema.additionalProperties !== 'undefined' &&
+    typeof schema.additionalProperties !== 'boolean'
+  )
+    throw new TypeError(`IPC schema error: "${path}.additionalProperties" must be a boolean`);
+
+  if (typeof schema.properties !== 'undefined') {
+    if (!isJsonObject(schema.properties))
+      throw new TypeError(`IPC schema error: "${path}.properties" must be an object`);
+    for (const [key, value] of Object.entries(schema.properties))
+      checkSchema(value, `${path}.properties.${key}`);
+  }
+
+  if (typeof schema.items !== 'undefined') checkSchema(schema.items, `${path}.items`);
+}
+
+/**
+ * Validates a value against a schema.
+ *
+ * @param {unknown} value - The value to validate.
+ * @param {IpcSchema} schema - The schema used in the validation.
+ * @param {string} [path='payload'] - Path of the value, used in the issues.
+ * @returns {IpcSchemaIssue[]} The list of problems found. An empty list means the value is valid.
+ */
+export function validateSchema(value, schema, path = 'payload') {
+  /** @type {IpcSchemaIssue[]} */
+  const issues = [];
+  const valueType = getValueType(value);
+
+  if (typeof schema.type !== 'undefined') {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const matches = types.some(
+      (type) =>
+        type === 'any' || type === valueType || (type === 'number' && valueType === 'integer'),
+    );
+    if (!matches) {
+      issues.push({ path, message: `Expected ${types.join(' or ')}, but got ${valueType}` });
+      return issues;
+    }
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.includes(value))
+    issues.push({
+      path,
+      message: `Expected one of ${schema.enum.map((item) => JSON.stringify(item)).join(', ')}`,
+    });
+
+  if (typeof value === 'string' || Array.isArray(value)) {
+    if (typeof schema.minLength === 'number' && value.length < schema.minLength)
+      issues.push({ path, message: `Length must be at least ${schema.minLength}` });
+    if (typeof schema.maxLength === 'number' && value.length > schema.maxLength)
+      issues.push({ path, message: `Length must be at most ${schema.maxLength}` });
+  }
+
+  if (typeof value === 'number') {
+    if (typeof schema.min === 'number' && value < schema.min)
+      issues.push({ path, message: `Value must be at least ${schema.min}` });
+    if (typeof schema.max === 'number' && value > schema.max)
+      issues.push({ path, message: `Value must be at most ${schema.max}` });
+  }
+
+  if (isJsonObject(value)) {
+    const properties = schema.properties ?? {};
+    if (Array.isArray(schema.required))
+      for (const key of schema.required)
+        if (typeof value[key] === 'undefined')
+          issues.push({ path: `${path}.${key}`, message: 'Property is required' });
+
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) {
+        if (typeof item !== 'undefined')
+          issues.push(...validateSchema(item, properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false)
+        issues.push({ path: `${path}.${key}`, message: 'Property is not allowed' });
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    const items = schema.items;
+    value.forEach((item, index) =>
+      issues.push(...validateSchema(item, items, `${path}[${index}]`)),
+    );
+  }
+
+  return issues;
+}
+
+/**
+ * Creates the structured error used when an IPC payload is invalid.
+ *
+ * The error has the name `IpcValidationError`, the code `EVALIDATION`, and
+ * keeps the channel and the list of issues in `data`, so it can be sent
+ * across processes with `serializeError()`.
+ *
+ * @param {string} channel - The channel that received the invalid payload.
+ * @param {IpcSchemaIssue[]} issues - The problems found in the payload.
+ * @returns {IpcValidationError}
+ */
+export function createValidationError(channel, issues) {
+  const details = issues.map((issue) => `${issue.path}: ${issue.message}`).join('; ');
+  /** @type {IpcValidationError} */
+  const error = Object.assign(
+    new Error(`Invalid payload for IPC channel "${channel}": ${details}`),
+    /** @type {const} */ ({ code: 'EVALIDATION', data: { channel, issues } }),
+  );
+  error.name = 'IpcValidationError';
+  return error;
+}
+
+/**
+ * Validates the payload of a channel and throws if it does not match the schema.
+ *
+ * @param {string} channel - The channel of the payload.
+ * @param {unknown} payload - The payload to validate.
+ * @param {IpcSchema} schema - The schema of the channel.
+ * @throws {IpcValidationError} If the payload is invalid.
+ */
+export function assertSchema(channel, payload, schema) {
+  const issues = validateSchema(payload, schema);
+  if (issues.length > 0) throw createValidationError(channel, issues);
+}
+
+/**
+ * Payload schemas of the built-in app events, indexed by the `AppEvents` keys.
+ *
+ * They are used by `TinyElectronRoot` to validate the requests received from the windows,
+ * and by `TinyElectronClient` to validate the requests before they are sent.
+ *
+ * @type {Record<string, IpcSchema>}
+ */
+export const AppEventSchemas = {
+  OpenDevTools: {
+    type: ['object', 'undefined', 'null'],
+    properties: {
+      mode: { type: 'string', enum: ['left', 'right', 'bottom', 'undocked', 'detach'] },
+      activate: { type: 'boolean' },
+      title: { type: 'string' },
+    },
+  },
+  SetTitle: { type: 'string' },
+  SystemIdleState: { type: 'integer', min: 0 },
+  ToggleVisible: { type: ['boolean', 'undefined'] },
+  SetProxy: {
+    type: 'object',
+    properties: {
+      mode: {
+        type: 'string',
+        enum: ['direct', 'auto_detect', 'pac_script', 'fixed_servers', 'system'],
+      },
+      pacScript: { type: 'string' },
+      proxyRules: { type: 'string' },
+      proxyBypassRules: { type: 'string' },
+    },
+  },
+  SetWindowIsMaximizable: { type: 'boolean' },
+  SetWindowIsClosable: { type: 'boolean' },
+  SetWindowIsFocusable: { type: 'boolean' },
+  SetWindowIsFullScreenable: { type: 'boolean' },
+  ChangeAppIcon: { type: 'string', minLength: 1 },
+  WindowPortClose: { type: 'string', minLength: 1 },
+  ChangeTrayIcon: {
+    type: 'object',
+    required: ['img', 'key'],
+    properties: {
+      img: { type: 'string', minLength: 1 },
+      key: { type: 'string', minLength: 1 },
+    },
+  },
+};
@@ -40,6 +40,27 @@ export function serializeError(error) {
   };
 }
 
+/**
+ * Normalizes any thrown value into an error object that can be serialized.
+ * Values that already look like errors are returned as they are.
+ *
+ * @param {unknown} err - The thrown value or rejection reason.
+ * @returns {ErrorParsed}
+ */
+export function toError(err) {
+  if (
+    typeof err === 'object' &&
+    err !== null &&
+    // @ts-ignore
+    typeof err.name === 'string' &&
+    // @ts-ignore
+    typeof err.message === 'string'
+  )
+    // @ts-ignore
+    return err;
+  return new Error(typeof err === 'string' ? err : String(err));
+}
+
 /**
  * Converts a plain JSON object back into an `Error` instance.
  * Useful for reconstructing errors received over IPC or network.
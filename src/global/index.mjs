@@ -1,6 +1,20 @@
 import { getDefaultWindowFrameRoot, getDefaultWindowFrameStyle, saveCssFile } from './CssFile.mjs';
 import { AppEvents, NotificationEvents, RootEvents } from './Events.mjs';
-import { deepClone, deserializeError, moveBodyContentTo, serializeError } from './Utils.mjs';
+import { createEnvelope, EnvelopeVersion, isEnvelope, nextEnvelopeSeq } from './Envelope.mjs';
+import {
+  AppEventSchemas,
+  assertSchema,
+  checkSchema,
+  createValidationError,
+  validateSchema,
+} from './IpcSchema.mjs';
+import {
+  deepClone,
+  deserializeError,
+  moveBodyContentTo,
+  serializeError,
+  toError,
+} from './Utils.mjs';
 
 export {
   saveCssFile,
@@ -8,9 +22,19 @@ export {
   getDefaultWindowFrameRoot,
   serializeError,
   deserializeError,
+  toError,
   deepClone,
   moveBodyContentTo,
   AppEvents,
   RootEvents,
   NotificationEvents,
+  AppEventSchemas,
+  checkSchema,
+  validateSchema,
+  assertSchema,
+  createValidationError,
+  EnvelopeVersion,
+  createEnvelope,
+  isEnvelope,
+  nextEnvelopeSeq,
 };
@@ -1,14 +1,277 @@
 import { BrowserWindow } from 'electron';
+import { isJsonObject } from 'tiny-essentials';
 import TinyIpcResponder from './TinyIpcResponder.mjs';
+import TinyElectronRoot from './TinyElectronRoot.mjs';
+import { checkSchema, createValidationError, validateSchema } from '../global/IpcSchema.mjs';
+import { serializeError, toError } from '../global/Utils.mjs';
+import TinyDbWriteQueue from './TinyDbWriteQueue.mjs';
 
 /**
  * A function that executes an SQL query against the database.
  * The query can be for fetching data (`SELECT`), modifying data (`UPDATE`, `INSERT`),
  * or any other valid SQL command depending on the method used.
  *
- * @typedef {(query: string, params: any[]) => any} QueryRequest
+ * The `signal` is aborted when the renderer aborts the request or its window is destroyed,
+ * so long running queries can be stopped early. The `context` is the transaction of the
+ * request (or `null`), so backends with many connections can run it in the right one.
+ *
+ * @typedef {(query: string, params: any[], signal: AbortSignal, context: TransactionContext|null) => any} QueryRequest
+ */
+
+/**
+ * A function that executes a query and returns its rows one by one, like the `iterate` of `better-sqlite3`.
+ * Used by the cursors, so big results are never loaded at once.
+ *
+ * @typedef {(query: string, params: any[], signal: AbortSignal, context: TransactionContext|null) => Iterable<any>|AsyncIterable<any>|Promise<Iterable<any>|AsyncIterable<any>>} IterateRequest
+ */
+
+/**
+ * A page of a cursor.
+ *
+ * @typedef {Object} CursorPage
+ * @property {any[]} rows - The rows of the page.
+ * @property {boolean} done - `true` if there are no more rows. The cursor is closed automatically.
+ */
+
+/**
+ * A cursor opened in the main process.
+ *
+ * @typedef {Object} TinyDbCursor
+ * @property {string} id - Id of the cursor.
+ * @property {() => Promise<CursorPage>} next - Returns the next page.
+ * @property {() => Promise<boolean>} close - Closes the cursor. Returns `false` if it was already closed.
+ */
+
+/**
+ * Statistics of the requests received through the bridge.
+ *
+ * @typedef {Object} QueryStats
+ * @property {number} count - Amount of requests.
+ * @property {number} errors - Amount of failed requests.
+ * @property {number} slow - Amount of requests slower than the slow query threshold.
+ * @property {number} totalTime - Sum of the durations in milliseconds.
+ * @property {number} avgTime - Average duration in milliseconds.
+ * @property {number} maxTime - Longest duration in milliseconds.
+ */
+
+/**
+ * Statistics of a TinyDb, with the totals and the statistics of each operation (`run`, `all`, `exec`...).
+ *
+ * @typedef {QueryStats & { since: number, operations: Record<string, QueryStats> }} TinyDbStats
+ */
+
+/**
+ * A request slower than the slow query threshold.
+ *
+ * @typedef {Object} SlowQueryEntry
+ * @property {string} db - The TinyDb id.
+ * @property {string} operation - The operation (e.g. `all`, `exec`, `transaction`).
+ * @property {string|null} query - The SQL query, the registered query name, or `null`.
+ * @property {any} params - The query parameters, after the redaction.
+ * @property {number} windowId - Id of the webContents that made the request.
+ * @property {number} startedAt - Time when the request started (ms since epoch).
+ * @property {number} duration - Duration in milliseconds.
+ * @property {{ name: string, message: string, code?: any }|null} error - The error sent back, if any.
+ */
+
+/**
+ * A function that hides sensitive query parameters before they are logged.
+ *
+ * @typedef {(params: any, entry: Omit<SlowQueryEntry, 'params'>) => any} ParamsRedactor
  */
 
+/**
+ * A function that receives the slow requests.
+ *
+ * @typedef {(entry: SlowQueryEntry) => void} SlowQueryLogger
+ */
+
+/**
+ * Information about a transaction, given to the transaction hooks.
+ *
+ * @typedef {Object} TransactionContext
+ * @property {string} id - Unique id of the transaction.
+ * @property {number|null} windowId - Id of the webContents that owns the transaction, or `null` if it was started by the main process.
+ */
+
+/**
+ * A function called to begin, commit or roll back a transaction.
+ *
+ * @typedef {(context: TransactionContext) => any} TransactionHook
+ */
+
+/**
+ * The hooks used to manage transactions.
+ *
+ * @typedef {Object} TransactionHooks
+ * @property {TransactionHook} begin - Begins a transaction (e.g. `BEGIN TRANSACTION`).
+ * @property {TransactionHook} commit - Commits the transaction (e.g. `COMMIT`).
+ * @property {TransactionHook} rollback - Rolls back the transaction (e.g. `ROLLBACK`).
+ */
+
+/**
+ * The operations that can execute a query.
+ *
+ * @typedef {'run'|'all'|'get'|'query'} QueryMethod
+ */
+
+/**
+ * A statement executed inside a transaction batch.
+ * Use `name` to execute a registered query, or `method` and `query` for raw SQL.
+ *
+ * @typedef {Object} TransactionStatement
+ * @property {QueryMethod} [method] - The operation used to execute the raw statement.
+ * @property {string} [query] - Raw SQL query string.
+ * @property {string} [name] - Name of a registered query, used instead of `method` and `query`.
+ * @property {any[]} [params] - Query parameters.
+ */
+
+/**
+ * The operations given to a `runInTransaction()` callback. Every query runs inside its
+ * transaction, and the operations are rejected after the callback finishes.
+ *
+ * @typedef {Object} TinyDbTransaction
+ * @property {TransactionContext} context - The transaction context.
+ * @property {(query: string, params?: any[]) => Promise<any>} run - Executes a `run` query.
+ * @property {(query: string, params?: any[]) => Promise<any[]>} all - Executes an `all` query.
+ * @property {(query: string, params?: any[]) => Promise<any>} get - Executes a `get` query.
+ * @property {(query: string, params?: any[]) => Promise<any>} query - Executes a generic query.
+ * @property {(name: string, params?: any[]) => Promise<any>} exec - Executes a registered query.
+ */
+
+/**
+ * A query registered by name, so the renderer can call it without sending SQL.
+ *
+ * @typedef {Object} NamedQuery
+ * @property {string} sql - The SQL query string.
+ * @property {QueryMethod} [method='all'] - The operation used to execute the query.
+ * @property {IpcSchema} [params] - Schema of the params array, validated before the query runs.
+ * @property {string[]} [tables] - Tables read by the query. Subscriptions of the query are only refreshed
+ * when one of them changes. Without it, every change refreshes them.
+ */
+
+/**
+ * What a window subscribes to: a table (or collection) or a registered query.
+ *
+ * @typedef {Object} SubscriptionTarget
+ * @property {string} [table] - Table watched by the subscription.
+ * @property {string} [query] - Name of a registered query. It is executed again on every change and the result is pushed.
+ * @property {any[]} [params] - Params of the registered query.
+ */
+
+/**
+ * A subscription of a window.
+ *
+ * @typedef {Object} Subscription
+ * @property {string} id - Id of the subscription, created by the window.
+ * @property {string|null} table - Watched table, or `null` for a query subscription.
+ * @property {string|null} query - Name of the registered query, or `null` for a table subscription.
+ * @property {any[]} params - Params of the registered query.
+ */
+
+/**
+ * The message pushed to a window when a watched table changes.
+ *
+ * @typedef {Object} ChangeEvent
+ * @property {string} id - Id of the subscription.
+ * @property {string} table - The changed table.
+ * @property {any} change - Extra data given to `notifyChange` (e.g. `{ type: 'insert', rowId: 5 }`).
+ * @property {any} [result] - New result of the registered query (only for query subscriptions).
+ * @property {ReturnType<typeof serializeError>} [error] - Error of the registered query, if it failed.
+ */
+
+/**
+ * The error used when a query is not allowed or not registered, or when the database is not available.
+ *
+ * @typedef {import('../global/Utils.mjs').ErrorParsed & {
+ *   code: 'ERAWQUERY'|'EUNKNOWNQUERY'|'EUNAVAILABLE'|'ECURSOR',
+ *   data: { db: string, name: string|null }
+ * }} TinyDbQueryError
+ */
+
+/** @typedef {import('../global/IpcSchema.mjs').IpcSchema} IpcSchema */
+/** @typedef {import('./TinyDbWriteQueue.mjs').WriteQueueOptions} WriteQueueOptions */
+/** @typedef {import('./TinyDbWriteQueue.mjs').QueuedWrite} QueuedWrite */
+/** @typedef {import('./TinyDbWriteQueue.mjs').WriteStatusEvent} WriteStatusEvent */
+/** @typedef {import('./TinyDbWriteQueue.mjs').WriteReceipt} WriteReceipt */
+
+/** @type {QueryMethod[]} */
+const queryMethods = ['run', 'all', 'get', 'query'];
+
+/** @type {IpcSchema} */
+const transactionSchema = {
+  type: 'object',
+  required: ['statements'],
+  properties: {
+    statements: {
+      type: 'array',
+      minLength: 1,
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          method: { type: 'string', enum: queryMethods },
+          query: { type: 'string', minLength: 1 },
+          name: { type: 'string', minLength: 1 },
+          params: { type: 'array' },
+        },
+      },
+    },
+  },
+};
+
+/** @type {IpcSchema} */
+const idSchema = { type: 'string', minLength: 1 };
+
+/** @type {IpcSchema} */
+const subscribeSchema = {
+  type: 'object',
+  required: ['id'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    table: { type: 'string', minLength: 1 },
+    query: { type: 'string', minLength: 1 },
+    params: { type: 'array' },
+  },
+};
+
+/** @type {IpcSchema} */
+const cursorSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    query: { type: 'string', minLength: 1 },
+    name: { type: 'string', minLength: 1 },
+    params: { type: 'array' },
+    pageSize: { type: 'integer', min: 1, max: 10000 },
+  },
+};
+
+/** @type {IpcSchema} */
+const queueRunSchema = {
+  type: 'object',
+  required: ['id'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    query: { type: 'string', minLength: 1 },
+    name: { type: 'string', minLength: 1 },
+    params: { type: 'array' },
+  },
+};
+
+/** @type {IpcSchema} */
+const execSchema = {
+  type: 'object',
+  required: ['name'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    params: { type: 'array' },
+  },
+};
+
 /**
  * TinyDb is an IPC-based database handler designed for Electron applications.
  * It connects the renderer process to a backend database using IPC events.
@@ -24,6 +287,97 @@ class TinyDb {
   #ipcResponder;
   #id;
 
+  /**
+   * If `true`, the renderer can only execute registered queries.
+   * @type {boolean}
+   */
+  #strict = false;
+
+  /**
+   * Queries registered by name.
+   * @type {Map<string, Required<Omit<NamedQuery, 'params'|'tables'>> & { params: IpcSchema|null, tables: string[]|null }>}
+   */
+  #namedQueries = new Map();
+
+  /**
+   * Subscriptions of every window, indexed by the webContents id.
+   *
+   * @type {Map<number, { webContents: Electron.WebContents, subscriptions: Map<string, Subscription>, cleanup: () => void }>}
+   */
+  #subscribers = new Map();
+
+  /**
+   * Promise that every renderer request waits for before it runs (e.g. pending migrations), or `null`.
+   * @type {Promise<void>|null}
+   */
+  #lock = null;
+
+  /**
+   * Executes a query for the cursors. Without it, cursors use `all` and keep the rows in the main process.
+   * @type {IterateRequest|null}
+   */
+  #iterate = null;
+
+  /**
+   * Idle time in milliseconds before a cursor is closed.
+   * @type {number}
+   */
+  #cursorTimeout = 60000;
+
+  /**
+   * Open cursors, indexed by the cursor id.
+   * @type {Map<string, { windowId: number|null, close: () => Promise<void>, next: () => Promise<CursorPage> }>}
+   */
+  #cursors = new Map();
+
+  /**
+   * Requests slower than this amount of milliseconds are logged. `null` disables the log.
+   * @type {number|null}
+   */
+  #slowQueryThreshold = null;
+
+  /** @type {SlowQueryLogger} */
+  #slowQueryLogger = (entry) =>
+    console.warn(
+      `[TinyDb] Slow "${entry.operation}" in "${entry.db}" (${Math.round(entry.duration)}ms) from window ${entry.windowId}:`,
+      entry.query,
+      entry.params,
+    );
+
+  /**
+   * `true` to hide every parameter, `false` to log them, or a function to hide only some of them.
+   * The params may hold user data, so they are hidden until the app opts in.
+   * @type {boolean|ParamsRedactor}
+   */
+  #redactParams = true;
+
+  /** @type {TinyDbStats} */
+  #stats = TinyDb.#createStats();
+
+  /**
+   * Channels registered by this instance.
+   * @type {string[]}
+   */
+  #channels = [];
+
+  /**
+   * Durable queue of the failed `run` writes, or `null` if it is not enabled.
+   * @type {TinyDbWriteQueue|null}
+   */
+  #writeQueue = null;
+
+  /**
+   * Windows that receive the status events of the queued writes, indexed by the write id.
+   * @type {Map<string, Electron.WebContents>}
+   */
+  #writeOwners = new Map();
+
+  /**
+   * Root used to find the window key of the queued writes, or `null` to use a single group.
+   * @type {TinyElectronRoot|null}
+   */
+  #writeRoot = null;
+
   /**
    * Executes a SQL `SELECT` query that returns a single row.
    *
@@ -65,6 +419,175 @@ class TinyDb {
     throw new Error('TinyDb: "query" function is not defined.');
   };
 
+  /**
+   * Hooks used to begin, commit and roll back transactions.
+   *
+   * @type {TransactionHooks}
+   */
+  #transactionHooks = {
+    begin: (context) => {
+      console.warn('[TinyDb Debug] Called "begin" with:', context);
+      throw new Error('TinyDb: "transaction" hooks are not defined.');
+    },
+    commit: (context) => {
+      console.warn('[TinyDb Debug] Called "commit" with:', context);
+      throw new Error('TinyDb: "transaction" hooks are not defined.');
+    },
+    rollback: (context) => {
+      console.warn('[TinyDb Debug] Called "rollback" with:', context);
+      throw new Error('TinyDb: "transaction" hooks are not defined.');
+    },
+  };
+
+  /**
+   * Open transactions, indexed by the id of the webContents that owns them.
+   *
+   * `pause` and `resume` stop the idle timeout while a request of the window runs.
+   *
+   * @type {Map<number, { context: TransactionContext, cleanup: () => void, batch?: boolean, pause?: () => void, resume?: () => void }>}
+   */
+  #transactions = new Map();
+
+  /**
+   * Idle time in milliseconds before the open transaction of a window is rolled back, or `null`.
+   * @type {number|null}
+   */
+  #transactionTimeout = null;
+
+  /**
+   * The transaction that holds the database, or `null`. While it is open, the requests of the
+   * other windows, the queued writes and the main process `transaction()` wait until it is closed.
+   *
+   * @type {{ context: TransactionContext, released: Promise<void>, release: () => void }|null}
+   */
+  #activeTransaction = null;
+
+  /**
+   * Returns the identifier used to namespace the IPC events.
+   *
+   * @returns {string}
+   */
+  getId() {
+    return this.#id;
+  }
+
+  /**
+   * Returns the IPC channels registered by this instance.
+   *
+   * @returns {string[]}
+   */
+  getChannels() {
+    return [...this.#channels];
+  }
+
+  /**
+   * Removes every IPC channel of this instance, the subscriptions of the windows,
+   * and rolls back the open transactions. The instance can't be used by the renderer anymore.
+   */
+  destroy() {
+    for (const channel of this.#channels) this.#ipcResponder.off(channel);
+    this.#channels = [];
+    for (const { cleanup } of this.#subscribers.values()) cleanup();
+    this.#subscribers.clear();
+    for (const { context, cleanup, batch } of this.#transactions.values()) {
+      cleanup();
+      // Batches are still running, so they finish (and roll back on errors) by themselves.
+      if (!batch) this.#safeRollback(context).finally(() => this.#releaseTransaction(context));
+    }
+    this.#transactions.clear();
+    for (const { close } of this.#cursors.values()) close();
+    if (this.#writeQueue) this.#writeQueue.destroy();
+    this.#writeQueue = null;
+    this.#writeRoot = null;
+    this.#writeOwners.clear();
+  }
+
+  /**
+   * Executes a `run` query from the main process. Strict mode and the lock don't apply.
+   *
+   * @param {string} query - SQL query string.
+   * @param {any[]} [params=[]] - Query parameters.
+   * @param {AbortSignal} [signal] - Optional signal to abort the query.
+   * @returns {Promise<any>}
+   */
+  run(query, params = [], signal = new AbortController().signal) {
+    return this.#callMethod('run', query, params, signal);
+  }
+
+  /**
+   * Executes an `all` query from the main process. Strict mode and the lock don't apply.
+   *
+   * @param {string} query - SQL query string.
+   * @param {any[]} [params=[]] - Query parameters.
+   * @param {AbortSignal} [signal] - Optional signal to abort the query.
+   * @returns {Promise<any[]>}
+   */
+  all(query, params = [], signal = new AbortController().signal) {
+    return this.#callMethod('all', query, params, signal);
+  }
+
+  /**
+   * Executes a `get` query from the main process. Strict mode and the lock don't apply.
+   *
+   * @param {string} query - SQL query string.
+   * @param {any[]} [params=[]] - Query parameters.
+   * @param {AbortSignal} [signal] - Optional signal to abort the query.
+   * @returns {Promise<any>}
+   */
+  get(query, params = [], signal = new AbortController().signal) {
+    return this.#callMethod('get', query, params, signal);
+  }
+
+  /**
+   * Executes a generic query from the main process. Strict mode and the lock don't apply.
+   *
+   * @param {string} query - SQL query string.
+   * @param {any[]} [params=[]] - Query parameters.
+   * @param {AbortSignal} [signal] - Optional signal to abort the query.
+   * @returns {Promise<any>}
+   */
+  query(query, params = [], signal = new AbortController().signal) {
+    return this.#callMethod('query', query, params, signal);
+  }
+
+  /**
+   * Holds every renderer request until a task finishes, like the migrations of the app startup.
+   *
+   * If the task fails, the requests are rejected with a `TinyDbQueryError` (code `EUNAVAILABLE`)
+   * until `lockUntil` is called again with a task that succeeds.
+   *
+   * @param {Promise<any>} task - The task that must finish first.
+   * @throws {TypeError} If the task is not a promise.
+   */
+  lockUntil(task) {
+    if (!(task instanceof Promise)) throw new TypeError('lockUntil task must be a promise');
+    /** @type {Promise<void>} */
+    const lock = task.then(
+      () => {
+        if (this.#lock === lock) this.#lock = null;
+      },
+      (err) => {
+        throw this.#createQueryError(
+          'EUNAVAILABLE',
+          null,
+          `TinyDb: "${this.#id}" is not available: ${toError(err).message}`,
+        );
+      },
+    );
+    // The rejection is handled by the requests that wait for the lock.
+    lock.catch(() => {});
+    this.#lock = lock;
+  }
+
+  /**
+   * Checks if the renderer requests are being held by `lockUntil`.
+   *
+   * @returns {boolean}
+   */
+  isLocked() {
+    return this.#lock !== null;
+  }
+
   /**
    * Set the implementation for the `get` operation.
    * Use this for queries that fetch a single row.
@@ -109,6 +632,1110 @@ class TinyDb {
     this.#query = callback;
   }
 
+  /**
+   * Set the implementation used by the cursors to read the rows one by one.
+   * Without it, the cursors execute the `all` operation and send its rows page by page.
+   *
+   * @param {IterateRequest} callback - The function that returns an iterable of rows.
+   */
+  setIterate(callback) {
+    if (typeof callback !== 'function') throw new Error('setIterate callback must be a function');
+    this.#iterate = callback;
+  }
+
+  /**
+   * Set the hooks used to begin, commit and roll back transactions.
+   *
+   * @param {TransactionHooks} hooks - The transaction hooks.
+   */
+  setTransaction(hooks) {
+    if (
+      typeof hooks !== 'object' ||
+      hooks === null ||
+      typeof hooks.begin !== 'function' ||
+      typeof hooks.commit !== 'function' ||
+      typeof hooks.rollback !== 'function'
+    )
+      throw new Error('setTransaction hooks must have "begin", "commit" and "rollback" functions');
+    const { begin, commit, rollback } = hooks;
+    this.#transactionHooks = { begin, commit, rollback };
+  }
+
+  /**
+   * Executes a query with one of the query operations.
+   *
+   * @param {QueryMethod|undefined} method - The operation.
+   * @param {string} query - SQL query string.
+   * @param {any[]} params - Query parameters.
+   * @param {AbortSignal} signal - The signal of the request.
+   * @param {TransactionContext|null} [context=null] - The transaction of the request.
+   * @returns {Promise<any>}
+   */
+  async #callMethod(method, query, params, signal, context = null) {
+    switch (method) {
+      case 'run':
+        return this.#run(query, params, signal, context);
+      case 'all':
+        return this.#all(query, params, signal, context);
+      case 'get':
+        return this.#get(query, params, signal, context);
+      case 'query':
+        return this.#query(query, params, signal, context);
+      default:
+        throw new Error(`TinyDb: Unknown query method "${method}".`);
+    }
+  }
+
+  /**
+   * Creates the error used when a query is not allowed or not registered.
+   *
+   * @param {'ERAWQUERY'|'EUNKNOWNQUERY'|'EUNAVAILABLE'|'ECURSOR'} code - The error code.
+   * @param {string|null} name - The requested query name, if any.
+   * @param {string} message - The error message.
+   * @returns {TinyDbQueryError}
+   */
+  #createQueryError(code, name, message) {
+    /** @type {TinyDbQueryError} */
+    const error = Object.assign(new Error(message), { code, data: { db: this.#id, name } });
+    error.name = 'TinyDbQueryError';
+    return error;
+  }
+
+  /**
+   * Rejects raw SQL sent by the renderer when the strict mode is enabled.
+   *
+   * @throws {TinyDbQueryError} If the strict mode is enabled.
+   */
+  #checkRawQuery() {
+    if (this.#strict)
+      throw this.#createQueryError(
+        'ERAWQUERY',
+        null,
+        `TinyDb: Raw SQL queries are disabled in "${this.#id}". Use a registered query with "exec".`,
+      );
+  }
+
+  /**
+   * Executes a registered query.
+   *
+   * @param {string} name - The query name.
+   * @param {any[]} params - Query parameters.
+   * @param {AbortSignal} signal - The signal of the request.
+   * @param {TransactionContext|null} [context=null] - The transaction of the request.
+   * @returns {Promise<any>}
+   * @throws {TinyDbQueryError} If the query is not registered.
+   * @throws {import('../global/IpcSchema.mjs').IpcValidationError} If the params are invalid.
+   */
+  async #execNamed(name, params, signal, context = null) {
+    const entry = this.#getNamedQuery(name, params);
+    return this.#callMethod(entry.method, entry.sql, params, signal, context);
+  }
+
+  /**
+   * Returns a registered query after validating its params.
+   *
+   * @param {string} name - The query name.
+   * @param {any[]} params - Query parameters.
+   * @returns {Required<Omit<NamedQuery, 'params'|'tables'>>} The query.
+   * @throws {TinyDbQueryError} If the query is not registered.
+   * @throws {import('../global/IpcSchema.mjs').IpcValidationError} If the params are invalid.
+   */
+  #getNamedQuery(name, params) {
+    const entry = this.#namedQueries.get(name);
+    if (!entry)
+      throw this.#createQueryError(
+        'EUNKNOWNQUERY',
+        name,
+        `TinyDb: Unknown query "${name}" in "${this.#id}".`,
+      );
+    if (entry.params) {
+      const issues = validateSchema(params, entry.params, 'params');
+      if (issues.length > 0) throw createValidationError(`${this.#id}_exec:${name}`, issues);
+    }
+    return entry;
+  }
+
+  /**
+   * Executes a statement of a transaction batch.
+   *
+   * @param {TransactionStatement} statement - The statement.
+   * @param {AbortSignal} signal - The signal of the batch.
+   * @param {boolean} trusted - `true` if the batch came from the main process, so raw SQL is always allowed.
+   * @param {TransactionContext} context - The transaction of the batch.
+   * @returns {Promise<any>}
+   */
+  async #execStatement({ method, query, name, params = [] }, signal, trusted, context) {
+    if (typeof name === 'string') return this.#execNamed(name, params, signal, context);
+    if (!trusted) this.#checkRawQuery();
+    if (typeof query !== 'string')
+      throw new Error('TinyDb: Transaction statements need a "name" or a "query".');
+    return this.#callMethod(method, query, params, signal, context);
+  }
+
+  /**
+   * Waits until the database is not held by a transaction of another owner.
+   *
+   * @param {number|null} windowId - Id of the webContents of the request, or `null` to wait for any transaction.
+   * @returns {Promise<void>}
+   */
+  async #waitTransaction(windowId) {
+    while (
+      this.#activeTransaction &&
+      (windowId === null || this.#activeTransaction.context.windowId !== windowId)
+    )
+      await this.#activeTransaction.released;
+  }
+
+  /**
+   * Waits for the open transaction to close, then holds the database for a new one.
+   *
+   * @param {TransactionContext} context - The new transaction.
+   * @returns {Promise<void>}
+   */
+  async #acquireTransaction(context) {
+    await this.#waitTransaction(null);
+    /** @type {() => void} */
+    let release = () => {};
+    const released = new Promise((resolve) => (release = () => resolve(undefined)));
+    this.#activeTransaction = { context, released, release };
+  }
+
+  /**
+   * Frees the database held by a transaction, so the waiting requests run.
+   *
+   * @param {TransactionContext} context - The transaction.
+   */
+  #releaseTransaction(context) {
+    const active = this.#activeTransaction;
+    if (!active || active.context !== context) return;
+    this.#activeTransaction = null;
+    active.release();
+  }
+
+  /**
+   * Returns the open transaction of a window, or `null`.
+   *
+   * @param {Electron.WebContents} webContents - The webContents of the request.
+   * @returns {TransactionContext|null}
+   */
+  #getTransaction(webContents) {
+    return this.#transactions.get(webContents.id)?.context ?? null;
+  }
+
+  /**
+   * Rolls back a transaction. Rollback errors are only logged, so they don't hide the original error.
+   *
+   * @param {TransactionContext} context - The transaction context.
+   */
+  async #safeRollback(context) {
+    try {
+      await this.#transactionHooks.rollback(context);
+    } catch (err) {
+      console.error(`[TinyDb] Failed to roll back the transaction "${context.id}":`, err);
+    }
+  }
+
+  /**
+   * Executes an ordered list of statements inside a single transaction.
+   *
+   * @param {TransactionStatement[]} statements - The statements to execute.
+   * @param {TransactionContext} context - The transaction context.
+   * @param {AbortSignal} signal - Aborts the batch and rolls back the transaction.
+   * @param {boolean} [trusted=false] - `true` if the batch came from the main process.
+   * @returns {Promise<any[]>} The result of every statement, in the same order.
+   */
+  #execBatch(statements, context, signal, trusted = false) {
+    return this.#runTransaction(context, signal, async () => {
+      /** @type {any[]} */
+      const results = [];
+      for (const statement of statements) {
+        signal.throwIfAborted();
+        results.push(await this.#execStatement(statement, signal, trusted, context));
+      }
+      return results;
+    });
+  }
+
+  /**
+   * Holds the database, begins a transaction and commits it after the body finishes.
+   * If the body or the commit fails, the transaction is rolled back and the error is thrown.
+   *
+   * @template T
+   * @param {TransactionContext} context - The transaction context.
+   * @param {AbortSignal} signal - Aborts the transaction and rolls it back.
+   * @param {() => Promise<T>} body - The work done inside the transaction.
+   * @returns {Promise<T>}
+   */
+  async #runTransaction(context, signal, body) {
+    await this.#acquireTransaction(context);
+    try {
+      signal.throwIfAborted();
+      await this.#transactionHooks.begin(context);
+      try {
+        const result = await body();
+        signal.throwIfAborted();
+        await this.#transactionHooks.commit(context);
+        return result;
+      } catch (err) {
+        await this.#safeRollback(context);
+        throw err;
+      }
+    } finally {
+      this.#releaseTransaction(context);
+    }
+  }
+
+  /**
+   * Executes an ordered list of statements inside a single transaction from the main process.
+   * If any statement fails, the transaction is rolled back and the error is thrown.
+   *
+   * @param {TransactionStatement[]} statements - The statements to execute.
+   * @param {AbortSignal} [signal] - Optional signal to abort the batch.
+   * @returns {Promise<any[]>} The result of every statement, in the same order.
+   */
+  transaction(statements, signal = new AbortController().signal) {
+    const issues = validateSchema({ statements }, transactionSchema);
+    if (issues.length > 0) return Promise.reject(createValidationError('transaction', issues));
+    return this.#execBatch(statements, { id: crypto.randomUUID(), windowId: null }, signal, true);
+  }
+
+  /**
+   * Runs a callback inside a single transaction from the main process. The callback receives
+   * the operations of the transaction, and the transaction is committed when it resolves.
+   * If it throws, the transaction is rolled back and the error is thrown.
+   *
+   * Use only the given operations inside the callback: the direct calls of this instance
+   * don't belong to the transaction, and a nested `transaction()` waits for it forever.
+   *
+   * @template T
+   * @param {(tx: TinyDbTransaction) => Promise<T>|T} callback - The work done inside the transaction.
+   * @param {AbortSignal} [signal] - Optional signal to abort the transaction.
+   * @returns {Promise<T>} The value returned by the callback.
+   */
+  runInTransaction(callback, signal = new AbortController().signal) {
+    if (typeof callback !== 'function')
+      return Promise.reject(new TypeError('TinyDb: "callback" must be a function.'));
+
+    /** @type {TransactionContext} */
+    const context = { id: crypto.randomUUID(), windowId: null };
+    let open = true;
+    /**
+     * @param {() => Promise<any>} operation
+     * @returns {Promise<any>}
+     */
+    const inside = async (operation) => {
+      if (!open) throw new Error(`TinyDb: The transaction "${context.id}" is closed.`);
+      signal.throwIfAborted();
+      return operation();
+    };
+    /** @type {TinyDbTransaction} */
+    const tx = {
+      context,
+      run: (query, params = []) =>
+        inside(() => this.#callMethod('run', query, params, signal, context)),
+      all: (query, params = []) =>
+        inside(() => this.#callMethod('all', query, params, signal, context)),
+      get: (query, params = []) =>
+        inside(() => this.#callMethod('get', query, params, signal, context)),
+      query: (query, params = []) =>
+        inside(() => this.#callMethod('query', query, params, signal, context)),
+      exec: (name, params = []) => inside(() => this.#execNamed(name, params, signal, context)),
+    };
+
+    return this.#runTransaction(context, signal, async () => {
+      try {
+        return await callback(tx);
+      } finally {
+        open = false;
+      }
+    });
+  }
+
+  /**
+   * Registers a query that can be called by name with `exec`.
+   *
+   * @param {string} name - Unique query name (e.g. `getUserById`).
+   * @param {NamedQuery} query - The query definition.
+   * @throws {Error} If the name is invalid or already registered.
+   * @throws {TypeError} If the query definition is invalid.
+   */
+  registerQuery(name, query) {
+    if (typeof name !== 'string' || name.trim() === '')
+      throw new Error('registerQuery name must be a non-empty string');
+    if (this.#namedQueries.has(name))
+      throw new Error(`registerQuery: Query "${name}" is already registered`);
+    if (!isJsonObject(query)) throw new TypeError('registerQuery query must be an object');
+
+    const { sql, method = 'all', params, tables } = query;
+    if (typeof sql !== 'string' || sql.trim() === '')
+      throw new TypeError('registerQuery "sql" must be a non-empty string');
+    if (!queryMethods.includes(method))
+      throw new TypeError(`registerQuery "method" must be one of: ${queryMethods.join(', ')}`);
+    if (typeof params !== 'undefined') checkSchema(params, 'params');
+    if (
+      typeof tables !== 'undefined' &&
+      (!Array.isArray(tables) || tables.some((table) => typeof table !== 'string'))
+    )
+      throw new TypeError('registerQuery "tables" must be an array of strings');
+    this.#namedQueries.set(name, {
+      sql,
+      method,
+      params: params ?? null,
+      tables: tables ? [...tables] : null,
+    });
+  }
+
+  /**
+   * Removes a registered query.
+   *
+   * @param {string} name - The query name.
+   * @returns {boolean} `true` if the query was removed.
+   */
+  unregisterQuery(name) {
+    return this.#namedQueries.delete(name);
+  }
+
+  /**
+   * Checks if a query is registered.
+   *
+   * @param {string} name - The query name.
+   * @returns {boolean}
+   */
+  hasQuery(name) {
+    return this.#namedQueries.has(name);
+  }
+
+  /**
+   * Returns the names of all registered queries.
+   *
+   * @returns {string[]}
+   */
+  getQueryNames() {
+    return [...this.#namedQueries.keys()];
+  }
+
+  /**
+   * Enables or disables the strict mode. In strict mode, the renderer can only
+   * execute registered queries, and raw SQL is rejected with a `TinyDbQueryError`.
+   *
+   * @param {boolean} value - `true` to enable the strict mode.
+   */
+  setStrict(value) {
+    if (typeof value !== 'boolean') throw new Error('setStrict value must be a boolean');
+    this.#strict = value;
+  }
+
+  /**
+   * Checks if the strict mode is enabled.
+   *
+   * @returns {boolean}
+   */
+  isStrict() {
+    return this.#strict;
+  }
+
+  /**
+   * Executes a registered query from the main process.
+   *
+   * @param {string} name - The query name.
+   * @param {any[]} [params=[]] - Query parameters.
+   * @param {AbortSignal} [signal] - Optional signal to abort the query.
+   * @returns {Promise<any>} The query result.
+   */
+  exec(name, params = [], signal = new AbortController().signal) {
+    return this.#execNamed(name, params, signal);
+  }
+
+  /**
+   * Creates a cursor that reads the rows of a query page by page.
+   *
+   * The cursor is closed when all rows were read, when `close()` is called, after
+   * `cursorTimeout` ms without reading a page, or when its window is destroyed.
+   *
+   * @param {string} query - SQL query string.
+   * @param {any[]} params - Query parameters.
+   * @param {number} pageSize - Max amount of rows of each page.
+   * @param {Electron.WebContents|null} webContents - The webContents that owns the cursor, or `null` for the main process.
+   * @returns {Promise<string>} The cursor id.
+   */
+  async #openCursor(query, params, pageSize, webContents) {
+    const id = crypto.randomUUID();
+    const controller = new AbortController();
+    const context = webContents ? this.#getTransaction(webContents) : null;
+    const source = this.#iterate
+      ? await this.#iterate(query, params, controller.signal, context)
+      : await this.#all(query, params, controller.signal, context);
+    if (
+      typeof source !== 'object' ||
+      source === null ||
+      (typeof (/** @type {any} */ (source)[Symbol.asyncIterator]) !== 'function' &&
+        typeof (/** @type {any} */ (source)[Symbol.iterator]) !== 'function')
+    )
+      throw new Error('TinyDb: The cursor query must return an iterable of rows.');
+
+    /** @type {Iterator<any>|AsyncIterator<any>} */
+    const iterator =
+      Symbol.asyncIterator in source
+        ? source[Symbol.asyncIterator]()
+        : /** @type {Iterable<any>} */ (source)[Symbol.iterator]();
+
+    /** @type {NodeJS.Timeout|null} */
+    let timer = null;
+    const onDestroyed = () => close();
+    const close = async () => {
+      if (!this.#cursors.delete(id)) return;
+      if (timer) clearTimeout(timer);
+      if (webContents && !webContents.isDestroyed()) webContents.off('destroyed', onDestroyed);
+      controller.abort();
+      try {
+        await iterator.return?.();
+      } catch (err) {
+        console.error(`[TinyDb] Failed to close the cursor "${id}":`, err);
+      }
+    };
+    const touch = () => {
+      if (timer) clearTimeout(timer);
+      timer = setTimeout(close, this.#cursorTimeout);
+    };
+
+    // Pages of the same cursor are read one at a time.
+    /** @type {Promise<any>} */
+    let reading = Promise.resolve();
+    const next = () => {
+      const page = reading.then(async () => {
+        // The idle timer is stopped while a page is read, so slow pages don't close the cursor.
+        if (timer) clearTimeout(timer);
+        timer = null;
+        try {
+          /** @type {any[]} */
+          const rows = [];
+          while (rows.length < pageSize) {
+            const item = await iterator.next();
+            if (item.done) {
+              await close();
+              return { rows, done: true };
+            }
+            rows.push(item.value);
+          }
+          return { rows, done: false };
+        } finally {
+          if (this.#cursors.has(id)) touch();
+        }
+      });
+      reading = page.catch(() => {});
+      return page;
+    };
+
+    if (webContents) webContents.once('destroyed', onDestroyed);
+    this.#cursors.set(id, { windowId: webContents?.id ?? null, close, next });
+    touch();
+    return id;
+  }
+
+  /**
+   * Returns an open cursor.
+   *
+   * @param {string} id - The cursor id.
+   * @param {number|null} windowId - The id of the webContents that must own the cursor, or `null` for the main process.
+   * @returns {{ next: () => Promise<CursorPage>, close: () => Promise<void> }}
+   * @throws {TinyDbQueryError} If the cursor doesn't exist, has expired, or has another owner.
+   */
+  #getCursor(id, windowId) {
+    const cursor = this.#cursors.get(id);
+    if (!cursor || cursor.windowId !== windowId)
+      throw this.#createQueryError(
+        'ECURSOR',
+        null,
+        `TinyDb: The cursor "${id}" does not exist or has expired.`,
+      );
+    return cursor;
+  }
+
+  /**
+   * Opens a cursor from the main process. Strict mode and the lock don't apply.
+   *
+   * @param {string} query - SQL query string.
+   * @param {any[]} [params=[]] - Query parameters.
+   * @param {Object} [options={}] - Cursor options.
+   * @param {number} [options.pageSize=100] - Max amount of rows of each page.
+   * @returns {Promise<TinyDbCursor>}
+   */
+  async openCursor(query, params = [], { pageSize = 100 } = {}) {
+    if (!Number.isSafeInteger(pageSize) || pageSize < 1)
+      throw new TypeError('openCursor pageSize must be a positive integer');
+    const id = await this.#openCursor(query, params, pageSize, null);
+    return {
+      id,
+      next: async () => {
+        const cursor = this.#cursors.get(id);
+        return cursor ? cursor.next() : { rows: [], done: true };
+      },
+      close: async () => {
+        const cursor = this.#cursors.get(id);
+        if (!cursor) return false;
+        await cursor.close();
+        return true;
+      },
+    };
+  }
+
+  /**
+   * Sets the idle time in milliseconds before a cursor is closed. Open cursors use it from their next page.
+   *
+   * @param {number} ms - The timeout.
+   */
+  setCursorTimeout(ms) {
+    if (!Number.isSafeInteger(ms) || ms < 1)
+      throw new Error('setCursorTimeout ms must be a positive integer');
+    this.#cursorTimeout = ms;
+  }
+
+  /**
+   * Returns the idle time in milliseconds before a cursor is closed.
+   *
+   * @returns {number}
+   */
+  getCursorTimeout() {
+    return this.#cursorTimeout;
+  }
+
+  /**
+   * Returns the amount of open cursors.
+   *
+   * @returns {number}
+   */
+  getCursorCount() {
+    return this.#cursors.size;
+  }
+
+  /**
+   * Reports a change of a table, so every window subscribed to it is notified.
+   *
+   * Table subscriptions receive the change. Query subscriptions whose query reads the table
+   * (see `tables` in `registerQuery`) execute their query again and receive the new result.
+   * The queries wait for the open transaction to close, so they never read uncommitted rows.
+   * Don't await this method inside a transaction, since it only resolves after the commit.
+   *
+   * @param {string} table - The changed table (or collection).
+   * @param {any} [change=null] - Extra data sent to the windows (e.g. `{ type: 'insert', rowId: 5 }`).
+   * @returns {Promise<number>} Amount of subscriptions notified.
+   * @throws {Error} If the table is not a non-empty string.
+   */
+  async notifyChange(table, change = null) {
+    if (typeof table !== 'string' || table.trim() === '')
+      throw new Error('notifyChange table must be a non-empty string');
+
+    /** @type {Promise<void>[]} */
+    const tasks = [];
+    /** @type {Promise<void>|null} */
+    let idle = null;
+    for (const [windowId, { webContents, subscriptions }] of this.#subscribers) {
+      if (webContents.isDestroyed()) {
+        this.#subscribers.delete(windowId);
+        continue;
+      }
+      for (const subscription of subscriptions.values()) {
+        if (subscription.table !== null) {
+          if (subscription.table === table)
+            tasks.push(this.#sendChange(webContents, { id: subscription.id, table, change }));
+          continue;
+        }
+
+        const entry = this.#namedQueries.get(/** @type {string} */ (subscription.query));
+        if (entry?.tables && !entry.tables.includes(table)) continue;
+        if (!idle) idle = this.#waitTransaction(null);
+        tasks.push(
+          idle
+            .then(() =>
+              this.#execNamed(
+                /** @type {string} */ (subscription.query),
+                subscription.params,
+                new AbortController().signal,
+              ),
+            )
+            .then(
+              (result) =>
+                this.#sendChange(webContents, { id: subscription.id, table, change, result }),
+              (err) =>
+                this.#sendChange(webContents, {
+                  id: subscription.id,
+                  table,
+                  change,
+                  error: serializeError(toError(err)),
+                }),
+            ),
+        );
+      }
+    }
+    await Promise.all(tasks);
+    return tasks.length;
+  }
+
+  /**
+   * Pushes a change to a window, if the subscription still exists.
+   *
+   * @param {Electron.WebContents} webContents - The subscribed webContents.
+   * @param {ChangeEvent} data - The change.
+   */
+  async #sendChange(webContents, data) {
+    if (webContents.isDestroyed()) return;
+    if (!this.#subscribers.get(webContents.id)?.subscriptions.has(data.id)) return;
+    webContents.send(`${this.#id}_change`, data);
+  }
+
+  /**
+   * Adds a subscription of a window. Every subscription of the window is removed when it is destroyed.
+   *
+   * @param {Electron.WebContents} webContents - The webContents that owns the subscription.
+   * @param {Subscription} subscription - The subscription.
+   * @throws {Error} If the window already has a subscription with this id.
+   */
+  #addSubscription(webContents, subscription) {
+    const windowId = webContents.id;
+    let data = this.#subscribers.get(windowId);
+    if (!data) {
+      const onDestroyed = () => this.#subscribers.delete(windowId);
+      webContents.once('destroyed', onDestroyed);
+      data = {
+        webContents,
+        subscriptions: new Map(),
+        cleanup: () => {
+          if (!webContents.isDestroyed()) webContents.off('destroyed', onDestroyed);
+        },
+      };
+      this.#subscribers.set(windowId, data);
+    }
+    if (data.subscriptions.has(subscription.id))
+      throw new Error(`TinyDb: The subscription "${subscription.id}" already exists.`);
+    data.subscriptions.set(subscription.id, subscription);
+  }
+
+  /**
+   * Removes a subscription of a window.
+   *
+   * @param {Electron.WebContents} webContents - The webContents that owns the subscription.
+   * @param {string} id - The subscription id.
+   * @returns {boolean} `true` if the subscription was removed.
+   */
+  #removeSubscription(webContents, id) {
+    const data = this.#subscribers.get(webContents.id);
+    if (!data || !data.subscriptions.delete(id)) return false;
+    if (data.subscriptions.size === 0) {
+      this.#subscribers.delete(webContents.id);
+      data.cleanup();
+    }
+    return true;
+  }
+
+  /**
+   * Registers an open transaction of a window. It is rolled back if the window is destroyed,
+   * or if the window sends no request for `transactionTimeout` ms.
+   *
+   * @param {Electron.WebContents} webContents - The webContents that owns the transaction.
+   * @param {TransactionContext} context - The transaction context.
+   */
+  #openTransaction(webContents, context) {
+    const windowId = webContents.id;
+    /** @type {NodeJS.Timeout|null} */
+    let timer = null;
+    let pending = 0;
+    let closed = false;
+
+    const cleanup = () => {
+      closed = true;
+      if (timer) clearTimeout(timer);
+      timer = null;
+      if (!webContents.isDestroyed()) webContents.off('destroyed', onDestroyed);
+    };
+    const abandon = () => {
+      this.#transactions.delete(windowId);
+      cleanup();
+      this.#safeRollback(context).finally(() => this.#releaseTransaction(context));
+    };
+    const onDestroyed = () => abandon();
+    const arm = () => {
+      if (timer) clearTimeout(timer);
+      timer = null;
+      const timeout = this.#transactionTimeout;
+      if (closed || pending > 0 || timeout === null) return;
+      timer = setTimeout(() => {
+        console.warn(
+          `[TinyDb] The transaction of the window ${windowId} was idle for ${timeout} ms and was rolled back.`,
+        );
+        abandon();
+      }, timeout);
+    };
+
+    webContents.once('destroyed', onDestroyed);
+    this.#transactions.set(windowId, {
+      context,
+      cleanup,
+      pause: () => {
+        pending++;
+        arm();
+      },
+      resume: () => {
+        pending--;
+        arm();
+      },
+    });
+    arm();
+  }
+
+  /**
+   * Removes the open transaction of a window.
+   *
+   * @param {Electron.WebContents} webContents - The webContents that owns the transaction.
+   * @param {unknown} id - The transaction id sent by the window.
+   * @returns {TransactionContext} The removed transaction.
+   * @throws {Error} If the window has no open transaction with this id.
+   */
+  #closeTransaction(webContents, id) {
+    const data = this.#transactions.get(webContents.id);
+    if (!data || data.context.id !== id)
+      throw new Error('TinyDb: This window has no open transaction with this id.');
+    this.#transactions.delete(webContents.id);
+    data.cleanup();
+    return data.context;
+  }
+
+  /**
+   * Enables the durable write queue of the renderer `queueRun` and `queueExec` writes.
+   *
+   * A queued write is executed at once when its window has no other queued writes. If it fails
+   * (e.g. the database service is restarting), it is saved in the queue file and retried with an
+   * exponential backoff, and the window receives its status changes. The writes of each window
+   * are executed in order. Writes left in the file by the last run are loaded and retried.
+   *
+   * The writes are grouped by a key that is stable across app runs: with a `root`, the key of
+   * named windows or the role of the others; without it, every window shares one group.
+   *
+   * Errors of the request itself (`ERAWQUERY`, `EUNKNOWNQUERY` and invalid params) are never retried.
+   *
+   * @param {WriteQueueOptions & { root?: TinyElectronRoot|null }} options - The queue options. `root` is used to group the writes by window.
+   * @returns {Promise<number>} Amount of writes loaded from the queue file.
+   * @throws {Error} If the write queue is already enabled.
+   * @throws {TypeError} If the options are invalid.
+   */
+  async enableWriteQueue(options) {
+    if (this.#writeQueue) throw new Error('TinyDb: The write queue is already enabled.');
+    if (!isJsonObject(options))
+      throw new TypeError('TinyDb: The write queue options must be an object.');
+    const { shouldRetry = () => true, root = null } = options;
+    if (typeof shouldRetry !== 'function')
+      throw new TypeError('TinyDb: Write queue "shouldRetry" must be a function.');
+    if (root !== null && !(root instanceof TinyElectronRoot))
+      throw new TypeError(
+        'TinyDb: Write queue "root" must be a TinyElectronRoot instance or null.',
+      );
+
+    const queue = new TinyDbWriteQueue(
+      {
+        ...options,
+        shouldRetry: (error, write) =>
+          !(
+            error.name === 'TinyDbQueryError' && /** @type {any} */ (error).code !== 'EUNAVAILABLE'
+          ) &&
+          error.name !== 'IpcValidationError' &&
+          shouldRetry(error, write),
+      },
+      async (write, signal) => {
+        if (this.#lock) await this.#lock;
+        await this.#waitTransaction(null);
+        if (typeof write.name === 'string')
+          return this.#execNamed(write.name, write.params, signal);
+        this.#checkRawQuery();
+        return this.#run(/** @type {string} */ (write.query), write.params, signal, null);
+      },
+      (event) => this.#sendWriteStatus(event),
+    );
+    this.#writeQueue = queue;
+    this.#writeRoot = root;
+    try {
+      return await queue.load();
+    } catch (err) {
+      queue.destroy();
+      if (this.#writeQueue === queue) {
+        this.#writeQueue = null;
+        this.#writeRoot = null;
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Checks if the write queue is enabled.
+   *
+   * @returns {boolean}
+   */
+  isWriteQueueEnabled() {
+    return this.#writeQueue !== null;
+  }
+
+  /**
+   * Returns copies of the writes waiting in the queue.
+   *
+   * @returns {QueuedWrite[]}
+   */
+  getQueuedWrites() {
+    return this.#writeQueue ? this.#writeQueue.getWrites() : [];
+  }
+
+  /**
+   * Retries the queued writes now, without waiting for their backoff delay.
+   * Useful when the app knows that the database service is back.
+   */
+  retryQueuedWrites() {
+    if (this.#writeQueue) this.#writeQueue.retryNow();
+  }
+
+  /**
+   * Returns the group of the queued writes of a window. Webcontents ids are reused across
+   * app runs, so the group uses the window key (or role) saved with the write instead.
+   *
+   * @param {Electron.WebContents} webContents - The webContents that sent the write.
+   * @returns {string}
+   */
+  #getWriteGroup(webContents) {
+    const win = BrowserWindow.fromWebContents(webContents);
+    if (!this.#writeRoot || !win) return 'default';
+    try {
+      const instance = this.#writeRoot.getWinInstanceById(win.id);
+      const key = instance.getIndex();
+      return typeof key === 'string' ? `key:${key}` : `role:${instance.getRole()}`;
+    } catch {
+      return 'default';
+    }
+  }
+
+  /**
+   * Sends the new status of a queued write to the window that sent it.
+   *
+   * @param {WriteStatusEvent} event - The status event.
+   */
+  #sendWriteStatus(event) {
+    const webContents = this.#writeOwners.get(event.id);
+    if (event.status === 'committed' || event.status === 'failed')
+      this.#writeOwners.delete(event.id);
+    if (webContents && !webContents.isDestroyed())
+      webContents.send(`${this.#id}_write_status`, event);
+  }
+
+  /**
+   * Registers an IPC handler that waits for the lock (see `lockUntil`) before it runs.
+   *
+   * @param {string} channel - The channel name.
+   * @param {import('./TinyIpcResponder.mjs').IPCResolveHandler} handler - The handler.
+   * @param {import('./TinyIpcResponder.mjs').HandlerOptions} [options] - The handler options.
+   */
+  #handle(channel, handler, options) {
+    const operation = channel.slice(this.#id.length + 1);
+    this.#channels.push(channel);
+    this.#ipcResponder.handle(
+      channel,
+      async (event, value, signal) => {
+        if (!this.#getWin(event)) throw new Error('TinyDb: Requests must come from a window.');
+        // The open transaction of the window doesn't expire while its requests are running.
+        const transaction = this.#transactions.get(event.sender.id);
+        transaction?.pause?.();
+        try {
+          if (this.#lock) await this.#lock;
+          // Requests of other windows wait for the open transaction, so they never run inside it.
+          await this.#waitTransaction(event.sender.id);
+          signal.throwIfAborted();
+
+          const startedAt = Date.now();
+          const start = performance.now();
+          /** @type {ReturnType<typeof serializeError>|null} */
+          let error = null;
+          try {
+            return await handler(event, value, signal);
+          } catch (err) {
+            error = serializeError(toError(err));
+            throw err;
+          } finally {
+            const duration = performance.now() - start;
+            this.#record(operation, duration, error !== null, () => ({
+              db: this.#id,
+              operation,
+              ...this.#describeRequest(value),
+              windowId: event.sender.id,
+              startedAt,
+              duration,
+              error: error && { name: error.name, message: error.message, code: error.code },
+            }));
+          }
+        } finally {
+          transaction?.resume?.();
+        }
+      },
+      options,
+    );
+  }
+
+  /**
+   * Creates empty statistics.
+   *
+   * @returns {TinyDbStats}
+   */
+  static #createStats() {
+    return {
+      since: Date.now(),
+      count: 0,
+      errors: 0,
+      slow: 0,
+      totalTime: 0,
+      avgTime: 0,
+      maxTime: 0,
+      operations: {},
+    };
+  }
+
+  /**
+   * Extracts the query and the parameters of a request payload, for the slow query log.
+   *
+   * @param {any} value - The request payload.
+   * @returns {{ query: string|null, params: any }}
+   */
+  #describeRequest(value) {
+    if (!isJsonObject(value)) return { query: null, params: null };
+    if (Array.isArray(value.statements))
+      return {
+        query: value.statements
+          .map((/** @type {TransactionStatement} */ { name, query }) => name ?? query)
+          .join('; '),
+        params: value.statements.map((/** @type {TransactionStatement} */ { params }) => params),
+      };
+    const query = [value.query, value.name, value.table].find((item) => typeof item === 'string');
+    return { query: query ?? null, params: value.params ?? null };
+  }
+
+  /**
+   * Adds a request to the statistics and logs it if it was slow.
+   *
+   * @param {string} operation - The operation.
+   * @param {number} duration - Duration in milliseconds.
+   * @param {boolean} failed - `true` if the request failed.
+   * @param {() => Omit<SlowQueryEntry, 'params'> & { params: any }} getEntry - Creates the log entry (only called for slow requests).
+   */
+  #record(operation, duration, failed, getEntry) {
+    const slow = this.#slowQueryThreshold !== null && duration >= this.#slowQueryThreshold;
+    const operationStats = (this.#stats.operations[operation] ??= {
+      count: 0,
+      errors: 0,
+      slow: 0,
+      totalTime: 0,
+      avgTime: 0,
+      maxTime: 0,
+    });
+    for (const stats of [this.#stats, operationStats]) {
+      stats.count++;
+      if (failed) stats.errors++;
+      if (slow) stats.slow++;
+      stats.totalTime += duration;
+      stats.avgTime = stats.totalTime / stats.count;
+      if (duration > stats.maxTime) stats.maxTime = duration;
+    }
+    if (!slow) return;
+
+    const entry = getEntry();
+    if (this.#redactParams === true) entry.params = '[REDACTED]';
+    else if (typeof this.#redactParams === 'function') {
+      const { params, ...info } = entry;
+      try {
+        entry.params = this.#redactParams(params, info);
+      } catch (err) {
+        console.error('[TinyDb] Failed to redact the query params:', err);
+        entry.params = '[REDACTED]';
+      }
+    }
+    try {
+      this.#slowQueryLogger(entry);
+    } catch (err) {
+      console.error('[TinyDb] Slow query logger failed:', err);
+    }
+  }
+
+  /**
+   * Sets the duration in milliseconds from which a request is logged as slow.
+   *
+   * @param {number|null} ms - The threshold, or `null` to disable the slow query log.
+   */
+  setSlowQueryThreshold(ms) {
+    if (ms !== null && (typeof ms !== 'number' || !Number.isFinite(ms) || ms < 0))
+      throw new Error('setSlowQueryThreshold ms must be a non-negative number or null');
+    this.#slowQueryThreshold = ms;
+  }
+
+  /**
+   * Returns the duration in milliseconds from which a request is logged as slow.
+   *
+   * @returns {number|null}
+   */
+  getSlowQueryThreshold() {
+    return this.#slowQueryThreshold;
+  }
+
+  /**
+   * Sets the idle time in milliseconds before the open transaction of a window is rolled back
+   * and the database is released. The timer restarts after each request of the window.
+   *
+   * @param {number|null} ms - The timeout, or `null` to let the transactions stay open.
+   */
+  setTransactionTimeout(ms) {
+    if (ms !== null && (!Number.isSafeInteger(ms) || ms < 1))
+      throw new Error('setTransactionTimeout ms must be a positive integer or null');
+    this.#transactionTimeout = ms;
+  }
+
+  /**
+   * Returns the idle time in milliseconds before the open transaction of a window is rolled back.
+   *
+   * @returns {number|null}
+   */
+  getTransactionTimeout() {
+    return this.#transactionTimeout;
+  }
+
+  /**
+   * Sets the function that receives the slow requests. The default one uses `console.warn`.
+   *
+   * @param {SlowQueryLogger} callback - The logger.
+   */
+  setSlowQueryLogger(callback) {
+    if (typeof callback !== 'function')
+      throw new Error('setSlowQueryLogger callback must be a function');
+    this.#slowQueryLogger = callback;
+  }
+
+  /**
+   * Sets how the query parameters are hidden in the slow query log.
+   *
+   * @param {boolean|ParamsRedactor} value - `true` to hide every parameter (default), `false` to log them,
+   * or a function that returns the parameters to log.
+   */
+  setRedactParams(value) {
+    if (typeof value !== 'boolean' && typeof value !== 'function')
+      throw new Error('setRedactParams value must be a boolean or a function');
+    this.#redactParams = value;
+  }
+
+  /**
+   * Returns a copy of the statistics of the requests received through the bridge.
+   *
+   * @returns {TinyDbStats}
+   */
+  getStats() {
+    return structuredClone(this.#stats);
+  }
+
+  /**
+   * Clears the statistics.
+   */
+  resetStats() {
+    this.#stats = TinyDb.#createStats();
+  }
+
   /**
    * Retrieves the `BrowserWindow` instance that originated the IPC event.
    *
@@ -129,48 +1756,257 @@ class TinyDb {
    *
    * @param {TinyIpcResponder} ipcResponder - The IPC responder instance used for communication.
    * @param {string} id - A unique identifier to namespace the IPC events.
+   * @param {Object} [options={}] - Extra options.
+   * @param {boolean} [options.strict=false] - If `true`, the renderer can only execute registered queries.
+   * @param {number} [options.cursorTimeout=60000] - Idle time in milliseconds before a cursor is closed.
+   * @param {number|null} [options.slowQueryThreshold=null] - Requests slower than this amount of milliseconds are logged. `null` disables the log.
+   * @param {number|null} [options.transactionTimeout=30000] - Idle time in milliseconds before the open transaction of a window is rolled back. `null` disables it.
    */
-  constructor(ipcResponder, id) {
+  constructor(
+    ipcResponder,
+    id,
+    {
+      strict = false,
+      cursorTimeout = 60000,
+      slowQueryThreshold = null,
+      transactionTimeout = 30000,
+    } = {},
+  ) {
     if (!(ipcResponder instanceof TinyIpcResponder))
       throw new Error('Invalid ipcResponder instance.');
     if (typeof id !== 'string') throw new Error('id must be a string.');
     this.#ipcResponder = ipcResponder;
     this.#id = id;
+    this.setCursorTimeout(cursorTimeout);
+    this.setStrict(strict);
+    this.setSlowQueryThreshold(slowQueryThreshold);
+    this.setTransactionTimeout(transactionTimeout);
+
+    this.#handle(`${this.#id}_run`, (event, value, signal) => {
+      this.#checkRawQuery();
+      const { query, params } = value;
+      return this.#run(query, params, signal, this.#getTransaction(event.sender));
+    });
 
-    this.#ipcResponder.on(`${this.#id}_run`, async (event, value, res) => {
-      const win = this.#getWin(event);
-      if (win) {
-        const { query, params } = value;
-        const result = await this.#run(query, params);
-        res(result);
-      } else res(null);
+    this.#handle(`${this.#id}_all`, (event, value, signal) => {
+      this.#checkRawQuery();
+      const { query, params } = value;
+      return this.#all(query, params, signal, this.#getTransaction(event.sender));
     });
 
-    this.#ipcResponder.on(`${this.#id}_all`, async (event, value, res) => {
-      const win = this.#getWin(event);
-      if (win) {
-        const { query, params } = value;
-        const result = await this.#all(query, params);
-        res(result);
-      } else res(null);
+    this.#handle(`${this.#id}_get`, (event, value, signal) => {
+      this.#checkRawQuery();
+      const { query, params } = value;
+      return this.#get(query, params, signal, this.#getTransaction(event.sender));
     });
 
-    this.#ipcResponder.on(`${this.#id}_get`, async (event, value, res) => {
-      const win = this.#getWin(event);
-      if (win) {
-        const { query, params } = value;
-        const result = await this.#get(query, params);
-        res(result);
-      } else res(null);
+    this.#handle(`${this.#id}_query`, (event, value, signal) => {
+      this.#checkRawQuery();
+      const { query, params } = value;
+      return this.#query(query, params, signal, this.#getTransaction(event.sender));
     });
 
-    this.#ipcResponder.on(`${this.#id}_query`, async (event, value, res) => {
-      const win = this.#getWin(event);
-      if (win) {
-        const { query, params } = value;
-        const result = await this.#query(query, params);
-        res(result);
-      } else res(null);
+    this.#handle(
+      `${this.#id}_exec`,
+      (event, { name, params = [] }, signal) => {
+        return this.#execNamed(name, params, signal, this.#getTransaction(event.sender));
+      },
+      { schema: execSchema },
+    );
+
+    this.#handle(
+      `${this.#id}_cursor_open`,
+      (event, { query, name, params = [], pageSize = 100 }) => {
+        if ((typeof query === 'string') === (typeof name === 'string'))
+          throw new Error('TinyDb: Cursors need a "query" or a "name".');
+        if (typeof name === 'string') {
+          const entry = this.#getNamedQuery(name, params);
+          // Cursors read rows, so only the queries executed with `all` can be used.
+          if (entry.method !== 'all')
+            throw this.#createQueryError(
+              'ECURSOR',
+              name,
+              `TinyDb: The query "${name}" uses "${entry.method}" and can't be used in a cursor.`,
+            );
+          return this.#openCursor(entry.sql, params, pageSize, event.sender);
+        }
+        this.#checkRawQuery();
+        return this.#openCursor(/** @type {string} */ (query), params, pageSize, event.sender);
+      },
+      { schema: cursorSchema },
+    );
+
+    this.#handle(
+      `${this.#id}_cursor_next`,
+      (event, id) => {
+        return this.#getCursor(id, event.sender.id).next();
+      },
+      { schema: idSchema },
+    );
+
+    this.#handle(
+      `${this.#id}_cursor_close`,
+      async (event, id) => {
+        const cursor = this.#cursors.get(id);
+        if (!cursor || cursor.windowId !== event.sender.id) return false;
+        await cursor.close();
+        return true;
+      },
+      { schema: idSchema },
+    );
+
+    this.#handle(
+      `${this.#id}_subscribe`,
+      (event, { id, table, query, params = [] }) => {
+        if ((typeof table === 'string') === (typeof query === 'string'))
+          throw new Error('TinyDb: Subscriptions need a "table" or a "query".');
+        if (typeof query === 'string') this.#getNamedQuery(query, params);
+        this.#addSubscription(event.sender, {
+          id,
+          table: table ?? null,
+          query: query ?? null,
+          params,
+        });
+        return true;
+      },
+      { schema: subscribeSchema },
+    );
+
+    this.#handle(
+      `${this.#id}_unsubscribe`,
+      (event, id) => {
+        return this.#removeSubscription(event.sender, id);
+      },
+      { schema: idSchema },
+    );
+
+    this.#handle(
+      `${this.#id}_transaction`,
+      async (event, { statements }, signal) => {
+        const webContents = event.sender;
+        if (this.#transactions.has(webContents.id))
+          throw new Error('TinyDb: This window already has an open transaction.');
+
+        /** @type {TransactionContext} */
+        const context = { id: crypto.randomUUID(), windowId: webContents.id };
+        // The batch is rolled back by its signal when the window is destroyed,
+        // so the slot is only reserved to block other transactions of the window.
+        this.#transactions.set(webContents.id, { context, cleanup: () => {}, batch: true });
+        try {
+          return await this.#execBatch(statements, context, signal);
+        } finally {
+          this.#transactions.delete(webContents.id);
+        }
+      },
+      { schema: transactionSchema },
+    );
+
+    this.#handle(`${this.#id}_begin`, async (event) => {
+      const webContents = event.sender;
+      if (this.#transactions.has(webContents.id))
+        throw new Error('TinyDb: This window already has an open transaction.');
+
+      /** @type {TransactionContext} */
+      const context = { id: crypto.randomUUID(), windowId: webContents.id };
+      await this.#acquireTransaction(context);
+      if (webContents.isDestroyed()) {
+        this.#releaseTransaction(context);
+        throw new Error('TinyDb: The window was destroyed.');
+      }
+      this.#openTransaction(webContents, context);
+      try {
+        await this.#transactionHooks.begin(context);
+      } catch (err) {
+        this.#closeTransaction(webContents, context.id);
+        this.#releaseTransaction(context);
+        throw err;
+      }
+      return context.id;
+    });
+
+    this.#handle(
+      `${this.#id}_commit`,
+      async (event, id) => {
+        const context = this.#closeTransaction(event.sender, id);
+        try {
+          await this.#transactionHooks.commit(context);
+        } catch (err) {
+          await this.#safeRollback(context);
+          throw err;
+        } finally {
+          this.#releaseTransaction(context);
+        }
+        return true;
+      },
+      { schema: idSchema },
+    );
+
+    this.#handle(
+      `${this.#id}_rollback`,
+      async (event, id) => {
+        const context = this.#closeTransaction(event.sender, id);
+        try {
+          await this.#transactionHooks.rollback(context);
+        } finally {
+          this.#releaseTransaction(context);
+        }
+        return true;
+      },
+      { schema: idSchema },
+    );
+
+    this.#handle(
+      `${this.#id}_queue_run`,
+      async (event, { id, query, name, params = [] }) => {
+        if (!this.#writeQueue)
+          throw this.#createQueryError(
+            'EUNAVAILABLE',
+            name ?? null,
+            `TinyDb: The write queue of "${this.#id}" is not enabled.`,
+          );
+        if ((typeof query === 'string') === (typeof name === 'string'))
+          throw new Error('TinyDb: Queued writes need a "query" or a "name".');
+        if (typeof name === 'string') this.#getNamedQuery(name, params);
+        else this.#checkRawQuery();
+
+        // Checked before the owner is set, so a duplicate id never replaces the owner of a write.
+        if (this.#writeOwners.has(id) || this.#writeQueue.has(id))
+          throw new Error(`TinyDb: The write "${id}" is already queued.`);
+        const webContents = event.sender;
+        this.#writeOwners.set(id, webContents);
+        /** @type {WriteReceipt} */
+        let receipt;
+        try {
+          receipt = await this.#writeQueue.push({
+            id,
+            group: this.#getWriteGroup(webContents),
+            query: query ?? null,
+            name: name ?? null,
+            params,
+          });
+        } catch (err) {
+          this.#writeOwners.delete(id);
+          throw err;
+        }
+        if (receipt.status === 'committed') this.#writeOwners.delete(id);
+        return receipt;
+      },
+      { schema: queueRunSchema },
+    );
+
+    this.#handle(`${this.#id}_queue_list`, (event) => {
+      if (!this.#writeQueue) return [];
+      return this.#writeQueue
+        .getWrites(this.#getWriteGroup(event.sender))
+        .map(({ id, query, name, attempts, createdAt, nextRetryAt, lastError }) => ({
+          id,
+          query,
+          name,
+          attempts,
+          createdAt,
+          nextRetryAt,
+          lastError,
+        }));
     });
   }
 }
@@ -0,0 +1,344 @@
+import { copyFile, mkdir, readdir, readFile, stat } from 'node:fs/promises';
+import { basename, join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { isJsonObject } from 'tiny-essentials';
+import { RootEvents } from '../global/Events.mjs';
+import { serializeError, toError } from '../global/Utils.mjs';
+import TinyDb from './TinyDb.mjs';
+import TinyElectronRoot from './TinyElectronRoot.mjs';
+
+/**
+ * A function that applies a migration. It runs inside the transaction of the migration, so it
+ * must use the given operations (`run`, `all`, `get`, `query` and `exec`).
+ *
+ * @typedef {(db: import('./TinyDb.mjs').TinyDbTransaction, migration: Migration) => any} MigrationHandler
+ */
+
+/**
+ * A schema migration.
+ *
+ * `up` can be a function, or SQL statements executed with `run`. Each migration and the
+ * version saved after it run in a single transaction.
+ *
+ * @typedef {Object} Migration
+ * @property {number} version - Positive integer. Migrations are applied from the lowest version to the highest.
+ * @property {string} [name] - Name shown in the progress events.
+ * @property {MigrationHandler|string|string[]} up - The migration.
+ */
+
+/**
+ * Functions used to read and save the version of the database.
+ *
+ * @typedef {Object} MigrationVersionStore
+ * @property {(db: TinyDb) => number|Promise<number>} get - Returns the applied version (`0` for a new database).
+ * @property {(db: import('./TinyDb.mjs').TinyDbTransaction, version: number) => any} set - Saves the applied version, inside the transaction of the migration.
+ */
+
+/**
+ * The result of `migrate()`.
+ *
+ * @typedef {Object} MigrationResult
+ * @property {number} from - Version before the migrations.
+ * @property {number} to - Version after the migrations.
+ * @property {number[]} applied - Versions applied, in order.
+ * @property {string|null} backup - Path of the backup file, if one was created.
+ */
+
+/**
+ * Default version store. It uses the SQLite `PRAGMA user_version`.
+ *
+ * @type {MigrationVersionStore}
+ */
+const pragmaVersion = {
+  get: async (db) => {
+    const row = await db.get('PRAGMA user_version', []);
+    const version = isJsonObject(row) ? row.user_version : row;
+    return typeof version === 'number' ? version : 0;
+  },
+  set: (db, version) => db.run(`PRAGMA user_version = ${version}`, []),
+};
+
+/** Names of the migration files: `<version>_<name>.<ext>`. */
+const fileRegex = /^(\d+)[_-](.+)\.(sql|mjs|cjs|js)$/;
+
+/**
+ * Applies ordered schema migrations to a main `TinyDb` at the app startup.
+ *
+ * While `migrate()` runs, every renderer request of the database waits, and if a migration
+ * fails they are rejected, so the app never serves queries to an old schema. Progress and
+ * failures are emitted as `TinyElectronRoot` events when a root is given.
+ *
+ * @class
+ */
+class TinyDbMigrator {
+  /** @type {TinyDb} */
+  #db;
+
+  /** @type {TinyElectronRoot|null} */
+  #root;
+
+  /** @type {MigrationVersionStore} */
+  #versionStore;
+
+  /** @type {{ file: string, dir: string }|null} */
+  #backup;
+
+  /** @type {Map<number, Migration>} */
+  #migrations = new Map();
+
+  /** @type {Promise<MigrationResult>|null} */
+  #running = null;
+
+  /**
+   * @param {TinyDb} db - The main process TinyDb instance.
+   * @param {Object} [options={}] - Extra options.
+   * @param {TinyElectronRoot|null} [options.root=null] - Root used to emit the migration events.
+   * @param {MigrationVersionStore} [options.version] - Custom version store. Defaults to `PRAGMA user_version`.
+   * @param {{ file: string, dir: string }|null} [options.backup=null] - Copies the database `file` into `dir` before the pending migrations run (e.g. `root.getAppDataSubdir('backups')`).
+   * @throws {TypeError} If the database or the options are invalid.
+   */
+  constructor(db, { root = null, version = pragmaVersion, backup = null } = {}) {
+    if (!(db instanceof TinyDb))
+      throw new TypeError('TinyDbMigrator: "db" must be a TinyDb instance.');
+    if (root !== null && !(root instanceof TinyElectronRoot))
+      throw new TypeError('TinyDbMigrator: "root" must be a TinyElectronRoot instance or null.');
+    if (
+      !isJsonObject(version) ||
+      typeof version.get !== 'function' ||
+      typeof version.set !== 'function'
+    )
+      throw new TypeError('TinyDbMigrator: "version" must have "get" and "set" functions.');
+    if (
+      backup !== null &&
+      (!isJsonObject(backup) || typeof backup.file !== 'string' || typeof backup.dir !== 'string')
+    )
+      throw new TypeError(
+        'TinyDbMigrator: "backup" must be null or an object with "file" and "dir" strings.',
+      );
+
+    this.#db = db;
+    this.#root = root;
+    this.#versionStore = { get: version.get, set: version.set };
+    this.#backup = backup ? { file: backup.file, dir: backup.dir } : null;
+  }
+
+  /**
+   * Adds one or more migrations.
+   *
+   * @param {Migration|Migration[]} migrations - The migrations.
+   * @throws {TypeError} If a migration is invalid.
+   * @throws {Error} If a version is already used.
+   */
+  add(migrations) {
+    for (const migration of Array.isArray(migrations) ? migrations : [migrations]) {
+      if (!isJsonObject(migration))
+        throw new TypeError('TinyDbMigrator: Migrations must be objects.');
+      const { version, name, up } = migration;
+      if (!Number.isSafeInteger(version) || version < 1)
+        throw new TypeError('TinyDbMigrator: "version" must be a positive integer.');
+      if (typeof name !== 'undefined' && typeof name !== 'string')
+        throw new TypeError(`TinyDbMigrator: "name" of the migration ${version} must be a string.`);
+      if (
+        typeof up !== 'function' &&
+        typeof up !== 'string' &&
+        !(Array.isArray(up) && up.every((sql) => typeof sql === 'string'))
+      )
+        throw new TypeError(
+          `TinyDbMigrator: "up" of the migration ${version} must be a function, a string or a list of strings.`,
+        );
+      if (this.#migrations.has(version))
+        throw new Error(`TinyDbMigrator: The migration ${version} already exists.`);
+      this.#migrations.set(version, { version, name: name ?? `migration_${version}`, up });
+    }
+  }
+
+  /**
+   * Adds every migration file of a folder. Files are named `<version>_<name>.<ext>`, like `002_add_users.sql`.
+   *
+   * - `.sql` files are executed with the `query` operation inside the transaction of the migration,
+   *   so it must accept many statements (e.g. SQLite `exec`) and the file must not open its own transaction.
+   * - `.mjs`, `.cjs` and `.js` files must export an `up` function (as `default` or as `up`).
+   *
+   * @param {string} dir - The folder of the migration files.
+   * @returns {Promise<number[]>} The versions added.
+   * @throws {Error} If a file is invalid or a version is already used.
+   */
+  async loadDir(dir) {
+    if (typeof dir !== 'string') throw new TypeError('TinyDbMigrator: "dir" must be a string.');
+
+    /** @type {Migration[]} */
+    const migrations = [];
+    for (const file of (await readdir(dir)).sort()) {
+      const match = file.match(fileRegex);
+      if (!match) continue;
+      const [, version, name, ext] = match;
+      const path = join(dir, file);
+      if (ext === 'sql') {
+        const sql = await readFile(path, 'utf8');
+        migrations.push({ version: Number(version), name, up: (db) => db.query(sql, []) });
+        continue;
+      }
+
+      const module = await import(pathToFileURL(path).href);
+      const up = typeof module.up === 'function' ? module.up : module.default;
+      if (typeof up !== 'function')
+        throw new Error(`TinyDbMigrator: The file "${file}" must export an "up" function.`);
+      migrations.push({ version: Number(version), name, up });
+    }
+
+    this.add(migrations);
+    return migrations.map((migration) => migration.version);
+  }
+
+  /**
+   * Returns every migration, from the lowest version to the highest.
+   *
+   * @returns {Migration[]}
+   */
+  getMigrations() {
+    return [...this.#migrations.values()].sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Returns the version of the database.
+   *
+   * @returns {Promise<number>}
+   */
+  async getVersion() {
+    const version = await this.#versionStore.get(this.#db);
+    if (!Number.isSafeInteger(version) || version < 0)
+      throw new Error(`TinyDbMigrator: Invalid database version "${version}".`);
+    return version;
+  }
+
+  /**
+   * Returns the migrations not applied yet.
+   *
+   * @returns {Promise<Migration[]>}
+   */
+  async getPending() {
+    const version = await this.getVersion();
+    return this.getMigrations().filter((migration) => migration.version > version);
+  }
+
+  /**
+   * Checks if the migrations are running.
+   *
+   * @returns {boolean}
+   */
+  isRunning() {
+    return this.#running !== null;
+  }
+
+  /**
+   * Emits a root event, if a root was given.
+   *
+   * @param {string} event - The event name.
+   * @param {any} data - The event data.
+   */
+  #emit(event, data) {
+    if (this.#root) this.#root.emit(event, { db: this.#db.getId(), ...data });
+  }
+
+  /**
+   * Copies the database file into the backup folder.
+   *
+   * @param {number} version - The current version, used in the backup name.
+   * @returns {Promise<string|null>} The backup path, or `null` if the database file doesn't exist yet.
+   */
+  async #createBackup(version) {
+    if (!this.#backup) return null;
+    const { file, dir } = this.#backup;
+    try {
+      await stat(file);
+    } catch (err) {
+      // On the first run the database file is usually not created yet, so there is nothing to save.
+      if (/** @type {NodeJS.ErrnoException} */ (err).code === 'ENOENT') return null;
+      throw err;
+    }
+    await mkdir(dir, { recursive: true });
+    const path = join(dir, `${basename(file)}.v${version}.${Date.now()}.bak`);
+    await copyFile(file, path);
+    return path;
+  }
+
+  /**
+   * Applies the pending migrations.
+   *
+   * @returns {Promise<MigrationResult>}
+   */
+  async #migrate() {
+    /** @type {Migration|null} */
+    let current = null;
+    /** @type {number[]} */
+    const applied = [];
+    try {
+      const from = await this.getVersion();
+      const pending = this.getMigrations().filter((migration) => migration.version > from);
+      /** @type {MigrationResult} */
+      const result = { from, to: from, applied, backup: null };
+      if (pending.length === 0) return result;
+
+      result.backup = await this.#createBackup(from);
+      this.#emit(RootEvents.DbMigrationStart, {
+        from,
+        to: pending[pending.length - 1].version,
+        pending: pending.map(({ version, name }) => ({ version, name })),
+      });
+
+      for (const [index, migration] of pending.entries()) {
+        const { version, name, up } = migration;
+        current = migration;
+        await this.#db.runInTransaction(async (tx) => {
+          if (typeof up === 'function') await up(tx, migration);
+          else for (const query of Array.isArray(up) ? up : [up]) await tx.run(query, []);
+          await this.#versionStore.set(tx, version);
+        });
+        current = null;
+
+        result.to = version;
+        applied.push(version);
+        this.#emit(RootEvents.DbMigrationProgress, {
+          version,
+          name,
+          index: index + 1,
+          total: pending.length,
+        });
+      }
+
+      this.#emit(RootEvents.DbMigrationDone, { ...result });
+      return result;
+    } catch (err) {
+      // Failures before the first migration (reading the version, the backup) have no version.
+      this.#emit(RootEvents.DbMigrationError, {
+        version: current?.version ?? null,
+        name: current?.name ?? null,
+        applied: [...applied],
+        error: serializeError(toError(err)),
+      });
+      throw err;
+    }
+  }
+
+  /**
+   * Applies every pending migration, from the lowest version to the highest.
+   *
+   * Each migration and its version are saved in a single transaction, so a failed migration is
+   * rolled back as a whole. The renderer requests of the database wait until it finishes.
+   * If a migration fails, the version stays at the last applied migration and the requests are rejected with a
+   * `TinyDbQueryError` (code `EUNAVAILABLE`) until `migrate()` succeeds.
+   *
+   * @returns {Promise<MigrationResult>}
+   */
+  migrate() {
+    if (this.#running) return this.#running;
+    const running = this.#migrate().finally(() => {
+      this.#running = null;
+    });
+    this.#running = running;
+    this.#db.lockUntil(running);
+    return running;
+  }
+}
+
+export default TinyDbMigrator;
@@ -0,0 +1,183 @@
+import { isJsonObject } from 'tiny-essentials';
+import TinyDb from './TinyDb.mjs';
+import TinyElectronRoot from './TinyElectronRoot.mjs';
+
+/**
+ * Windows allowed to use a database. It is applied as a `TinyIpcPolicy` rule to every channel of the database.
+ *
+ * @typedef {import('./TinyIpcPolicy.mjs').IpcPolicyRule} TinyDbScope
+ */
+
+/**
+ * Keeps several `TinyDb` instances under names, each one optionally scoped to some windows.
+ *
+ * Every database is namespaced as `<prefix>:<name>`, and the preload `TinyDbRegistry`
+ * (with the same prefix) gives the renderer a handle of it with `use(name)`.
+ * Scopes use the IPC policy of the root, so denied windows receive an `IpcAccessError`.
+ *
+ * @class
+ */
+class TinyDbRegistry {
+  /** @type {TinyElectronRoot} */
+  #root;
+
+  /** @type {string} */
+  #prefix;
+
+  /** @type {Map<string, { db: TinyDb, scope: TinyDbScope|null }>} */
+  #dbs = new Map();
+
+  /**
+   * @param {TinyElectronRoot} root - The root whose IPC responder and IPC policy are used.
+   * @param {Object} [options={}] - Extra options.
+   * @param {string} [options.prefix='tiny-db'] - Prefix of the database ids. Must match the preload registry.
+   * @throws {TypeError} If the root or the prefix are invalid.
+   */
+  constructor(root, { prefix = 'tiny-db' } = {}) {
+    if (!(root instanceof TinyElectronRoot))
+      throw new TypeError('TinyDbRegistry: "root" must be a TinyElectronRoot instance.');
+    if (typeof prefix !== 'string' || prefix.trim() === '')
+      throw new TypeError('TinyDbRegistry: "prefix" must be a non-empty string.');
+    this.#root = root;
+    this.#prefix = prefix;
+  }
+
+  /**
+   * Returns the prefix of the database ids.
+   *
+   * @returns {string}
+   */
+  getPrefix() {
+    return this.#prefix;
+  }
+
+  /**
+   * Validates a database name.
+   *
+   * @param {string} name - The database name.
+   * @throws {TypeError} If the name is invalid.
+   */
+  #checkName(name) {
+    if (typeof name !== 'string' || !/^[A-Za-z0-9_-]+$/.test(name))
+      throw new TypeError(
+        `TinyDbRegistry: Invalid database name "${name}". Use only letters, numbers, "_" and "-".`,
+      );
+  }
+
+  /**
+   * Returns a registered database.
+   *
+   * @param {string} name - The database name.
+   * @returns {{ db: TinyDb, scope: TinyDbScope|null }}
+   * @throws {Error} If the database is not registered.
+   */
+  #getEntry(name) {
+    const entry = this.#dbs.get(name);
+    if (!entry) throw new Error(`TinyDbRegistry: The database "${name}" is not attached.`);
+    return entry;
+  }
+
+  /**
+   * Creates a database under a name.
+   *
+   * @param {string} name - The database name (e.g. `cache`).
+   * @param {ConstructorParameters<typeof TinyDb>[2] & { scope?: TinyDbScope|null }} [options={}] - The options of the `TinyDb`
+   * constructor (`strict`, `cursorTimeout`...), and `scope`: the windows allowed to use the database (`null` allows every window).
+   * @returns {TinyDb} The new database. Set its callbacks like any other `TinyDb`.
+   * @throws {Error} If the name is already used.
+   * @throws {TypeError} If the name or the scope are invalid.
+   */
+  attach(name, { scope = null, ...options } = {}) {
+    this.#checkName(name);
+    if (this.#dbs.has(name))
+      throw new Error(`TinyDbRegistry: The database "${name}" is already attached.`);
+
+    const db = new TinyDb(this.#root.getIpcResponder(), `${this.#prefix}:${name}`, options);
+    this.#dbs.set(name, { db, scope: null });
+    try {
+      this.setScope(name, scope);
+    } catch (err) {
+      this.detach(name);
+      throw err;
+    }
+    return db;
+  }
+
+  /**
+   * Sets (or removes) the windows allowed to use a database.
+   *
+   * @param {string} name - The database name.
+   * @param {TinyDbScope|null} scope - The scope, or `null` to allow every window.
+   * @throws {Error} If the database is not attached.
+   * @throws {TypeError} If the scope is invalid.
+   */
+  setScope(name, scope) {
+    const entry = this.#getEntry(name);
+    if (scope !== null && !isJsonObject(scope))
+      throw new TypeError('TinyDbRegistry: "scope" must be an object or null.');
+
+    const policy = this.#root.getIpcPolicy();
+    const channels = entry.db.getChannels();
+    if (scope === null) for (const channel of channels) policy.removeRule(channel);
+    else for (const channel of channels) policy.setRule(channel, scope);
+    entry.scope = scope === null ? null : policy.getRule(channels[0]);
+  }
+
+  /**
+   * Returns the scope of a database.
+   *
+   * @param {string} name - The database name.
+   * @returns {TinyDbScope|null} The scope, or `null` if every window can use it.
+   * @throws {Error} If the database is not attached.
+   */
+  getScope(name) {
+    return this.#getEntry(name).scope;
+  }
+
+  /**
+   * Returns a database.
+   *
+   * @param {string} name - The database name.
+   * @returns {TinyDb|null} The database, or `null` if it is not attached.
+   */
+  get(name) {
+    return this.#dbs.get(name)?.db ?? null;
+  }
+
+  /**
+   * Checks if a database is attached.
+   *
+   * @param {string} name - The database name.
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.#dbs.has(name);
+  }
+
+  /**
+   * Returns the names of all attached databases.
+   *
+   * @returns {string[]}
+   */
+  getNames() {
+    return [...this.#dbs.keys()];
+  }
+
+  /**
+   * Removes a database. Its channels, scope rules, subscriptions and open transactions are removed too.
+   *
+   * @param {string} name - The database name.
+   * @returns {boolean} `true` if the database was removed.
+   */
+  detach(name) {
+    const entry = this.#dbs.get(name);
+    if (!entry) return false;
+    const policy = this.#root.getIpcPolicy();
+    for (const channel of entry.db.getChannels()) policy.removeRule(channel);
+    entry.db.destroy();
+    this.#dbs.delete(name);
+    return true;
+  }
+}
+
+export default TinyDbRegistry;
@@ -0,0 +1,462 @@
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { isJsonObject } from 'tiny-essentials';
+import { serializeError, toError } from '../global/Utils.mjs';
+import TinyFileCipher from './TinyFileCipher.mjs';
+
+/**
+ * Status of a queued write.
+ *
+ * - `queued`: The write is saved in the queue file and waits for its turn or for a retry.
+ * - `retrying`: An attempt failed, and the write will be retried later.
+ * - `committed`: The write was executed.
+ * - `failed`: The write failed with an error that can't be retried, or used every attempt.
+ *
+ * @typedef {'queued'|'retrying'|'committed'|'failed'} WriteStatus
+ */
+
+/**
+ * A write kept by the queue.
+ *
+ * @typedef {Object} QueuedWrite
+ * @property {string} id - Id of the write, created by the window.
+ * @property {string} group - Writes of the same group are executed in order. It must be stable across app runs (e.g. the window key).
+ * @property {string|null} query - Raw query, or `null` for a registered query.
+ * @property {string|null} name - Name of the registered query, or `null` for a raw query.
+ * @property {any[]} params - Query parameters.
+ * @property {number} attempts - Amount of failed attempts.
+ * @property {number} createdAt - Time when the write was received (ms since epoch).
+ * @property {number|null} nextRetryAt - Time of the next attempt, or `null` if it can run now.
+ * @property {ReturnType<typeof serializeError>|null} lastError - Error of the last attempt.
+ */
+
+/**
+ * The message sent when the status of a write changes.
+ *
+ * @typedef {Object} WriteStatusEvent
+ * @property {string} id - Id of the write.
+ * @property {Exclude<WriteStatus, 'queued'>} status - The new status.
+ * @property {number} attempts - Amount of failed attempts.
+ * @property {number|null} nextRetryAt - Time of the next attempt, if any.
+ * @property {any} [result] - Result of the query (only `committed`).
+ * @property {ReturnType<typeof serializeError>} [error] - Error of the last attempt (`retrying` and `failed`).
+ */
+
+/**
+ * Result of `push()`. A write that was not committed at once keeps receiving status events.
+ *
+ * @typedef {Object} WriteReceipt
+ * @property {string} id - Id of the write.
+ * @property {'queued'|'committed'} status - Status after the first attempt.
+ * @property {any} [result] - Result of the query (only `committed`).
+ * @property {ReturnType<typeof serializeError>} [error] - Error of the first attempt (only `queued`).
+ */
+
+/**
+ * Options of the write queue.
+ *
+ * @typedef {Object} WriteQueueOptions
+ * @property {string} file - File where the queued writes are saved.
+ * @property {TinyFileCipher|null} [cipher=null] - Encrypts the queue file.
+ * @property {number} [retryDelay=1000] - Delay before the first retry, in milliseconds. It doubles on every failure.
+ * @property {number} [maxRetryDelay=60000] - Max delay between two attempts, in milliseconds.
+ * @property {number} [maxAttempts=10] - Attempts before a write fails. `Infinity` retries forever.
+ * @property {(error: Error, write: QueuedWrite) => boolean} [shouldRetry] - Returns `false` for errors that can't be fixed by a retry. Defaults to retrying every error.
+ */
+
+/**
+ * Durable queue of the writes that failed, used by the main `TinyDb`.
+ *
+ * A write is executed at once when its group is empty. If it fails with an error that can be
+ * retried, it is saved in the queue file and retried with an exponential backoff. While a group
+ * has queued writes, new writes of the group wait behind them, so their order is kept.
+ * The queue file is loaded again by `load()`, so the writes survive a restart.
+ *
+ * @class
+ */
+class TinyDbWriteQueue {
+  /** @type {string} */
+  #file;
+
+  /** @type {TinyFileCipher|null} */
+  #cipher;
+
+  /** @type {number} */
+  #retryDelay;
+
+  /** @type {number} */
+  #maxRetryDelay;
+
+  /** @type {number} */
+  #maxAttempts;
+
+  /** @type {(error: Error, write: QueuedWrite) => boolean} */
+  #shouldRetry;
+
+  /** @type {(write: QueuedWrite, signal: AbortSignal) => Promise<any>} */
+  #execute;
+
+  /** @type {(event: WriteStatusEvent) => void} */
+  #onStatus;
+
+  /**
+   * Writes of every group, in order. The first write of a group is the next one executed.
+   * @type {Map<string, { writes: QueuedWrite[], running: boolean, timer: NodeJS.Timeout|null }>}
+   */
+  #groups = new Map();
+
+  /**
+   * Ids of the writes saved in the queue file.
+   * @type {Set<string>}
+   */
+  #saved = new Set();
+
+  /**
+   * Callbacks of the writes waiting for their first attempt, used by `push()`.
+   * @type {Map<string, { resolve: (receipt: WriteReceipt) => void, reject: (err: Error) => void }>}
+   */
+  #waiting = new Map();
+
+  /** @type {Promise<void>} */
+  #saving = Promise.resolve();
+
+  #controller = new AbortController();
+
+  /**
+   * @param {WriteQueueOptions} options - The queue options.
+   * @param {(write: QueuedWrite, signal: AbortSignal) => Promise<any>} execute - Executes a write.
+   * @param {(event: WriteStatusEvent) => void} onStatus - Called when the status of a queued write changes.
+   * @throws {TypeError} If the options are invalid.
+   */
+  constructor(
+    {
+      file,
+      cipher = null,
+      retryDelay = 1000,
+      maxRetryDelay = 60000,
+      maxAttempts = 10,
+      shouldRetry = () => true,
+    },
+    execute,
+    onStatus,
+  ) {
+    if (typeof file !== 'string' || file.trim() === '')
+      throw new TypeError('TinyDb: Write queue "file" must be a non-empty string.');
+    if (cipher !== null && !(cipher instanceof TinyFileCipher))
+      throw new TypeError(
+        'TinyDb: Write queue "cipher" must be a TinyFileCipher instance or null.',
+      );
+    if (!Number.isSafeInteger(retryDelay) || retryDelay < 1)
+      throw new TypeError('TinyDb: Write queue "retryDelay" must be a positive integer.');
+    if (!Number.isSafeInteger(maxRetryDelay) || maxRetryDelay < retryDelay)
+      throw new TypeError(
+        'TinyDb: Write queue "maxRetryDelay" must be an integer not lower than "retryDelay".',
+      );
+    if (maxAttempts !== Infinity && (!Number.isSafeInteger(maxAttempts) || maxAttempts < 1))
+      throw new TypeError(
+        'TinyDb: Write queue "maxAttempts" must be a positive integer or Infinity.',
+      );
+    if (typeof shouldRetry !== 'function')
+      throw new TypeError('TinyDb: Write queue "shouldRetry" must be a function.');
+
+    this.#file = file;
+    this.#cipher = cipher;
+    this.#retryDelay = retryDelay;
+    this.#maxRetryDelay = maxRetryDelay;
+    this.#maxAttempts = maxAttempts;
+    this.#shouldRetry = shouldRetry;
+    this.#execute = execute;
+    this.#onStatus = onStatus;
+  }
+
+  /**
+   * Loads the writes saved in the queue file and starts retrying them.
+   *
+   * @returns {Promise<number>} Amount of writes loaded.
+   * @throws {Error} If the file exists but is not a valid queue file.
+   */
+  async load() {
+    /** @type {unknown} */
+    let data;
+    try {
+      const raw = this.#cipher
+        ? await this.#cipher.readFile(this.#file)
+        : await readFile(this.#file);
+      data = JSON.parse(raw.toString('utf8'));
+    } catch (err) {
+      if (/** @type {NodeJS.ErrnoException} */ (err).code === 'ENOENT') return 0;
+      throw err;
+    }
+    if (!isJsonObject(data) || !Array.isArray(data.writes))
+      throw new Error(`TinyDb: The write queue file "${this.#file}" is not valid.`);
+
+    let amount = 0;
+    for (const write of /** @type {QueuedWrite[]} */ (data.writes)) {
+      if (!isJsonObject(write) || typeof write.id !== 'string' || typeof write.group !== 'string')
+        continue;
+      if (this.#saved.has(write.id)) continue;
+      this.#getGroup(write.group).writes.push({ ...write, nextRetryAt: null });
+      this.#saved.add(write.id);
+      amount++;
+    }
+    for (const group of this.#groups.keys()) this.#process(group);
+    return amount;
+  }
+
+  /**
+   * Returns a group, creating it if needed.
+   *
+   * @param {string} group - The group name.
+   */
+  #getGroup(group) {
+    let data = this.#groups.get(group);
+    if (!data) {
+      data = { writes: [], running: false, timer: null };
+      this.#groups.set(group, data);
+    }
+    return data;
+  }
+
+  /**
+   * Saves the queued writes to the queue file. Saves run one after another.
+   *
+   * @returns {Promise<void>}
+   */
+  #save() {
+    const saving = this.#saving.then(async () => {
+      /** @type {QueuedWrite[]} */
+      const writes = [];
+      for (const { writes: list } of this.#groups.values())
+        for (const write of list) if (this.#saved.has(write.id)) writes.push(write);
+
+      const json = JSON.stringify({ writes });
+      const tmpFile = `${this.#file}.tmp`;
+      await mkdir(dirname(this.#file), { recursive: true });
+      await writeFile(tmpFile, this.#cipher ? this.#cipher.encrypt(json) : json);
+      await rename(tmpFile, this.#file);
+    });
+    this.#saving = saving.catch(() => {});
+    return saving;
+  }
+
+  /**
+   * Adds a write. It is executed at once if its group has no queued writes.
+   *
+   * @param {Omit<QueuedWrite, 'attempts'|'createdAt'|'nextRetryAt'|'lastError'>} data - The write.
+   * @returns {Promise<WriteReceipt>}
+   * @throws {Error} If a write with the same id is already queued, or the write failed with an error that can't be retried.
+   */
+  async push({ id, group, query, name, params }) {
+    if (this.has(id)) throw new Error(`TinyDb: The write "${id}" is already queued.`);
+
+    const { writes } = this.#getGroup(group);
+    writes.push({
+      id,
+      group,
+      query,
+      name,
+      params,
+      attempts: 0,
+      createdAt: Date.now(),
+      nextRetryAt: null,
+      lastError: null,
+    });
+
+    if (writes.length > 1) {
+      this.#saved.add(id);
+      try {
+        await this.#save();
+      } catch (err) {
+        // The caller is told that the write failed, so it must never run.
+        const data = this.#groups.get(group);
+        const index = data ? data.writes.findIndex((write) => write.id === id) : -1;
+        // Already started: it can't be undone anymore, so its status events are sent as usual.
+        if (!data || index < 0 || (index === 0 && data.running)) return { id, status: 'queued' };
+        data.writes.splice(index, 1);
+        this.#saved.delete(id);
+        if (data.writes.length === 0 && !data.running) {
+          if (data.timer) clearTimeout(data.timer);
+          this.#groups.delete(group);
+        }
+        throw err;
+      }
+      return { id, status: 'queued' };
+    }
+
+    /** @type {Promise<WriteReceipt>} */
+    const receipt = new Promise((resolve, reject) => this.#waiting.set(id, { resolve, reject }));
+    this.#process(group);
+    return receipt;
+  }
+
+  /**
+   * Executes the writes of a group in order, until the group is empty or a write must wait.
+   *
+   * @param {string} group - The group name.
+   */
+  async #process(group) {
+    const data = this.#groups.get(group);
+    if (!data || data.running || data.timer) return;
+    data.running = true;
+    try {
+      while (data.writes.length > 0 && !this.#controller.signal.aborted) {
+        const write = data.writes[0];
+        const wait = (write.nextRetryAt ?? 0) - Date.now();
+        if (wait > 0) {
+          data.timer = setTimeout(() => {
+            data.timer = null;
+            this.#process(group);
+          }, wait);
+          return;
+        }
+        await this.#attempt(write);
+        if (write.nextRetryAt === null) data.writes.shift();
+      }
+      if (data.writes.length === 0) this.#groups.delete(group);
+    } finally {
+      data.running = false;
+    }
+  }
+
+  /**
+   * Executes a write once. Sets `nextRetryAt` if it must be retried.
+   *
+   * @param {QueuedWrite} write - The write.
+   */
+  async #attempt(write) {
+    const waiting = this.#waiting.get(write.id);
+    this.#waiting.delete(write.id);
+    write.nextRetryAt = null;
+
+    /** @type {any} */
+    let result;
+    try {
+      result = await this.#execute(write, this.#controller.signal);
+    } catch (err) {
+      const error = toError(err);
+      // Destroyed while running: the write stays in the queue file for the next start.
+      if (this.#controller.signal.aborted) {
+        if (waiting) waiting.reject(error);
+        return;
+      }
+
+      write.attempts++;
+      write.lastError = serializeError(error);
+      const retry = write.attempts < this.#maxAttempts && this.#shouldRetry(error, write);
+
+      if (!retry) {
+        if (waiting) waiting.reject(error);
+        else this.#emit(write, 'failed', { error: write.lastError });
+        await this.#forget(write);
+        return;
+      }
+
+      write.nextRetryAt =
+        Date.now() + Math.min(this.#retryDelay * 2 ** (write.attempts - 1), this.#maxRetryDelay);
+      this.#saved.add(write.id);
+      try {
+        await this.#save();
+      } catch (saveErr) {
+        // The write can't be made durable, so it is not kept.
+        write.nextRetryAt = null;
+        this.#saved.delete(write.id);
+        if (waiting) waiting.reject(toError(saveErr));
+        else this.#emit(write, 'failed', { error: serializeError(toError(saveErr)) });
+        return;
+      }
+      if (waiting) waiting.resolve({ id: write.id, status: 'queued', error: write.lastError });
+      else this.#emit(write, 'retrying', { error: write.lastError });
+      return;
+    }
+
+    if (waiting) waiting.resolve({ id: write.id, status: 'committed', result });
+    else this.#emit(write, 'committed', { result });
+    await this.#forget(write);
+  }
+
+  /**
+   * Removes a finished write from the queue file.
+   *
+   * @param {QueuedWrite} write - The write.
+   */
+  async #forget(write) {
+    if (!this.#saved.delete(write.id)) return;
+    // The write already ran, so a failed save only means it may run again after a restart.
+    await this.#save().catch(() => {});
+  }
+
+  /**
+   * Sends a status event.
+   *
+   * @param {QueuedWrite} write - The write.
+   * @param {Exclude<WriteStatus, 'queued'>} status - The new status.
+   * @param {{ result?: any, error?: ReturnType<typeof serializeError>|null }} [extra={}] - Result or error.
+   */
+  #emit(write, status, { result, error } = {}) {
+    /** @type {WriteStatusEvent} */
+    const event = {
+      id: write.id,
+      status,
+      attempts: write.attempts,
+      nextRetryAt: write.nextRetryAt,
+    };
+    if (status === 'committed') event.result = result;
+    if (error) event.error = error;
+    this.#onStatus(event);
+  }
+
+  /**
+   * Checks if a write with this id is queued or running.
+   *
+   * @param {string} id - Id of the write.
+   * @returns {boolean}
+   */
+  has(id) {
+    for (const { writes } of this.#groups.values())
+      if (writes.some((write) => write.id === id)) return true;
+    return false;
+  }
+
+  /**
+   * Returns copies of the queued writes.
+   *
+   * @param {string} [group] - Only returns the writes of this group.
+   * @returns {QueuedWrite[]}
+   */
+  getWrites(group) {
+    /** @type {QueuedWrite[]} */
+    const result = [];
+    for (const [name, { writes }] of this.#groups)
+      if (group === undefined || name === group)
+        for (const write of writes)
+          if (this.#saved.has(write.id)) result.push(structuredClone(write));
+    return result;
+  }
+
+  /**
+   * Retries every waiting write now, without waiting for its backoff delay.
+   */
+  retryNow() {
+    for (const [group, data] of this.#groups) {
+      if (data.timer) {
+        clearTimeout(data.timer);
+        data.timer = null;
+      }
+      if (data.writes[0]) data.writes[0].nextRetryAt = null;
+      this.#process(group);
+    }
+  }
+
+  /**
+   * Stops the retries. The queued writes stay in the queue file.
+   */
+  destroy() {
+    this.#controller.abort();
+    for (const data of this.#groups.values()) if (data.timer) clearTimeout(data.timer);
+    for (const { reject } of this.#waiting.values())
+      reject(new Error('TinyDb: The write queue was destroyed.'));
+    this.#waiting.clear();
+  }
+}
+
+export default TinyDbWriteQueue;
@@ -1,16 +1,27 @@
-import { existsSync, lstatSync, writeFileSync, mkdirSync } from 'node:fs';
+import { existsSync, lstatSync, mkdirSync } from 'node:fs';
 import { resolve as resolvePath, relative, isAbsolute as isAbsolutePath, join } from 'node:path';
 
 import { EventEmitter } from 'events';
-import { app, BrowserWindow, ipcMain, session, powerMonitor, Tray } from 'electron';
+import {
+  app,
+  BrowserWindow,
+  ipcMain,
+  MessageChannelMain,
+  session,
+  powerMonitor,
+  Tray,
+} from 'electron';
 import { release, platform } from 'node:os';
 
 import { isJsonObject } from 'tiny-essentials';
 import { AppEvents, RootEvents } from '../global/Events.mjs';
 import { checkEventsList, deepClone, serializeError } from '../global/Utils.mjs';
+import { AppEventSchemas } from '../global/IpcSchema.mjs';
+import { createEnvelope, nextEnvelopeSeq } from '../global/Envelope.mjs';
 import TinyWinInstance from './TinyWinInstance.mjs';
 import TinyWindowFile from './TinyWindowFile.mjs';
 import TinyIpcResponder from './TinyIpcResponder.mjs';
+import TinyIpcPolicy from './TinyIpcPolicy.mjs';
 
 // Remove electron security warnings
 // This warning only shows in development mode
@@ -20,17 +31,84 @@ import TinyIpcResponder from './TinyIpcResponder.mjs';
 /** @typedef {import('./TinyWindowFile.mjs').InitConfig} WinInitFile */
 /** @typedef {import('./TinyIpcResponder.mjs').IPCRespondCallback} IPCRespondCallback */
 
+/**
+ * Information about the other side of a window port, sent together with the port.
+ *
+ * @typedef {Object} WindowPortPeer
+ * @property {string|number|null} key - Key of the peer window, or `null` if it is the main window.
+ * @property {number} id - The BrowserWindow id of the peer window.
+ * @property {boolean} isMain - `true` if the peer is the main window.
+ */
+
+/**
+ * Role of a window. Each role has its own defaults (see `WindowRoles`):
+ * - `default`: A regular window.
+ * - `singleton`: Only one window exists for its key. Creating it again focuses the existing window.
+ * - `modal`: A dialog window: no minimize, maximize or full screen, and hidden from the taskbar.
+ * - `utility`: A small tool window kept above the others.
+ * - `document`: A regular window that really closes (never minimizes on close) and doesn't start maximized.
+ *
+ * @typedef {'default'|'singleton'|'modal'|'utility'|'document'} WindowRole
+ */
+
+/**
+ * Defaults applied to the windows of a role.
+ *
+ * @typedef {Object} WindowRoleDefaults
+ * @property {Electron.BrowserWindowConstructorOptions} config - Options merged under the window `config`.
+ * @property {boolean} needsMaximize - Default value of `needsMaximize`.
+ * @property {boolean} [minimizeOnClose] - Default value of `minimizeOnClose`.
+ */
+
+/**
+ * Defaults of every window role.
+ * @type {Record<WindowRole, WindowRoleDefaults>}
+ */
+const WindowRoles = {
+  default: { config: {}, needsMaximize: true },
+  singleton: { config: {}, needsMaximize: true },
+  modal: {
+    config: {
+      minimizable: false,
+      maximizable: false,
+      fullscreenable: false,
+      skipTaskbar: true,
+      center: true,
+    },
+    needsMaximize: false,
+    minimizeOnClose: false,
+  },
+  utility: {
+    config: {
+      width: 400,
+      height: 500,
+      minimizable: false,
+      maximizable: false,
+      fullscreenable: false,
+      skipTaskbar: true,
+      alwaysOnTop: true,
+    },
+    needsMaximize: false,
+    minimizeOnClose: false,
+  },
+  document: { config: {}, needsMaximize: false, minimizeOnClose: false },
+};
+
 /**
  * @typedef {Object} NewBrowserOptions - Configuration for the new BrowserWindow.
- * @property {Electron.BrowserWindowConstructorOptions} [config] - Configuration for the new BrowserWindow.
+ * @property {Electron.BrowserWindowConstructorOptions} [config={}] - Configuration for the new BrowserWindow. Merged over the role defaults.
  * @property {Electron.AppDetailsOptions} [appDetails={ appId: this.getAppId(), appIconPath: this.getIcon(), relaunchDisplayName: this.getTitle() }] - Configuration for the browser app details.
  * @property {boolean} [openWithBrowser=this.#openWithBrowser] - If you will make all links open with the browser, not with the application.
  * @property {boolean} [show=true] - The window will appear when the load is finished.
- * @property {string} [fileId] - (Optional) Id file of the window in the manager.
+ * @property {string} [fileId] - (Optional) Id file of the window in the manager. With a window state store, defaults to `key`.
+ * @property {string} [key] - (Optional) Stable name of the window, used with `getWin(key)` and `getWinInstance(key)`. Without it, the window receives an auto-incremented number.
+ * @property {WindowRole} [role='default'] - Role of the window, which gives the defaults of `config`, `needsMaximize` and `minimizeOnClose`. Defaults to `modal` for modal windows.
+ * @property {TinyWinInstance} [parent] - (Optional) Parent window. The child opens centered over it, hides and closes with it, and can submit a result (see `waitWindowResult()`).
+ * @property {boolean} [modal=false] - Whether the child window blocks its parent. Needs a `parent`.
  * @property {string[]} [urls=['https:', 'http:']] - List of allowed URL protocols to permit external opening.
  * @property {boolean} [isMain=false] - Whether this window is the main application window.
- * @property {boolean} [needsMaximize=true] - It is necessary to make auto maximize on startup.
- * @property {boolean} [minimizeOnClose] - Overrides the default behavior to minimize the window instead of closing it. Falls back to `this.getMinimizeOnClose()` if not provided.
+ * @property {boolean} [needsMaximize] - It is necessary to make auto maximize on startup. Falls back to the role default (`true` for `default` and `singleton`).
+ * @property {boolean} [minimizeOnClose] - Overrides the default behavior to minimize the window instead of closing it. Falls back to the role default, then to `this.getMinimizeOnClose()`.
  */
 
 /**
@@ -48,6 +126,7 @@ import TinyIpcResponder from './TinyIpcResponder.mjs';
 class TinyElectronRoot {
   #AppEvents = AppEvents;
   #winFile = new TinyWindowFile();
+  #ipcPolicy = new TinyIpcPolicy();
 
   /**
    * Checks if a given value exists in the AppEvents values.
@@ -313,7 +392,7 @@ class TinyElectronRoot {
   /** @type {Map<string, Electron.Tray>} */
   #trays = new Map();
 
-  /** @type {Map<number, boolean>} */
+  /** @type {Map<number|string, boolean>} */
   #winMinimizeOnClose = new Map();
 
   /**
@@ -340,11 +419,23 @@ class TinyElectronRoot {
   #win = null;
 
   /**
-   * A map of all created window instances indexed by their internal numeric ID.
+   * A map of all created window instances indexed by their key (or auto-incremented number).
    * @type {Map<number|string, TinyWinInstance>}
    */
   #wins = new Map();
 
+  /**
+   * Child windows, with their parent and the result waiting for them.
+   * @type {Map<TinyWinInstance, { parent: TinyWinInstance, result: Promise<any>, resolve: (value: any) => void, done: boolean }>}
+   */
+  #childWins = new Map();
+
+  /**
+   * MessagePort connections brokered between two windows, indexed by name.
+   * @type {Map<string, { first: TinyWinInstance, second: TinyWinInstance, cleanup: () => void }>}
+   */
+  #windowPorts = new Map();
+
   /**
    * Ensures the provided value is a valid Electron BrowserWindow instance.
    * @param {BrowserWindow} win - The window object to validate.
@@ -367,6 +458,47 @@ class TinyElectronRoot {
     return null;
   }
 
+  /**
+   * Checks if an IPC request is allowed by the IPC policy.
+   *
+   * Denied requests emit the `IpcAccessDenied` root event with the details of the request.
+   *
+   * @param {Electron.IpcMainEvent} event - The IPC event of the request.
+   * @param {string} channel - The channel of the request.
+   * @returns {Error|null} The access error, or `null` if the request is allowed.
+   */
+  #checkIpcAccess(event, channel) {
+    if (!this.#ipcPolicy.hasRule(channel)) return null;
+
+    const win = this.#getWin(event);
+    const isMain = !!win && !!this.#win && !this.#win.isDestroyed() && this.#win.getWin() === win;
+    /** @type {TinyWinInstance|null} */
+    let instance = isMain ? this.#win : null;
+    /** @type {string|number|null} */
+    let key = null;
+    if (win && !isMain)
+      this.#wins.forEach((value, winKey) => {
+        if (!instance && !value.isDestroyed() && value.getWin() === win) {
+          instance = value;
+          key = winKey;
+        }
+      });
+
+    const url = event.senderFrame?.url ?? '';
+    const result = this.#ipcPolicy.check(channel, { isMain, key, url });
+    if (result.allowed) return null;
+
+    this.#emit(RootEvents.IpcAccessDenied, {
+      channel,
+      reason: result.reason,
+      instance,
+      isMain,
+      key,
+      url,
+    });
+    return this.#ipcPolicy.createAccessError(channel, result.reason);
+  }
+
   /**
    * Executes initialization logic that must only run once.
    * Registers a listener for app quit and emits a creation event for the first window.
@@ -492,7 +624,9 @@ class TinyElectronRoot {
       else res(null);
     });
 
-    ipcMain.on(this.#AppEvents.AppQuit, () => this.quit());
+    ipcMain.on(this.#AppEvents.AppQuit, (event) => {
+      if (!this.#checkIpcAccess(event, this.#AppEvents.AppQuit)) this.quit();
+    });
 
     ipcMain.on(this.#AppEvents.DOMContentLoaded, (event, data) => {
       const win = getWinInstance(event);
@@ -577,22 +711,38 @@ class TinyElectronRoot {
 
     // Icons
     this.#ipcResponder.on(this.#AppEvents.ChangeAppIcon, (event, img, res) => {
-      if (typeof img !== 'string' || img.length === 0)
-        throw new TypeError(`Invalid "img" argument: expected non-empty string, got "${img}"`);
       const win = this.#getWin(event);
       if (win) win.setIcon(this.resolveSystemIconPath(img));
       res(null);
     });
 
-    this.#ipcResponder.on(this.#AppEvents.ChangeTrayIcon, (event, { img, key } = {}, res) => {
-      if (typeof img !== 'string' || img.length === 0)
-        throw new TypeError(`Invalid "img" argument: expected non-empty string, got "${img}"`);
-      if (typeof key !== 'string' || key.length === 0)
-        throw new TypeError(`Invalid "key" argument: expected non-empty string, got "${key}"`);
+    this.#ipcResponder.on(this.#AppEvents.ChangeTrayIcon, (event, { img, key }, res) => {
       this.getTray(key).setImage(this.resolveSystemIconPath(img));
       res(null);
     });
 
+    // Window ports
+    this.#ipcResponder.on(this.#AppEvents.WindowPortClose, (event, name, res) => {
+      const win = getWinInstance(event);
+      const data = this.#windowPorts.get(name);
+      if (win && data && (data.first === win || data.second === win))
+        res(this.disconnectWindows(name));
+      else res(false);
+    });
+
+    // Child windows
+    this.#ipcResponder.on(this.#AppEvents.WindowSubmitResult, (event, value, res) => {
+      const win = getWinInstance(event);
+      res(win ? this.submitWindowResult(win, value) : false);
+    });
+
+    // Payload schemas
+    for (const [key, schema] of Object.entries(AppEventSchemas))
+      this.#ipcResponder.setSchema(
+        this.#AppEvents[/** @type {keyof typeof AppEvents} */ (key)],
+        schema,
+      );
+
     this.#emit(RootEvents.CreateFirstWindow);
   }
 
@@ -627,17 +777,14 @@ class TinyElectronRoot {
       .then((data) => {
         if (win && win.webContents) {
           if (typeof res === 'function') res(null);
-          win.webContents.send(this.#AppEvents.SetProxy, { value: config, time: Date.now() });
+          TinyWinInstance.sendEnvelope(win, this.#AppEvents.SetProxy, config);
         } else if (typeof res === 'function') res(null, new Error('Invalid window type'));
         return data;
       })
       .catch((err) => {
         if (win && win.webContents) {
           if (typeof res === 'function') res(null, err);
-          win.webContents.send(this.#AppEvents.SetProxyError, {
-            err: serializeError(err),
-            time: Date.now(),
-          });
+          TinyWinInstance.sendEnvelope(win, this.#AppEvents.SetProxyError, serializeError(err));
         } else if (typeof res === 'function') res(null, new Error('Invalid window type'));
         return err;
       });
@@ -698,6 +845,37 @@ class TinyElectronRoot {
     return this.#winFile;
   }
 
+  /**
+   * Keeps the state of every window in a single file inside the app data folder.
+   * After this, the `fileId` of the windows is just a key (like `main`), not a file path.
+   *
+   * Must be called after `initAppDataDir()` and before the windows are created.
+   *
+   * @param {Object} [options={}] - Extra options.
+   * @param {string} [options.fileName='window-state.json'] - Name of the store file.
+   * @param {Record<string, string>} [options.legacyFiles={}] - Old window files to import, by key.
+   * @param {ElectronPathName} [options.name='appData'] - The Electron path key of the folder.
+   * @returns {string[]} The keys imported from the legacy files.
+   * @throws {Error} If the app data folder was not initialized.
+   */
+  initWindowStateStore({
+    fileName = 'window-state.json',
+    legacyFiles = {},
+    name = 'appData',
+  } = {}) {
+    if (typeof fileName !== 'string' || fileName.trim() === '')
+      throw new TypeError('Expected "fileName" to be a non-empty string.');
+    return this.#winFile.openStore(join(this.getAppDataDir(name), fileName), { legacyFiles });
+  }
+
+  /**
+   * Returns the IPC policy used to authorize the requests received by the internal TinyIpcResponder.
+   * @returns {TinyIpcPolicy}
+   */
+  getIpcPolicy() {
+    return this.#ipcPolicy;
+  }
+
   /**
    * Returns the internal TinyIpcResponder instance.
    * @returns {TinyIpcResponder}
@@ -739,16 +917,23 @@ class TinyElectronRoot {
    * Creates a new Electron BrowserWindow and tracks it as a main or secondary window.
    *
    * If marked as the main window, it will be assigned to `#win`. Otherwise, it's stored
-   * in the `#wins` map using an auto-incremented index.
+   * in the `#wins` map using its `key`, or an auto-incremented index if no key is given.
+   *
+   * A `singleton` window is created only once: while it is alive, creating it again shows
+   * and focuses the existing window, which is returned.
    *
    * @param {NewBrowserOptions} [settings={}] - Configuration for the new BrowserWindow
    * @returns {TinyWinInstance}
    * @throws {TypeError} If settings is not an object.
-   * @throws {Error} If trying to create a second main window.
+   * @throws {Error} If trying to create a second main window, or a window with a key in use.
    */
   createWindow({
-    config,
+    config = {},
     fileId,
+    key,
+    parent,
+    modal = false,
+    role = modal ? 'modal' : 'default',
     show,
     minimizeOnClose,
     appDetails = {
@@ -758,41 +943,87 @@ class TinyElectronRoot {
     },
     urls = ['https:', 'http:'],
     openWithBrowser = this.#openWithBrowser,
-    needsMaximize = true,
+    needsMaximize,
     isMain = false,
   } = {}) {
     // Validate input
     if (!isJsonObject(appDetails)) throw new TypeError('Expected "appDetails" to be a object.');
     if (typeof isMain !== 'boolean') throw new TypeError('Expected "isMain" to be a boolean.');
-    if (typeof needsMaximize !== 'boolean')
-      throw new TypeError('Expected "needsMaximize" to be a boolean.');
+    if (typeof role !== 'string' || !Object.hasOwn(WindowRoles, role))
+      throw new TypeError(
+        `Expected "role" to be one of: ${Object.keys(WindowRoles).join(', ')}. Received "${role}".`,
+      );
+    if (needsMaximize !== undefined && typeof needsMaximize !== 'boolean')
+      throw new TypeError('Expected "needsMaximize" to be a boolean if defined.');
     if (isMain && this.#win) throw new Error('Main window already exists. Cannot create another.');
     if (minimizeOnClose !== undefined && typeof minimizeOnClose !== 'boolean')
       throw new TypeError('Expected "minimizeOnClose" to be a boolean if defined.');
+    if (key !== undefined && (typeof key !== 'string' || key.trim() === ''))
+      throw new TypeError('Expected "key" to be a non-empty string if defined.');
+    if (isMain && key !== undefined)
+      throw new Error('The main window has no key. Use "getWin()" without a key to get it.');
+    if (role === 'singleton' && key === undefined)
+      throw new Error('A "singleton" window needs a "key".');
+    if (typeof modal !== 'boolean') throw new TypeError('Expected "modal" to be a boolean.');
+    if (parent !== undefined && !(parent instanceof TinyWinInstance))
+      throw new TypeError('Expected "parent" to be a TinyWinInstance if defined.');
+    if (parent && (parent.isDestroyed() || parent.isPreparingDestroy()))
+      throw new Error('The parent window is destroyed.');
+    if (modal && !parent) throw new Error('A modal window needs a "parent".');
+    if (isMain && parent) throw new Error('The main window cannot have a parent.');
+
+    // Existing window
+    if (typeof key === 'string') {
+      const current = this.#wins.get(key);
+      if (current && !current.isDestroyed() && !current.isPreparingDestroy()) {
+        if (role !== 'singleton') throw new Error(`A window with the key "${key}" already exists.`);
+        current.toggleVisible(true);
+        const currentWin = current.getWin();
+        if (currentWin.isMinimized()) currentWin.restore();
+        currentWin.focus();
+        return current;
+      }
+    }
+
+    // Role defaults
+    const roleData = WindowRoles[/** @type {WindowRole} */ (role)];
+    const maximize = needsMaximize ?? roleData.needsMaximize;
+    const minimize = minimizeOnClose ?? roleData.minimizeOnClose;
+    if (
+      typeof fileId === 'undefined' &&
+      typeof key === 'string' &&
+      this.#winFile.getStoreFile() !== null
+    )
+      fileId = key;
 
     // New instance
-    const index = this.#winIds++;
+    const index = typeof key === 'string' ? key : this.#winIds++;
     let showCfg = show;
 
     let isMaximized = false;
-    let cfg;
+    if (!isJsonObject(config))
+      throw new Error('[Window Creation Error] Expected "config" to be an object.');
+    /** @type {Electron.BrowserWindowConstructorOptions} */
+    const cfg = { ...deepClone(roleData.config), ...deepClone(config) };
     if (typeof fileId === 'string' && !this.#winFile.hasId(fileId)) this.#winFile.loadFile(fileId);
     if (typeof fileId === 'string') {
-      if (!isJsonObject(config))
-        throw new Error('[Window Creation Error] Expected "config" to be an object.');
-
-      cfg = deepClone(config);
-      const winData = this.#winFile.getData(fileId);
+      const winData = this.#winFile.getRestoreData(fileId);
       if (typeof winData.bounds?.height === 'number') cfg.height = winData.bounds.height;
       if (typeof winData.bounds?.width === 'number') cfg.width = winData.bounds.width;
       if (typeof winData.bounds?.y === 'number') cfg.y = winData.bounds.y;
       if (typeof winData.bounds?.x === 'number') cfg.x = winData.bounds.x;
-      if (needsMaximize && typeof winData.maximized === 'boolean') isMaximized = winData.maximized;
+      if (maximize && typeof winData.maximized === 'boolean') isMaximized = winData.maximized;
+      if (maximize && winData.fullScreen === true && cfg.fullscreenable !== false)
+        cfg.fullscreen = true;
     }
 
     if (typeof show === 'undefined' && typeof cfg.show === 'boolean') showCfg = cfg.show;
     if (typeof showCfg === 'undefined') showCfg = true;
     cfg.show = false;
+    if (parent) {
+      cfg.parent = parent.getWin();
+      cfg.modal = modal;
+    }
 
     const newInstance = new TinyWinInstance(
       {
@@ -809,6 +1040,7 @@ class TinyElectronRoot {
         show: showCfg,
         urls,
         index,
+        role,
       },
     );
 
@@ -817,21 +1049,14 @@ class TinyElectronRoot {
     // Insert app details
     if (platform() === 'win32') win.setAppDetails(appDetails);
 
+    // Save the window state on every change
+    if (typeof fileId === 'string') this.#winFile.track(fileId, win);
+
     // Save custom minimizeOnClose (if any)
-    if (!isMain && typeof minimizeOnClose === 'boolean')
-      this.#winMinimizeOnClose.set(index, minimizeOnClose);
+    if (!isMain && typeof minimize === 'boolean') this.#winMinimizeOnClose.set(index, minimize);
+    else if (!isMain) this.#winMinimizeOnClose.delete(index);
 
     win.on('close', (event) => {
-      // Save window cache
-      if (typeof fileId === 'string') {
-        /** @type {WinInitFile} */
-        const winData = {
-          bounds: win.getBounds(),
-          maximized: win.isMaximized(),
-        };
-        writeFileSync(fileId, JSON.stringify(winData));
-      }
-
       // Prevent Close
       const minimize = isMain ? this.getMinimizeOnClose() : this.getMinimizeOnCloseFor(index);
       if (
@@ -847,12 +1072,162 @@ class TinyElectronRoot {
       }
     });
 
+    // Free the key when the window is gone
+    if (!isMain)
+      win.once('closed', () => {
+        if (this.#wins.get(index) !== newInstance) return;
+        this.#wins.delete(index);
+        this.#winMinimizeOnClose.delete(index);
+      });
+
+    // Attach to the parent
+    if (parent) this.#attachChild(newInstance, parent);
+
     // Complete
     if (isMain) this.#win = newInstance;
     else this.#wins.set(index, newInstance);
     return newInstance;
   }
 
+  /**
+   * Centers a child window over its parent, makes it hide and close with the parent,
+   * and prepares the result that it can submit.
+   *
+   * @param {TinyWinInstance} child - The child window.
+   * @param {TinyWinInstance} parent - The parent window.
+   */
+  #attachChild(child, parent) {
+    const childWin = child.getWin();
+    const parentWin = parent.getWin();
+
+    // Center over the parent
+    const area = parentWin.getBounds();
+    const [width, height] = childWin.getSize();
+    childWin.setPosition(
+      Math.round(area.x + (area.width - width) / 2),
+      Math.round(area.y + (area.height - height) / 2),
+    );
+
+    /** @type {(value: any) => void} */
+    let resolve = () => {};
+    /** @type {Promise<any>} */
+    const result = new Promise((done) => (resolve = done));
+    const data = { parent, result, resolve, done: false };
+    this.#childWins.set(child, data);
+
+    // Hide and show with the parent
+    let hiddenByParent = false;
+    const onParentHide = () => {
+      if (child.isDestroyed() || !child.isReady() || !child.isVisible()) return;
+      hiddenByParent = true;
+      child.toggleVisible(false);
+    };
+    const onParentShow = () => {
+      if (!hiddenByParent || child.isDestroyed()) return;
+      hiddenByParent = false;
+      child.toggleVisible(true);
+    };
+    // Close with the parent
+    const onParentClosed = () => {
+      if (!child.isDestroyed()) child.destroy();
+    };
+    parentWin.on('hide', onParentHide);
+    parentWin.on('show', onParentShow);
+    parentWin.once('closed', onParentClosed);
+
+    childWin.once('closed', () => {
+      if (!parentWin.isDestroyed()) {
+        parentWin.off('hide', onParentHide);
+        parentWin.off('show', onParentShow);
+        parentWin.off('closed', onParentClosed);
+      }
+      this.#childWins.delete(child);
+      if (!data.done) {
+        data.done = true;
+        resolve(null);
+      }
+    });
+  }
+
+  /**
+   * Returns the open child windows of a window.
+   *
+   * @param {TinyWinInstance} parent - The parent window.
+   * @returns {TinyWinInstance[]}
+   */
+  getChildWindows(parent) {
+    /** @type {TinyWinInstance[]} */
+    const children = [];
+    this.#childWins.forEach((data, child) => {
+      if (data.parent === parent && !child.isDestroyed()) children.push(child);
+    });
+    return children;
+  }
+
+  /**
+   * Waits for the result of a child window.
+   *
+   * The promise resolves with the value submitted by the child (`TinyElectronClient.submitResult()`
+   * or `submitWindowResult()`), or with `null` if the child is closed without a result.
+   *
+   * @param {TinyWinInstance} child - The child window.
+   * @returns {Promise<any>}
+   * @throws {Error} If the window is not an open child window.
+   */
+  waitWindowResult(child) {
+    const data = this.#childWins.get(child);
+    if (!data) throw new Error('The window is not an open child window.');
+    return data.result;
+  }
+
+  /**
+   * Submits the result of a child window and closes it.
+   *
+   * @param {TinyWinInstance} child - The child window.
+   * @param {any} value - The result.
+   * @returns {boolean} `false` if the window is not a child window or a result was already submitted.
+   */
+  submitWindowResult(child, value) {
+    const data = this.#childWins.get(child);
+    if (!data || data.done) return false;
+    data.done = true;
+    data.resolve(value);
+    // Close after the response of the request is sent to the child
+    setImmediate(() => {
+      if (!child.isDestroyed()) child.destroy();
+    });
+    return true;
+  }
+
+  /**
+   * Opens a modal dialog window over a parent, loads its page and waits for its result.
+   *
+   * @param {TinyWinInstance} parent - The parent window.
+   * @param {string|string[]} page - The page of the dialog.
+   * @param {NewBrowserOptions & { loadOptions?: Electron.LoadFileOptions|Electron.LoadURLOptions }} [settings={}] - Options of the dialog window (see `createWindow()`). `modal` and `parent` can't be changed.
+   * @returns {Promise<any>} The value submitted by the dialog, or `null` if it was closed without a result.
+   */
+  async openDialog(parent, page, { loadOptions, ...settings } = {}) {
+    const dialog = this.createWindow({ ...settings, modal: true, parent });
+    const result = this.waitWindowResult(dialog);
+    dialog.loadPath(page, loadOptions);
+    return result;
+  }
+
+  /**
+   * Returns the keys of every secondary window that is still open.
+   *
+   * @returns {(string|number)[]}
+   */
+  getWinKeys() {
+    /** @type {(string|number)[]} */
+    const keys = [];
+    this.#wins.forEach((value, key) => {
+      if (!value.isDestroyed() && !value.isPreparingDestroy()) keys.push(key);
+    });
+    return keys;
+  }
+
   /**
    * Destroys a specific window by key or the main window if no key is provided.
    *
@@ -873,10 +1248,121 @@ class TinyElectronRoot {
       this.#win = null;
     } else {
       this.#wins.delete(key);
-      this.#winMinimizeOnClose.delete(Number(key));
+      this.#winMinimizeOnClose.delete(key);
     }
   }
 
+  /**
+   * Returns the information about a window that is sent to its peer in a window port.
+   *
+   * @param {TinyWinInstance} instance - The window instance.
+   * @returns {WindowPortPeer}
+   */
+  #getWindowPortPeer(instance) {
+    const isMain = this.#win === instance;
+    return { key: isMain ? null : instance.getIndex(), id: instance.getWin().id, isMain };
+  }
+
+  /**
+   * Creates a dedicated `MessageChannelMain` between two windows and sends one port to each of them.
+   *
+   * The windows receive the port through `TinyElectronClient` (`RootEvents.WindowPort`) and can
+   * talk directly, without relaying every message through the main process.
+   * The connection is closed automatically when one of the windows is destroyed.
+   *
+   * @param {TinyWinInstance} first - The first window.
+   * @param {TinyWinInstance} second - The second window.
+   * @param {string} name - Unique name of the connection. Both windows receive the port with this name.
+   * @throws {TypeError} If the windows are not `TinyWinInstance` instances or the name is invalid.
+   * @throws {Error} If a window is destroyed, both windows are the same, or the name is already in use.
+   */
+  connectWindows(first, second, name) {
+    if (!(first instanceof TinyWinInstance) || !(second instanceof TinyWinInstance))
+      throw new TypeError(
+        '[connectWindows Error] "first" and "second" must be TinyWinInstance instances.',
+      );
+    if (typeof name !== 'string' || name.trim() === '')
+      throw new TypeError('[connectWindows Error] Port name must be a non-empty string.');
+    if (first === second)
+      throw new Error('[connectWindows Error] A window cannot be connected to itself.');
+    if (first.isDestroyed() || second.isDestroyed())
+      throw new Error('[connectWindows Error] Both windows must be alive.');
+    if (this.#windowPorts.has(name))
+      throw new Error(`[connectWindows Error] Port name "${name}" is already in use.`);
+
+    const firstContents = first.getWin().webContents;
+    const secondContents = second.getWin().webContents;
+    const onDestroyed = () => this.disconnectWindows(name);
+    firstContents.once('destroyed', onDestroyed);
+    secondContents.once('destroyed', onDestroyed);
+
+    this.#windowPorts.set(name, {
+      first,
+      second,
+      cleanup: () => {
+        if (!firstContents.isDestroyed()) firstContents.off('destroyed', onDestroyed);
+        if (!secondContents.isDestroyed()) secondContents.off('destroyed', onDestroyed);
+      },
+    });
+
+    const { port1, port2 } = new MessageChannelMain();
+    firstContents.postMessage(
+      this.#AppEvents.WindowPort,
+      createEnvelope(
+        { name, peer: this.#getWindowPortPeer(second) },
+        nextEnvelopeSeq(firstContents),
+        second.getWin().id,
+      ),
+      [port1],
+    );
+    secondContents.postMessage(
+      this.#AppEvents.WindowPort,
+      createEnvelope(
+        { name, peer: this.#getWindowPortPeer(first) },
+        nextEnvelopeSeq(secondContents),
+        first.getWin().id,
+      ),
+      [port2],
+    );
+  }
+
+  /**
+   * Closes a window port connection.
+   *
+   * Both windows are notified, so `TinyElectronClient` closes its port and emits `RootEvents.WindowPortClosed`.
+   *
+   * @param {string} name - The connection name.
+   * @returns {boolean} `true` if the connection existed and was closed.
+   */
+  disconnectWindows(name) {
+    const data = this.#windowPorts.get(name);
+    if (!data) return false;
+    this.#windowPorts.delete(name);
+    data.cleanup();
+    for (const instance of [data.first, data.second])
+      if (!instance.isDestroyed()) instance.sendEvent(this.#AppEvents.WindowPortClose, name);
+    return true;
+  }
+
+  /**
+   * Checks if a window port connection is open.
+   *
+   * @param {string} name - The connection name.
+   * @returns {boolean}
+   */
+  hasWindowPort(name) {
+    return this.#windowPorts.has(name);
+  }
+
+  /**
+   * Returns the names of all open window port connections.
+   *
+   * @returns {string[]}
+   */
+  getWindowPortNames() {
+    return [...this.#windowPorts.keys()];
+  }
+
   /**
    * Registers an existing Electron Tray instance under a given key.
    *
@@ -982,7 +1468,7 @@ class TinyElectronRoot {
    * Gets the `minimizeOnClose` behavior for a specific window index.
    * Falls back to the global setting if not explicitly set.
    *
-   * @param {number} index - The index of the window.
+   * @param {number|string} index - The index (or key) of the window.
    * @returns {boolean}
    */
   getMinimizeOnCloseFor(index) {
@@ -992,12 +1478,12 @@ class TinyElectronRoot {
   /**
    * Sets the `minimizeOnClose` behavior for a specific window index.
    *
-   * @param {number} index - The index of the window.
+   * @param {number|string} index - The index (or key) of the window.
    * @param {boolean} value - Whether the window should minimize on close.
    */
   setMinimizeOnCloseFor(index, value) {
-    if (typeof index !== 'number' || typeof value !== 'boolean')
-      throw new TypeError('Expected index to be number and value to be boolean.');
+    if ((typeof index !== 'number' && typeof index !== 'string') || typeof value !== 'boolean')
+      throw new TypeError('Expected index to be number or string and value to be boolean.');
     if (!this.#wins.has(index)) throw new Error(`No window found with index ${index}`);
     this.#winMinimizeOnClose.set(index, value);
   }
@@ -1005,7 +1491,7 @@ class TinyElectronRoot {
   /**
    * Removes any custom `minimizeOnClose` override for a specific window.
    *
-   * @param {number} index - The index of the window.
+   * @param {number|string} index - The index (or key) of the window.
    */
   removeMinimizeOnCloseFor(index) {
     this.#winMinimizeOnClose.delete(index);
@@ -1107,6 +1593,7 @@ class TinyElectronRoot {
       );
 
     this.#ipcResponder = new TinyIpcResponder(ipcResponseChannel);
+    this.#ipcResponder.setAccessCheck((event, channel) => this.#checkIpcAccess(event, channel));
     this.#minimizeOnClose = minimizeOnClose;
     this.#appDataName = appDataName;
     this.#openWithBrowser = openWithBrowser;
@@ -1119,7 +1606,18 @@ class TinyElectronRoot {
     // Set application name for Windows 10+ notifications
     if (platform() === 'win32') app.setAppUserModelId(name);
 
-    app.on('will-quit', () => {
+    app.on('will-quit', (event) => {
+      // Window states are written asynchronously, so the quit waits for them.
+      if (this.#winFile.hasPendingWrites()) {
+        event.preventDefault();
+        this.#winFile
+          .flush()
+          .catch((err) =>
+            console.error('[TinyElectronRoot] Failed to save the windows state:', err),
+          )
+          .finally(() => app.quit());
+        return;
+      }
       this.#win = null;
       this.#wins.clear();
       this.#isQuiting = true;
@@ -1594,10 +2092,12 @@ class TinyElectronRoot {
   openDevTools(win, ops) {
     this.#isBrowserWindow(win);
     win.webContents.openDevTools(ops);
-    win.webContents.send(this.#AppEvents.ConsoleMessage, {
-      value: [this.#consoleOpenWarn[0], this.#consoleOpenWarn[1]],
-      time: Date.now(),
-    });
+    TinyWinInstance.sendEnvelope(
+      win,
+      this.#AppEvents.ConsoleMessage,
+      [this.#consoleOpenWarn[0], this.#consoleOpenWarn[1]],
+      null,
+    );
   }
 
   /**
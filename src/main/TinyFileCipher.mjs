@@ -0,0 +1,343 @@
+import { closeSync, fsyncSync, openSync, readFileSync, renameSync, writeSync } from 'node:fs';
+import { open, readFile, rename } from 'node:fs/promises';
+import { createCipheriv, createDecipheriv, randomBytes, scryptSync } from 'node:crypto';
+import { isJsonObject } from 'tiny-essentials';
+
+/**
+ * Gives the secrets used to derive the encryption keys.
+ *
+ * Every key has an id, which is saved inside the encrypted data, so old data can still be read
+ * after the current key changes. The secret can come from anywhere in the main process
+ * (a config value, or a random secret protected by Electron `safeStorage`).
+ *
+ * @typedef {Object} CipherKeyProvider
+ * @property {() => string} getKeyId - Returns the id of the key used to encrypt new data.
+ * @property {(keyId: string) => string|Buffer|null|undefined} getSecret - Returns the secret of a key, or nothing if the key is unknown.
+ */
+
+/** First bytes of every encrypted buffer. */
+const MAGIC = Buffer.from('TEC1', 'ascii');
+
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_LENGTH = 32;
+
+/**
+ * Encrypts files at rest with AES-256-GCM.
+ *
+ * The keys are derived with scrypt from the secrets of a pluggable `CipherKeyProvider`.
+ * Encrypted data has the format `TEC1 | keyId length | keyId | iv | auth tag | ciphertext`,
+ * so each file remembers which key encrypted it, and `rotateFile()` can re-encrypt it
+ * with the current key. Files that are not encrypted are rejected, unless `allowPlaintext`
+ * is enabled to migrate plain files, which are then encrypted on their next write.
+ *
+ * @class
+ */
+class TinyFileCipher {
+  /** @type {CipherKeyProvider} */
+  #provider;
+
+  /** @type {string} */
+  #salt;
+
+  /** @type {boolean} */
+  #allowPlaintext;
+
+  /**
+   * Derived keys, by key id.
+   * @type {Map<string, Buffer>}
+   */
+  #keys = new Map();
+
+  /**
+   * Creates a key provider from a list of secrets.
+   *
+   * @param {Record<string, string|Buffer>} secrets - Secrets by key id.
+   * @param {string} current - Id of the key used to encrypt new data.
+   * @returns {CipherKeyProvider}
+   * @throws {TypeError} If the secrets or the current id are invalid.
+   */
+  static createKeyProvider(secrets, current) {
+    if (!isJsonObject(secrets)) throw new TypeError('TinyFileCipher: "secrets" must be an object.');
+    if (typeof current !== 'string' || !Object.hasOwn(secrets, current))
+      throw new TypeError('TinyFileCipher: "current" must be the id of one of the secrets.');
+    const list = { ...secrets };
+    return {
+      getKeyId: () => current,
+      getSecret: (keyId) => (Object.hasOwn(list, keyId) ? list[keyId] : null),
+    };
+  }
+
+  /**
+   * Checks if a buffer was created by `encrypt()`.
+   *
+   * @param {Buffer|Uint8Array} data - The data.
+   * @returns {boolean}
+   */
+  static isEncrypted(data) {
+    return (
+      data instanceof Uint8Array &&
+      data.length > MAGIC.length &&
+      Buffer.from(data.buffer, data.byteOffset, MAGIC.length).equals(MAGIC)
+    );
+  }
+
+  /**
+   * @param {CipherKeyProvider} provider - Gives the secrets of the keys.
+   * @param {Object} [options={}] - Extra options.
+   * @param {string} [options.salt='tiny-electron'] - Salt used in the key derivation. Changing it makes old files unreadable.
+   * @param {boolean} [options.allowPlaintext=false] - Reads files that are not encrypted as they are. Enable it only to migrate plain files.
+   * @throws {TypeError} If the provider or the options are invalid.
+   */
+  constructor(provider, { salt = 'tiny-electron', allowPlaintext = false } = {}) {
+    if (typeof salt !== 'string' || salt.length < 1)
+      throw new TypeError('TinyFileCipher: "salt" must be a non-empty string.');
+    if (typeof allowPlaintext !== 'boolean')
+      throw new TypeError('TinyFileCipher: "allowPlaintext" must be a boolean.');
+    this.#salt = salt;
+    this.#allowPlaintext = allowPlaintext;
+    this.#provider = TinyFileCipher.#checkProvider(provider);
+  }
+
+  /**
+   * Validates a key provider.
+   *
+   * @param {CipherKeyProvider} provider - The provider.
+   * @returns {CipherKeyProvider}
+   * @throws {TypeError} If the provider is invalid.
+   */
+  static #checkProvider(provider) {
+    if (
+      typeof provider !== 'object' ||
+      provider === null ||
+      typeof provider.getKeyId !== 'function' ||
+      typeof provider.getSecret !== 'function'
+    )
+      throw new TypeError(
+        'TinyFileCipher: "provider" must have "getKeyId" and "getSecret" functions.',
+      );
+    return provider;
+  }
+
+  /**
+   * Checks if files that are not encrypted are read as they are.
+   *
+   * @returns {boolean}
+   */
+  allowsPlaintext() {
+    return this.#allowPlaintext;
+  }
+
+  /**
+   * Replaces the key provider. Used to rotate the keys: the new provider must still give
+   * the old secrets until every file is re-encrypted with `rotateFile()`.
+   *
+   * @param {CipherKeyProvider} provider - The new provider.
+   * @throws {TypeError} If the provider is invalid.
+   */
+  setProvider(provider) {
+    this.#provider = TinyFileCipher.#checkProvider(provider);
+    this.#keys.clear();
+  }
+
+  /**
+   * Returns the id of the key used to encrypt new data.
+   *
+   * @returns {string}
+   * @throws {Error} If the provider returns an invalid id.
+   */
+  getKeyId() {
+    const keyId = this.#provider.getKeyId();
+    if (typeof keyId !== 'string' || keyId.length < 1 || Buffer.byteLength(keyId) > 255)
+      throw new Error('TinyFileCipher: The key id must be a string with 1 to 255 bytes.');
+    return keyId;
+  }
+
+  /**
+   * Returns the derived key of a key id.
+   *
+   * @param {string} keyId - The key id.
+   * @returns {Buffer}
+   * @throws {Error} If the provider does not know the key.
+   */
+  #getKey(keyId) {
+    const cached = this.#keys.get(keyId);
+    if (cached) return cached;
+
+    const secret = this.#provider.getSecret(keyId);
+    if ((typeof secret !== 'string' && !Buffer.isBuffer(secret)) || secret.length < 1)
+      throw new Error(`TinyFileCipher: Unknown key "${keyId}".`);
+    const key = scryptSync(secret, `${this.#salt}:${keyId}`, KEY_LENGTH);
+    this.#keys.set(keyId, key);
+    return key;
+  }
+
+  /**
+   * Reads the header of an encrypted buffer.
+   *
+   * @param {Buffer} data - The encrypted data.
+   * @returns {{ keyId: string, iv: Buffer, tag: Buffer, body: Buffer }}
+   * @throws {Error} If the data is not encrypted or is truncated.
+   */
+  #parse(data) {
+    if (!TinyFileCipher.isEncrypted(data))
+      throw new Error('TinyFileCipher: The data is not encrypted.');
+    const idStart = MAGIC.length + 1;
+    const ivStart = idStart + data[MAGIC.length];
+    const tagStart = ivStart + IV_LENGTH;
+    const bodyStart = tagStart + TAG_LENGTH;
+    if (data.length < bodyStart)
+      throw new Error('TinyFileCipher: The encrypted data is truncated.');
+    return {
+      keyId: data.subarray(idStart, ivStart).toString('utf8'),
+      iv: data.subarray(ivStart, tagStart),
+      tag: data.subarray(tagStart, bodyStart),
+      body: data.subarray(bodyStart),
+    };
+  }
+
+  /**
+   * Encrypts data with the current key.
+   *
+   * @param {string|Buffer} data - The data. Strings are encoded as UTF-8.
+   * @returns {Buffer} The encrypted data.
+   * @throws {TypeError} If the data is not a string or a buffer.
+   */
+  encrypt(data) {
+    if (typeof data !== 'string' && !Buffer.isBuffer(data))
+      throw new TypeError('TinyFileCipher: "data" must be a string or a Buffer.');
+    const keyId = this.getKeyId();
+    const iv = randomBytes(IV_LENGTH);
+    const cipher = createCipheriv('aes-256-gcm', this.#getKey(keyId), iv);
+    cipher.setAAD(MAGIC);
+    const body = Buffer.concat([cipher.update(data), cipher.final()]);
+    const id = Buffer.from(keyId, 'utf8');
+    return Buffer.concat([MAGIC, Buffer.from([id.length]), id, iv, cipher.getAuthTag(), body]);
+  }
+
+  /**
+   * Decrypts data created by `encrypt()`, using the key saved inside it.
+   *
+   * @param {Buffer} data - The encrypted data.
+   * @returns {Buffer} The original data.
+   * @throws {Error} If the key is unknown, or the data is corrupted or was encrypted with another secret.
+   */
+  decrypt(data) {
+    const { keyId, iv, tag, body } = this.#parse(data);
+    const decipher = createDecipheriv('aes-256-gcm', this.#getKey(keyId), iv);
+    decipher.setAAD(MAGIC);
+    decipher.setAuthTag(tag);
+    try {
+      return Buffer.concat([decipher.update(body), decipher.final()]);
+    } catch {
+      throw new Error(
+        `TinyFileCipher: The data could not be decrypted with the key "${keyId}" (wrong secret or corrupted data).`,
+      );
+    }
+  }
+
+  /**
+   * Returns the id of the key that encrypted some data.
+   *
+   * @param {Buffer} data - The encrypted data.
+   * @returns {string|null} The key id, or `null` if the data is not encrypted.
+   */
+  getDataKeyId(data) {
+    if (!TinyFileCipher.isEncrypted(data)) return null;
+    return this.#parse(data).keyId;
+  }
+
+  /**
+   * Decrypts data read from a file. Plain data is returned as it is only with `allowPlaintext`.
+   *
+   * @param {Buffer} data - The data read from a file.
+   * @param {string} file - The file path, used in the error message.
+   * @returns {Buffer}
+   * @throws {Error} If the data is not encrypted and plain files are not allowed.
+   */
+  #open(data, file) {
+    if (TinyFileCipher.isEncrypted(data)) return this.decrypt(data);
+    if (!this.#allowPlaintext)
+      throw new Error(
+        `TinyFileCipher: The file "${file}" is not encrypted. Enable "allowPlaintext" to read plain files.`,
+      );
+    return data;
+  }
+
+  /**
+   * Reads a file and decrypts it. Plain files are returned as they are only with `allowPlaintext`.
+   *
+   * @param {string} file - The file path.
+   * @returns {Buffer}
+   * @throws {Error} If the file is not encrypted and plain files are not allowed.
+   */
+  readFileSync(file) {
+    return this.#open(readFileSync(file), file);
+  }
+
+  /**
+   * Reads a file and decrypts it. Plain files are returned as they are only with `allowPlaintext`.
+   *
+   * @param {string} file - The file path.
+   * @returns {Promise<Buffer>}
+   * @throws {Error} If the file is not encrypted and plain files are not allowed.
+   */
+  async readFile(file) {
+    return this.#open(await readFile(file), file);
+  }
+
+  /**
+   * Encrypts data and writes it to a file using a temporary file and a rename.
+   *
+   * @param {string} file - The file path.
+   * @param {string|Buffer} data - The data.
+   */
+  writeFileSync(file, data) {
+    const encrypted = this.encrypt(data);
+    const tmpFile = `${file}.tmp`;
+    const fd = openSync(tmpFile, 'w');
+    try {
+      writeSync(fd, encrypted);
+      fsyncSync(fd);
+    } finally {
+      closeSync(fd);
+    }
+    renameSync(tmpFile, file);
+  }
+
+  /**
+   * Encrypts data and writes it to a file using a temporary file and a rename.
+   *
+   * @param {string} file - The file path.
+   * @param {string|Buffer} data - The data.
+   * @returns {Promise<void>}
+   */
+  async writeFile(file, data) {
+    const encrypted = this.encrypt(data);
+    const tmpFile = `${file}.tmp`;
+    const handle = await open(tmpFile, 'w');
+    try {
+      await handle.writeFile(encrypted);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await rename(tmpFile, file);
+  }
+
+  /**
+   * Re-encrypts a file with the current key. Plain files are encrypted only with `allowPlaintext`.
+   *
+   * @param {string} file - The file path.
+   * @returns {Promise<boolean>} `true` if the file was written, `false` if it already used the current key.
+   * @throws {Error} If the file is not encrypted and plain files are not allowed.
+   */
+  async rotateFile(file) {
+    const data = await readFile(file);
+    if (this.getDataKeyId(data) === this.getKeyId()) return false;
+    await this.writeFile(file, this.#open(data, file));
+    return true;
+  }
+}
+
+export default TinyFileCipher;
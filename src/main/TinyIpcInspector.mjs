@@ -0,0 +1,212 @@
+import { BrowserWindow } from 'electron';
+import { isJsonObject } from 'tiny-essentials';
+import TinyWinInstance from './TinyWinInstance.mjs';
+
+/**
+ * A recorded IPC request/response pair.
+ *
+ * @typedef {Object} IpcInspectorEntry
+ * @property {number} id - Sequential id of the entry.
+ * @property {'request'|'stream'|'reverse'} type - `request` for `on`/`handle`, `stream` for streams and `reverse` for main-to-renderer requests.
+ * @property {string} channel - The channel of the request.
+ * @property {number} windowId - Id of the webContents that made (or received) the request.
+ * @property {string} requestId - The `__requestId` of the request.
+ * @property {number} startedAt - Time when the request started (ms since epoch).
+ * @property {number} duration - Latency in milliseconds.
+ * @property {number} requestSize - Approximate size of the request payload in bytes (`-1` if it can't be measured).
+ * @property {number} responseSize - Approximate size of the response in bytes (sum of all chunks for streams).
+ * @property {number} [chunks] - Amount of chunks sent (only for streams).
+ * @property {'ok'|'error'|'aborted'} status - How the request finished.
+ * @property {{ name: string, message: string, code?: any }|null} error - The error sent back, if any.
+ */
+
+/**
+ * Filters used to query the recorded entries.
+ *
+ * @typedef {Object} IpcInspectorQuery
+ * @property {string} [channel] - Only entries of this channel.
+ * @property {number} [windowId] - Only entries of this webContents id.
+ * @property {'request'|'stream'|'reverse'} [type] - Only entries of this type.
+ * @property {'ok'|'error'|'aborted'} [status] - Only entries with this status.
+ * @property {number} [since] - Only entries started at or after this time (ms since epoch).
+ * @property {number} [minDuration] - Only entries slower than this amount of milliseconds.
+ * @property {number} [limit] - Max amount of entries returned (the newest ones).
+ */
+
+/**
+ * Records the IPC traffic of a `TinyIpcResponder` in a ring buffer.
+ *
+ * The inspector is opt-in: attach it with `TinyIpcResponder.setInspector()`.
+ * Entries can be queried, exported as JSON lines, and mirrored to a window so
+ * they show up in its DevTools console (see `TinyIpcInspectorLog` in the preload).
+ *
+ * @class
+ */
+class TinyIpcInspector {
+  /** @type {(IpcInspectorEntry|undefined)[]} */
+  #buffer;
+
+  /** @type {number} */
+  #limit;
+
+  #head = 0;
+  #size = 0;
+  #nextId = 1;
+
+  /** @type {string} */
+  #mirrorChannel;
+
+  /** @type {Electron.WebContents|null} */
+  #mirror = null;
+
+  /**
+   * @param {Object} [settings={}]
+   * @param {number} [settings.limit=500] - Max amount of entries kept. Older entries are dropped.
+   * @param {string} [settings.mirrorChannel='tiny-ipc-inspector'] - Channel used to mirror the entries to a window.
+   * @throws {TypeError} If the settings are invalid.
+   */
+  constructor({ limit = 500, mirrorChannel = 'tiny-ipc-inspector' } = {}) {
+    if (!Number.isInteger(limit) || limit < 1)
+      throw new TypeError('IPC inspector error: "limit" must be a positive integer');
+    if (typeof mirrorChannel !== 'string' || mirrorChannel.trim() === '')
+      throw new TypeError('IPC inspector error: "mirrorChannel" must be a non-empty string');
+    this.#limit = limit;
+    this.#mirrorChannel = mirrorChannel;
+    this.#buffer = new Array(limit);
+  }
+
+  /**
+   * Returns the max amount of entries kept.
+   * @returns {number}
+   */
+  getLimit() {
+    return this.#limit;
+  }
+
+  /**
+   * Returns the amount of entries currently recorded.
+   * @returns {number}
+   */
+  getSize() {
+    return this.#size;
+  }
+
+  /**
+   * Returns the channel used to mirror the entries to a window.
+   * @returns {string}
+   */
+  getMirrorChannel() {
+    return this.#mirrorChannel;
+  }
+
+  /**
+   * Approximates the size in bytes of a value sent through IPC.
+   *
+   * @param {unknown} value - The value to measure.
+   * @returns {number} The size in bytes, or `-1` if the value can't be measured.
+   */
+  sizeOf(value) {
+    if (typeof value === 'undefined') return 0;
+    try {
+      const json = JSON.stringify(value);
+      return typeof json === 'string' ? Buffer.byteLength(json) : 0;
+    } catch {
+      return -1;
+    }
+  }
+
+  /**
+   * Records a finished request. Used by `TinyIpcResponder`.
+   *
+   * @param {Omit<IpcInspectorEntry, 'id'>} data - The entry data.
+   * @returns {IpcInspectorEntry} The recorded entry.
+   */
+  record(data) {
+    if (!isJsonObject(data)) throw new TypeError('IPC inspector error: "data" must be an object');
+
+    /** @type {IpcInspectorEntry} */
+    const entry = { id: this.#nextId++, ...data };
+    this.#buffer[this.#head] = entry;
+    this.#head = (this.#head + 1) % this.#limit;
+    if (this.#size < this.#limit) this.#size++;
+
+    if (this.#mirror) {
+      if (this.#mirror.isDestroyed()) this.#mirror = null;
+      else this.#mirror.send(this.#mirrorChannel, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Returns the recorded entries, from the oldest to the newest.
+   *
+   * @param {IpcInspectorQuery} [filter={}] - Optional filters.
+   * @returns {IpcInspectorEntry[]}
+   */
+  query(filter = {}) {
+    if (!isJsonObject(filter))
+      throw new TypeError('IPC inspector error: "filter" must be an object');
+
+    /** @type {IpcInspectorEntry[]} */
+    const result = [];
+    const start = (this.#head - this.#size + this.#limit) % this.#limit;
+    for (let i = 0; i < this.#size; i++) {
+      const entry = this.#buffer[(start + i) % this.#limit];
+      if (!entry) continue;
+      if (typeof filter.channel === 'string' && entry.channel !== filter.channel) continue;
+      if (typeof filter.windowId === 'number' && entry.windowId !== filter.windowId) continue;
+      if (typeof filter.type === 'string' && entry.type !== filter.type) continue;
+      if (typeof filter.status === 'string' && entry.status !== filter.status) continue;
+      if (typeof filter.since === 'number' && entry.startedAt < filter.since) continue;
+      if (typeof filter.minDuration === 'number' && entry.duration < filter.minDuration) continue;
+      result.push(entry);
+    }
+
+    if (typeof filter.limit === 'number' && filter.limit >= 0 && result.length > filter.limit)
+      return result.slice(result.length - filter.limit);
+    return result;
+  }
+
+  /**
+   * Exports the recorded entries as JSON lines (one JSON object per line).
+   *
+   * @param {IpcInspectorQuery} [filter={}] - Optional filters.
+   * @returns {string}
+   */
+  toJsonLines(filter = {}) {
+    return this.query(filter)
+      .map((entry) => JSON.stringify(entry))
+      .join('\n');
+  }
+
+  /**
+   * Removes all recorded entries.
+   */
+  clear() {
+    this.#buffer = new Array(this.#limit);
+    this.#head = 0;
+    this.#size = 0;
+  }
+
+  /**
+   * Mirrors every new entry to a window, so it can be shown in its DevTools console.
+   * Use `null` to stop mirroring.
+   *
+   * @param {TinyWinInstance|BrowserWindow|null} target - The target window.
+   * @throws {TypeError} If the target is invalid.
+   */
+  setMirror(target) {
+    if (target === null) {
+      this.#mirror = null;
+      return;
+    }
+    if (target instanceof TinyWinInstance) this.#mirror = target.getWin().webContents;
+    else if (target instanceof BrowserWindow) this.#mirror = target.webContents;
+    else
+      throw new TypeError(
+        'IPC inspector error: "target" must be a TinyWinInstance, a BrowserWindow or null',
+      );
+  }
+}
+
+export default TinyIpcInspector;
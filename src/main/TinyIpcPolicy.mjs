@@ -0,0 +1,221 @@
+import { isJsonObject } from 'tiny-essentials';
+
+/**
+ * Access rule of an IPC channel. Every defined condition must pass.
+ *
+ * @typedef {Object} IpcPolicyRule
+ * @property {boolean} [mainOnly=false] - If `true`, only the main window can use the channel.
+ * @property {Array<string|number>} [windows] - Keys of the `TinyWinInstance` windows allowed to use the channel. The main window is not included.
+ * @property {boolean} [includeMain=false] - If `true`, the main window is allowed too. Only used with `windows`.
+ * @property {string[]} [origins] - Allowed origins of the sender frame (e.g. `https://example.com`). Use a protocol only (e.g. `file://`) to allow any url of that protocol.
+ */
+
+/**
+ * Information about the sender of an IPC request.
+ *
+ * @typedef {Object} IpcPolicyContext
+ * @property {boolean} isMain - `true` if the request came from the main window.
+ * @property {string|number|null} key - Key of the sender window, or `null` for the main window or unknown senders.
+ * @property {string} url - Url of the sender frame.
+ */
+
+/**
+ * Result of a policy check.
+ *
+ * @typedef {{ allowed: true, reason: null } | { allowed: false, reason: string }} IpcPolicyResult
+ */
+
+/**
+ * The error used to answer denied IPC requests.
+ *
+ * @typedef {import('../global/Utils.mjs').ErrorParsed & {
+ *   code: 'EACCES',
+ *   data: { channel: string, reason: string }
+ * }} IpcAccessError
+ */
+
+/**
+ * Authorization policy of IPC channels.
+ *
+ * Each channel can be restricted to the main window, to a list of window keys,
+ * and/or to a list of sender frame origins. Channels without rules are allowed
+ * for everyone.
+ *
+ * @class
+ */
+class TinyIpcPolicy {
+  /** @type {Map<string, IpcPolicyRule>} */
+  #rules = new Map();
+
+  /**
+   * Validates a channel name.
+   *
+   * @param {string} where - Method name used in the error messages.
+   * @param {string} channel - The channel name.
+   * @throws {Error} If the channel is invalid.
+   */
+  #checkChannel(where, channel) {
+    if (typeof channel !== 'string' || channel.trim() === '')
+      throw new Error(`IPC policy ${where} error: "channel" must be a non-empty string`);
+  }
+
+  /**
+   * Sets (or replaces) the access rule of a channel.
+   *
+   * @param {string} channel - The channel name.
+   * @param {IpcPolicyRule} rule - The access rule.
+   * @throws {Error} If the channel is invalid.
+   * @throws {TypeError} If the rule is invalid.
+   */
+  setRule(channel, rule) {
+    this.#checkChannel('setRule', channel);
+    if (!isJsonObject(rule))
+      throw new TypeError('IPC policy setRule error: "rule" must be an object');
+
+    const { mainOnly, windows, includeMain, origins } = rule;
+    if (typeof mainOnly !== 'undefined' && typeof mainOnly !== 'boolean')
+      throw new TypeError('IPC policy setRule error: "mainOnly" must be a boolean');
+    if (
+      typeof windows !== 'undefined' &&
+      (!Array.isArray(windows) ||
+        windows.some((key) => typeof key !== 'string' && typeof key !== 'number'))
+    )
+      throw new TypeError(
+        'IPC policy setRule error: "windows" must be an array of strings or numbers',
+      );
+    if (mainOnly && windows)
+      throw new TypeError(
+        'IPC policy setRule error: "mainOnly" and "windows" cannot be used together',
+      );
+    if (typeof includeMain !== 'undefined' && typeof includeMain !== 'boolean')
+      throw new TypeError('IPC policy setRule error: "includeMain" must be a boolean');
+    if (includeMain && !windows)
+      throw new TypeError(
+        'IPC policy setRule error: "includeMain" can only be used with "windows"',
+      );
+    if (
+      typeof origins !== 'undefined' &&
+      (!Array.isArray(origins) || origins.some((origin) => typeof origin !== 'string'))
+    )
+      throw new TypeError('IPC policy setRule error: "origins" must be an array of strings');
+
+    this.#rules.set(channel, {
+      mainOnly: mainOnly ?? false,
+      windows: windows ? [...windows] : undefined,
+      includeMain: includeMain ?? false,
+      origins: origins ? [...origins] : undefined,
+    });
+  }
+
+  /**
+   * Returns the access rule of a channel.
+   *
+   * @param {string} channel - The channel name.
+   * @returns {IpcPolicyRule|null}
+   */
+  getRule(channel) {
+    this.#checkChannel('getRule', channel);
+    return this.#rules.get(channel) ?? null;
+  }
+
+  /**
+   * Checks if a channel has an access rule.
+   *
+   * @param {string} channel - The channel name.
+   * @returns {boolean}
+   */
+  hasRule(channel) {
+    this.#checkChannel('hasRule', channel);
+    return this.#rules.has(channel);
+  }
+
+  /**
+   * Removes the access rule of a channel.
+   *
+   * @param {string} channel - The channel name.
+   * @returns {boolean} `true` if a rule was removed.
+   */
+  removeRule(channel) {
+    this.#checkChannel('removeRule', channel);
+    return this.#rules.delete(channel);
+  }
+
+  /**
+   * Removes all access rules.
+   */
+  clear() {
+    this.#rules.clear();
+  }
+
+  /**
+   * Checks if an url matches an allowed origin.
+   *
+   * @param {string} url - The sender frame url.
+   * @param {string} origin - The allowed origin.
+   * @returns {boolean}
+   */
+  #matchOrigin(url, origin) {
+    /** @type {URL} */
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return false;
+    }
+    if (origin.endsWith('://')) return `${parsed.protocol}//` === origin;
+    return parsed.origin === origin.replace(/\/+$/, '');
+  }
+
+  /**
+   * Checks if a sender can use a channel.
+   *
+   * @param {string} channel - The channel name.
+   * @param {IpcPolicyContext} context - Information about the sender.
+   * @returns {IpcPolicyResult}
+   */
+  check(channel, context) {
+    this.#checkChannel('check', channel);
+    const rule = this.#rules.get(channel);
+    if (!rule) return { allowed: true, reason: null };
+
+    if (rule.mainOnly && !context.isMain)
+      return { allowed: false, reason: 'Only the main window can use this channel.' };
+
+    if (
+      rule.windows &&
+      !(context.isMain
+        ? rule.includeMain
+        : context.key !== null && rule.windows.includes(context.key))
+    )
+      return { allowed: false, reason: 'This window is not allowed to use this channel.' };
+
+    if (rule.origins && !rule.origins.some((origin) => this.#matchOrigin(context.url, origin)))
+      return {
+        allowed: false,
+        reason: `The origin of "${context.url}" is not allowed to use this channel.`,
+      };
+
+    return { allowed: true, reason: null };
+  }
+
+  /**
+   * Creates the error used to answer a denied request.
+   *
+   * The error has the name `IpcAccessError` and the code `EACCES`.
+   *
+   * @param {string} channel - The denied channel.
+   * @param {string} reason - Why the request was denied.
+   * @returns {IpcAccessError}
+   */
+  createAccessError(channel, reason) {
+    /** @type {IpcAccessError} */
+    const error = Object.assign(
+      new Error(`Access denied to IPC channel "${channel}": ${reason}`),
+      /** @type {const} */ ({ code: 'EACCES', data: { channel, reason } }),
+    );
+    error.name = 'IpcAccessError';
+    return error;
+  }
+}
+
+export default TinyIpcPolicy;
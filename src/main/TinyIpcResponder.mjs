@@ -1,5 +1,9 @@
-import { ipcMain } from 'electron';
-import { serializeError } from '../global/Utils.mjs';
+import { BrowserWindow, ipcMain } from 'electron';
+import { isJsonObject } from 'tiny-essentials';
+import { deserializeError, serializeError, toError } from '../global/Utils.mjs';
+import { checkSchema, createValidationError, validateSchema } from '../global/IpcSchema.mjs';
+import TinyWinInstance from './TinyWinInstance.mjs';
+import TinyIpcInspector from './TinyIpcInspector.mjs';
 
 /**
  * @typedef {import('../preload/TinyIpcRequestManager.mjs').SendData} SendData
@@ -9,14 +13,90 @@ import { serializeError } from '../global/Utils.mjs';
  * @typedef {import('../preload/TinyIpcRequestManager.mjs').SendResult} SendResult
  */
 
+/**
+ * @typedef {import('../preload/TinyIpcRequestManager.mjs').ControlMessage} ControlMessage
+ */
+
+/**
+ * @typedef {import('../preload/TinyIpcRequestManager.mjs').ReverseRequest} ReverseRequest
+ */
+
+/**
+ * @typedef {import('../global/IpcSchema.mjs').IpcSchema} IpcSchema
+ */
+
+/**
+ * @typedef {(event: Electron.IpcMainEvent, channel: string) => Error | null | undefined} IPCAccessCheck
+ * A callback that authorizes incoming requests. Returning an error denies the request,
+ * and the error is sent back to the renderer.
+ */
+
+/**
+ * Rate limit settings of a channel. Limits are counted for each webContents.
+ *
+ * @typedef {Object} RateLimitOptions
+ * @property {number} [capacity] - Max amount of requests in a burst (token bucket size).
+ * @property {number} [refillPerSecond] - Amount of requests restored every second. Defaults to `capacity`.
+ * @property {number} [maxConcurrent] - Max amount of requests being processed at the same time.
+ */
+
+/**
+ * Diagnostic counters of a rate limited channel.
+ *
+ * @typedef {Object} RateLimitStats
+ * @property {number} accepted - Requests accepted by the rate limit.
+ * @property {number} rateLimited - Requests rejected because the token bucket was empty.
+ * @property {number} concurrencyLimited - Requests rejected because of `maxConcurrent`.
+ * @property {number} active - Requests being processed right now.
+ */
+
+/**
+ * Options used when registering a channel handler.
+ *
+ * @typedef {Object} HandlerOptions
+ * @property {IpcSchema} [schema] - Schema of the payload. Invalid requests are rejected with an `IpcValidationError` before the handler runs.
+ */
+
+/**
+ * Options for customizing a request sent from the main process to a window.
+ *
+ * @typedef {Object} RequestOptions
+ * @property {number} [timeout] - Optional timeout in milliseconds. If defined, the request will automatically reject if no response is received in this time.
+ */
+
 /**
  * @typedef {(response: unknown, error?: Error | null) => void} IPCRespondCallback
  * A callback function used to respond to an IPC request.
  */
 
 /**
- * @typedef {(event: Electron.IpcMainEvent, payload: any, respond: IPCRespondCallback) => void} IPCRequestHandler
+ * @typedef {(event: Electron.IpcMainEvent, payload: any, respond: IPCRespondCallback, signal: AbortSignal) => void | Promise<void>} IPCRequestHandler
  * A handler function used to process incoming IPC requests on the main process.
+ * The `signal` is aborted when the renderer aborts the request or its window is destroyed.
+ */
+
+/**
+ * @typedef {(event: Electron.IpcMainEvent, payload: any, signal: AbortSignal) => unknown | Promise<unknown>} IPCResolveHandler
+ * A handler function whose returned value (or resolved promise value) is sent as the response.
+ * Thrown errors and rejected promises are sent back as serialized errors.
+ * The `signal` is aborted when the renderer aborts the request or its window is destroyed.
+ */
+
+/**
+ * Controller given to stream handlers to push chunks to the renderer.
+ *
+ * @typedef {Object} IPCStreamController
+ * @property {(chunk: unknown) => Promise<void>} write - Sends a chunk. The promise resolves when the renderer has room for more chunks (backpressure), and rejects if the stream is closed or cancelled.
+ * @property {() => void} end - Finishes the stream successfully.
+ * @property {(error: Error) => void} error - Finishes the stream with an error.
+ * @property {() => boolean} isClosed - Returns `true` if the stream has finished or was cancelled.
+ * @property {AbortSignal} signal - Aborted when the renderer cancels the stream or its window is destroyed.
+ */
+
+/**
+ * @typedef {(event: Electron.IpcMainEvent, payload: any, stream: IPCStreamController) => void | Promise<void>} IPCStreamHandler
+ * A handler function used to push multiple chunks to the renderer.
+ * If it returns a promise, the stream is ended when the promise resolves and errored when it rejects.
  */
 
 /**
@@ -39,9 +119,89 @@ class TinyIpcResponder {
   /** @type {Map<string, EventEmit>} */
   #handlers = new Map();
 
+  /** @type {Map<string, IpcSchema>} */
+  #schemas = new Map();
+
+  /** @type {IPCAccessCheck|null} */
+  #accessCheck = null;
+
+  /** @type {TinyIpcInspector|null} */
+  #inspector = null;
+
+  /** @type {Map<string, RateLimitOptions>} */
+  #rateLimits = new Map();
+
+  /**
+   * Token bucket of a channel for a single webContents.
+   *
+   * @typedef {Object} RateBucket
+   * @property {number} tokens - Requests that can still be made.
+   * @property {number} updatedAt - Last time the tokens were refilled.
+   * @property {number} active - Requests being processed.
+   */
+
+  /**
+   * Buckets indexed by `${webContentsId}:${channel}`.
+   * @type {Map<string, RateBucket>}
+   */
+  #rateBuckets = new Map();
+
+  /**
+   * Bucket key of every request that counts as active, indexed by request key.
+   * @type {Map<string, string>}
+   */
+  #activeRequests = new Map();
+
+  /** @type {Map<string, RateLimitStats>} */
+  #rateStats = new Map();
+
   /** @type {string} */
   #responseChannel;
 
+  /** @type {string} */
+  #controlChannel;
+
+  /**
+   * Internal state of an active stream.
+   *
+   * @typedef {Object} StreamState
+   * @property {number} credits - Amount of chunks that can still be sent before waiting for the renderer.
+   * @property {(() => void)[]} waiters - Pending writes waiting for more credits.
+   * @property {AbortController} controller - Controller aborted when the stream is cancelled.
+   */
+
+  /** @type {Map<string, StreamState>} */
+  #streams = new Map();
+
+  /**
+   * Abort controllers of all requests still being processed.
+   * @type {Map<string, AbortController>}
+   */
+  #controllers = new Map();
+
+  /**
+   * Ids of the webContents that already have a `destroyed` listener.
+   * @type {Set<number>}
+   */
+  #watchedSenders = new Set();
+
+  /** @type {string} */
+  #reverseChannel;
+
+  /** @type {string} */
+  #reverseReplyChannel;
+
+  /**
+   * Internal data of a request sent from the main process to a window.
+   *
+   * @typedef {Object} ReverseRequestData
+   * @property {(payload: any) => void} resolve - Resolves the request promise.
+   * @property {(error: Error) => void} reject - Rejects the request promise.
+   */
+
+  /** @type {Map<string, ReverseRequestData>} */
+  #reversePending = new Map();
+
   /**
    * Returns the channel name used to listen for responses.
    * @returns {string}
@@ -50,6 +210,23 @@ class TinyIpcResponder {
     return this.#responseChannel;
   }
 
+  /**
+   * Returns the channel name used to receive control messages (stream acknowledgements, cancellations).
+   * @returns {string}
+   */
+  getControlChannel() {
+    return this.#controlChannel;
+  }
+
+  /**
+   * Returns the channel name used to send requests from the main process to the renderers.
+   * Replies are received on the same name with the `-reply` suffix.
+   * @returns {string}
+   */
+  getReverseChannel() {
+    return this.#reverseChannel;
+  }
+
   /**
    * @param {string} [responseChannel='ipc-response'] - Custom response channel name.
    * @throws {TypeError} If `responseChannel` is not a valid non-empty string.
@@ -59,58 +236,761 @@ class TinyIpcResponder {
       throw new TypeError('Expected "responseChannel" to be a non-empty string.');
 
     this.#responseChannel = responseChannel;
+    this.#controlChannel = `${responseChannel}-control`;
+    this.#reverseChannel = `${responseChannel}-reverse`;
+    this.#reverseReplyChannel = `${this.#reverseChannel}-reply`;
+    ipcMain.on(this.#controlChannel, (event, data) => this.#onControl(event, data));
+    ipcMain.on(this.#reverseReplyChannel, (event, data) => this.#onReverseReply(event, data));
   }
 
   /**
-   * Register a channel listener that can use requestId to respond.
+   * Builds the key of a request, scoped by the webContents that started it.
+   *
+   * @param {Electron.WebContents} sender - The webContents that sent the request.
+   * @param {string} __requestId - The request id.
+   * @returns {string}
+   */
+  #requestKey(sender, __requestId) {
+    return `${sender.id}:${__requestId}`;
+  }
+
+  /**
+   * Creates the abort controller of a request.
+   *
+   * The controller is aborted when the renderer sends an abort message, or when
+   * the webContents that made the request is destroyed.
+   *
+   * @param {Electron.WebContents} sender - The webContents that sent the request.
+   * @param {string} __requestId - The request id.
+   * @returns {AbortController}
+   */
+  #createController(sender, __requestId) {
+    const controller = new AbortController();
+    const key = this.#requestKey(sender, __requestId);
+    this.#controllers.set(key, controller);
+    controller.signal.addEventListener('abort', () => this.#controllers.delete(key), {
+      once: true,
+    });
+    this.#watchSender(sender);
+    return controller;
+  }
+
+  /**
+   * Cleans the data of a webContents when it is destroyed.
+   *
+   * Pending requests are aborted and its rate limit buckets are removed.
+   *
+   * @param {Electron.WebContents} sender - The webContents to watch.
+   */
+  #watchSender(sender) {
+    if (this.#watchedSenders.has(sender.id)) return;
+    const senderId = sender.id;
+    const prefix = `${senderId}:`;
+    this.#watchedSenders.add(senderId);
+    sender.once('destroyed', () => {
+      this.#watchedSenders.delete(senderId);
+      for (const [key, controller] of this.#controllers)
+        if (key.startsWith(prefix))
+          controller.abort(new Error('The window of the request was destroyed.'));
+      for (const key of this.#activeRequests.keys())
+        if (key.startsWith(prefix)) this.#releaseRequest(key);
+      for (const key of this.#rateBuckets.keys())
+        if (key.startsWith(prefix)) this.#rateBuckets.delete(key);
+    });
+  }
+
+  /**
+   * Sets the rate limit of a channel. Limits are counted for each webContents,
+   * and excess requests are answered with an `IpcRateLimitError` (`ERATELIMIT`).
+   *
+   * @param {string} channel - Channel name.
+   * @param {RateLimitOptions} options - The rate limit settings.
+   * @throws {Error} If the channel is invalid.
+   * @throws {TypeError} If the options are invalid.
+   */
+  setRateLimit(channel, options) {
+    if (typeof channel !== 'string' || channel.trim() === '')
+      throw new Error('IPC setRateLimit error: "channel" must be a non-empty string');
+    if (!isJsonObject(options))
+      throw new TypeError('IPC setRateLimit error: "options" must be an object');
+
+    const { capacity, refillPerSecond, maxConcurrent } = options;
+    if (typeof capacity !== 'undefined' && (!Number.isInteger(capacity) || capacity < 1))
+      throw new TypeError('IPC setRateLimit error: "capacity" must be a positive integer');
+    if (
+      typeof refillPerSecond !== 'undefined' &&
+      (typeof refillPerSecond !== 'number' ||
+        !Number.isFinite(refillPerSecond) ||
+        refillPerSecond <= 0)
+    )
+      throw new TypeError('IPC setRateLimit error: "refillPerSecond" must be a positive number');
+    if (typeof refillPerSecond !== 'undefined' && typeof capacity === 'undefined')
+      throw new TypeError('IPC setRateLimit error: "refillPerSecond" requires a "capacity"');
+    if (
+      typeof maxConcurrent !== 'undefined' &&
+      (!Number.isInteger(maxConcurrent) || maxConcurrent < 1)
+    )
+      throw new TypeError('IPC setRateLimit error: "maxConcurrent" must be a positive integer');
+    if (typeof capacity === 'undefined' && typeof maxConcurrent === 'undefined')
+      throw new TypeError('IPC setRateLimit error: "capacity" or "maxConcurrent" must be defined');
+
+    this.#rateLimits.set(channel, {
+      capacity,
+      refillPerSecond: refillPerSecond ?? capacity,
+      maxConcurrent,
+    });
+    for (const key of this.#rateBuckets.keys())
+      if (key.slice(key.indexOf(':') + 1) === channel) this.#rateBuckets.delete(key);
+    if (!this.#rateStats.has(channel))
+      this.#rateStats.set(channel, {
+        accepted: 0,
+        rateLimited: 0,
+        concurrencyLimited: 0,
+        active: 0,
+      });
+  }
+
+  /**
+   * Returns the rate limit settings of a channel.
+   *
+   * @param {string} channel - Channel name.
+   * @returns {RateLimitOptions|null}
+   */
+  getRateLimit(channel) {
+    return this.#rateLimits.get(channel) ?? null;
+  }
+
+  /**
+   * Removes the rate limit of a channel.
+   *
+   * @param {string} channel - Channel name.
+   * @returns {boolean} `true` if a rate limit was removed.
+   */
+  removeRateLimit(channel) {
+    this.#rateStats.delete(channel);
+    for (const key of this.#rateBuckets.keys())
+      if (key.slice(key.indexOf(':') + 1) === channel) this.#rateBuckets.delete(key);
+    return this.#rateLimits.delete(channel);
+  }
+
+  /**
+   * Returns the diagnostic counters of the rate limited channels.
+   *
+   * @returns {Record<string, RateLimitStats>}
+   */
+  getRateLimitStats() {
+    /** @type {Record<string, RateLimitStats>} */
+    const result = {};
+    for (const [channel, stats] of this.#rateStats) result[channel] = { ...stats };
+    return result;
+  }
+
+  /**
+   * Creates the error used to answer rate limited requests.
+   *
+   * @param {string} channel - Channel name.
+   * @param {'rate'|'concurrency'} reason - Which limit was reached.
+   * @param {number} retryAfter - Suggested wait in milliseconds before a new request.
+   * @returns {import('../global/Utils.mjs').ErrorParsed}
+   */
+  #createRateLimitError(channel, reason, retryAfter) {
+    const error = Object.assign(
+      new Error(
+        reason === 'rate'
+          ? `IPC channel "${channel}" is rate limited. Try again in ${retryAfter}ms.`
+          : `IPC channel "${channel}" has too many requests in progress.`,
+      ),
+      { code: 'ERATELIMIT', data: { channel, reason, retryAfter } },
+    );
+    error.name = 'IpcRateLimitError';
+    return error;
+  }
+
+  /**
+   * Consumes the rate limit of a request.
+   *
+   * @param {Electron.WebContents} sender - The webContents that sent the request.
+   * @param {string} channel - Channel name that received the request.
+   * @param {string} __requestId - The request id.
+   * @returns {Error|null} The rate limit error, or `null` if the request is accepted.
+   */
+  #acquireRateLimit(sender, channel, __requestId) {
+    const limit = this.#rateLimits.get(channel);
+    const stats = this.#rateStats.get(channel);
+    if (!limit || !stats) return null;
+
+    const bucketKey = `${sender.id}:${channel}`;
+    const now = Date.now();
+    let bucket = this.#rateBuckets.get(bucketKey);
+    if (!bucket) {
+      bucket = { tokens: limit.capacity ?? 0, updatedAt: now, active: 0 };
+      this.#rateBuckets.set(bucketKey, bucket);
+      this.#watchSender(sender);
+    }
+
+    if (typeof limit.maxConcurrent === 'number' && bucket.active >= limit.maxConcurrent) {
+      stats.concurrencyLimited++;
+      return this.#createRateLimitError(channel, 'concurrency', 0);
+    }
+
+    if (typeof limit.capacity === 'number' && typeof limit.refillPerSecond === 'number') {
+      const elapsed = (now - bucket.updatedAt) / 1000;
+      bucket.tokens = Math.min(limit.capacity, bucket.tokens + elapsed * limit.refillPerSecond);
+      bucket.updatedAt = now;
+      if (bucket.tokens < 1) {
+        stats.rateLimited++;
+        const retryAfter = Math.ceil(((1 - bucket.tokens) / limit.refillPerSecond) * 1000);
+        return this.#createRateLimitError(channel, 'rate', retryAfter);
+      }
+      bucket.tokens--;
+    }
+
+    stats.accepted++;
+    stats.active++;
+    bucket.active++;
+    this.#activeRequests.set(this.#requestKey(sender, __requestId), bucketKey);
+    return null;
+  }
+
+  /**
+   * Marks a request as finished for the `maxConcurrent` limit.
+   *
+   * @param {string} key - The request key.
+   */
+  #releaseRequest(key) {
+    const bucketKey = this.#activeRequests.get(key);
+    if (typeof bucketKey !== 'string') return;
+    this.#activeRequests.delete(key);
+
+    const bucket = this.#rateBuckets.get(bucketKey);
+    if (bucket) bucket.active = Math.max(0, bucket.active - 1);
+    const stats = this.#rateStats.get(bucketKey.slice(bucketKey.indexOf(':') + 1));
+    if (stats) stats.active = Math.max(0, stats.active - 1);
+  }
+
+  /**
+   * Handles the control messages sent by the renderer.
+   *
+   * @param {IpcMainEvent} event - The IPC event.
+   * @param {ControlMessage} data - The control message.
+   */
+  #onControl(event, data) {
+    if (!isJsonObject(data) || typeof data.__requestId !== 'string') return;
+    const key = this.#requestKey(event.sender, data.__requestId);
+
+    if (data.type === 'ack') {
+      const state = this.#streams.get(key);
+      if (!state) return;
+      if (typeof data.count !== 'number' || !Number.isFinite(data.count) || data.count < 1) return;
+      state.credits += data.count;
+      for (const wakeUp of state.waiters.splice(0)) wakeUp();
+    } else if (data.type === 'cancel')
+      this.#controllers.get(key)?.abort(new Error('The stream was cancelled by the renderer.'));
+    else if (data.type === 'abort')
+      this.#controllers.get(key)?.abort(new Error('The request was aborted by the renderer.'));
+  }
+
+  /**
+   * Handles the replies of requests sent from the main process to a window.
+   *
+   * @param {IpcMainEvent} event - The IPC event.
+   * @param {SendResult} data - The reply sent by the renderer.
+   */
+  #onReverseReply(event, data) {
+    if (!isJsonObject(data) || typeof data.__requestId !== 'string') return;
+    const item = this.#reversePending.get(this.#requestKey(event.sender, data.__requestId));
+    if (!item) return;
+
+    const { payload, error } = data;
+    if (error) item.reject(deserializeError(error));
+    else item.resolve(payload);
+  }
+
+  /**
+   * Sends a request from the main process to a window and waits for its response.
+   *
+   * The renderer must register a handler for the channel with
+   * `TinyIpcRequestManager.handle()`. Errors thrown by that handler reject the
+   * returned promise, just like renderer-to-main requests.
+   *
+   * @param {TinyWinInstance|BrowserWindow} target - The window that must answer the request.
+   * @param {string} channel - The channel name registered in the renderer.
+   * @param {any} [payload] - The data to send with the request.
+   * @param {RequestOptions} [options]
+   * @returns {Promise<any>}
+   * @throws {Error} If the target, channel or options are invalid.
+   */
+  request(target, channel, payload, options = {}) {
+    if (!(target instanceof TinyWinInstance) && !(target instanceof BrowserWindow))
+      throw new Error('IPC request error: "target" must be a TinyWinInstance or a BrowserWindow');
+    if (typeof channel !== 'string' || channel.trim() === '')
+      throw new Error('IPC request error: "channel" must be a non-empty string');
+    if ('timeout' in options) {
+      if (typeof options.timeout !== 'number' || options.timeout <= 0)
+        throw new Error('IPC request error: "timeout" must be a positive number');
+    }
+
+    if (target.isDestroyed())
+      return Promise.reject(new Error('IPC request error: the target window is destroyed'));
+    const webContents =
+      target instanceof TinyWinInstance ? target.getWin().webContents : target.webContents;
+
+    const __requestId = crypto.randomUUID();
+    const key = this.#requestKey(webContents, __requestId);
+    if (this.#reversePending.has(key)) return this.request(target, channel, payload, options);
+
+    return new Promise((resolve, reject) => {
+      /** @type {NodeJS.Timeout|null} */
+      let timeoutId = null;
+      const startedAt = Date.now();
+
+      const onDestroyed = () =>
+        finish({ error: new Error('IPC request error: the target window was destroyed') });
+
+      /** @param {{ response?: unknown, error?: Error }} result */
+      const finish = (result) => {
+        if (timeoutId) clearTimeout(timeoutId);
+        webContents.removeListener('destroyed', onDestroyed);
+        this.#reversePending.delete(key);
+        this.#inspect('reverse', channel, webContents, __requestId, startedAt, payload, result);
+        if (result.error) reject(result.error);
+        else resolve(result.response);
+      };
+
+      if (options.timeout)
+        timeoutId = setTimeout(
+          () => finish({ error: new Error(`IPC request timeout after ${options.timeout}ms`) }),
+          options.timeout,
+        );
+
+      webContents.once('destroyed', onDestroyed);
+      this.#reversePending.set(key, {
+        resolve: (response) => finish({ response }),
+        reject: (error) => finish({ error }),
+      });
+
+      /** @type {ReverseRequest} */
+      const message = { __requestId, channel, payload };
+      webContents.send(this.#reverseChannel, message);
+    });
+  }
+
+  /**
+   * Validates the request id received from the renderer.
+   *
+   * @param {string} channel - Channel name that received the request.
+   * @param {unknown} __requestId - The received request id.
+   * @returns {boolean}
+   */
+  #isValidRequestId(channel, __requestId) {
+    if (typeof __requestId !== 'string' || __requestId.trim() === '') {
+      console.warn(`Received event without valid __requestId on channel "${channel}"`);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Creates the respond callback of a single request.
+   *
+   * The callback can only send one response per `__requestId`. Any extra call
+   * is ignored and reported with a warning. Responses of aborted requests are not sent,
+   * since the renderer has already rejected them. If the response cannot be sent
+   * (e.g. it is not cloneable), the error is sent instead, so the request always settles.
+   *
+   * @param {IpcMainEvent} event - The IPC event of the request.
+   * @param {string} channel - Channel name that received the request.
+   * @param {string} __requestId - The request id used to match the response.
+   * @param {AbortController} controller - The abort controller of the request.
+   * @param {unknown} payload - The request payload (used by the inspector).
+   * @returns {IPCRespondCallback}
+   */
+  #createRespond(event, channel, __requestId, controller, payload) {
+    const startedAt = Date.now();
+    let responded = false;
+    return (response, error = null) => {
+      if (responded) {
+        console.warn(
+          `Handler of channel "${channel}" tried to respond more than once to the request "${__requestId}". The extra response was ignored.`,
+          error ?? response,
+        );
+        return;
+      }
+      responded = true;
+      const key = this.#requestKey(event.sender, __requestId);
+      this.#controllers.delete(key);
+      this.#releaseRequest(key);
+      this.#inspect('request', channel, event.sender, __requestId, startedAt, payload, {
+        response,
+        error,
+        aborted: controller.signal.aborted,
+      });
+      if (controller.signal.aborted || event.sender.isDestroyed()) return;
+
+      const hasError = error !== null && error !== undefined;
+      try {
+        /** @type {SendResult} */
+        const result = {
+          __requestId,
+          payload: hasError ? undefined : response,
+          // @ts-ignore
+          error: hasError ? serializeError(toError(error)) : null,
+        };
+        event.sender.send(this.#responseChannel, result);
+      } catch (err) {
+        try {
+          event.sender.send(this.#responseChannel, {
+            __requestId,
+            payload: undefined,
+            error: serializeError(toError(err)),
+          });
+        } catch (sendErr) {
+          console.error(
+            `Failed to send the response of the request "${__requestId}" on channel "${channel}".`,
+            sendErr,
+          );
+        }
+      }
+    };
+  }
+
+  /**
+   * Validates and stores a wrapped handler of a channel.
    *
+   * @param {string} where - Method name used in the error messages.
    * @param {string} channel - Channel name for listening
-   * @param {IPCRequestHandler} handler
+   * @param {Function} handler - The handler function to validate.
+   * @param {EventEmit} wrappedHandler - The wrapped handler registered in the `ipcMain`.
+   * @param {HandlerOptions} options - The handler options.
    * @throws {Error} If the channel is invalid or handler is not a function
    * @throws {Error} If a handler is already registered for the channel
+   * @throws {TypeError} If the options or the schema are invalid
    */
-  on(channel, handler) {
+  #register(where, channel, handler, wrappedHandler, options) {
     if (typeof channel !== 'string' || channel.trim() === '')
-      throw new Error('IPC on error: "channel" must be a non-empty string');
+      throw new Error(`IPC ${where} error: "channel" must be a non-empty string`);
     if (typeof handler !== 'function')
-      throw new Error('IPC on error: "handler" must be a function');
+      throw new Error(`IPC ${where} error: "handler" must be a function`);
     if (this.#handlers.has(channel))
       throw new Error(`Handler already registered for channel "${channel}"`);
+    if (!isJsonObject(options))
+      throw new TypeError(`IPC ${where} error: "options" must be an object`);
+    if (typeof options.schema !== 'undefined') checkSchema(options.schema);
+
+    this.#handlers.set(channel, wrappedHandler);
+    if (options.schema) this.#schemas.set(channel, options.schema);
+    ipcMain.on(channel, wrappedHandler);
+  }
 
+  /**
+   * Attaches an inspector that records every request/response pair. Use `null` to detach it.
+   *
+   * @param {TinyIpcInspector|null} inspector - The inspector instance.
+   * @throws {TypeError} If the value is not a TinyIpcInspector or null.
+   */
+  setInspector(inspector) {
+    if (inspector !== null && !(inspector instanceof TinyIpcInspector))
+      throw new TypeError('IPC setInspector error: "inspector" must be a TinyIpcInspector or null');
+    this.#inspector = inspector;
+  }
+
+  /**
+   * Returns the attached inspector.
+   * @returns {TinyIpcInspector|null}
+   */
+  getInspector() {
+    return this.#inspector;
+  }
+
+  /**
+   * Records a finished request in the inspector, if there is one.
+   *
+   * @param {'request'|'stream'|'reverse'} type - The request type.
+   * @param {string} channel - The channel of the request.
+   * @param {Electron.WebContents} webContents - The webContents of the request.
+   * @param {string} __requestId - The request id.
+   * @param {number} startedAt - Time when the request started.
+   * @param {unknown} payload - The request payload.
+   * @param {{ response?: unknown, responseSize?: number, chunks?: number, aborted?: boolean, error?: unknown }} result - How the request finished.
+   */
+  #inspect(type, channel, webContents, __requestId, startedAt, payload, result) {
+    const inspector = this.#inspector;
+    if (!inspector) return;
+    const error = result.error ? toError(result.error) : null;
+    inspector.record({
+      type,
+      channel,
+      windowId: webContents.id,
+      requestId: __requestId,
+      startedAt,
+      duration: Date.now() - startedAt,
+      requestSize: inspector.sizeOf(payload),
+      responseSize: result.responseSize ?? inspector.sizeOf(result.response),
+      ...(typeof result.chunks === 'number' && { chunks: result.chunks }),
+      status: result.aborted ? 'aborted' : error ? 'error' : 'ok',
+      error: error
+        ? {
+            name: error.name,
+            message: error.message,
+            ...(error.code !== undefined && { code: error.code }),
+          }
+        : null,
+    });
+  }
+
+  /**
+   * Sets the callback that authorizes every request before the payload validation
+   * and the handler. Use `null` to remove it.
+   *
+   * @param {IPCAccessCheck|null} callback - The access check callback.
+   * @throws {TypeError} If the callback is not a function or null.
+   */
+  setAccessCheck(callback) {
+    if (callback !== null && typeof callback !== 'function')
+      throw new TypeError('IPC setAccessCheck error: "callback" must be a function or null');
+    this.#accessCheck = callback;
+  }
+
+  /**
+   * Runs the access check, the rate limit and the payload validation of a request.
+   *
+   * @param {IpcMainEvent} event - The IPC event of the request.
+   * @param {string} channel - Channel name that received the request.
+   * @param {string} __requestId - The request id.
+   * @param {unknown} payload - The received payload.
+   * @returns {Error|null} The error that must be sent back, or `null` if the request can continue.
+   */
+  #checkRequest(event, channel, __requestId, payload) {
+    if (this.#accessCheck) {
+      try {
+        const denied = this.#accessCheck(event, channel);
+        if (denied) return toError(denied);
+      } catch (err) {
+        return toError(err);
+      }
+    }
+    const limited = this.#acquireRateLimit(event.sender, channel, __requestId);
+    if (limited) return limited;
+    return this.#validatePayload(channel, payload);
+  }
+
+  /**
+   * Validates the payload of a request using the schema of its channel.
+   *
+   * @param {string} channel - Channel name that received the request.
+   * @param {unknown} payload - The received payload.
+   * @returns {Error|null} The validation error, or `null` if the payload is valid.
+   */
+  #validatePayload(channel, payload) {
+    const schema = this.#schemas.get(channel);
+    if (!schema) return null;
+    const issues = validateSchema(payload, schema);
+    return issues.length > 0 ? createValidationError(channel, issues) : null;
+  }
+
+  /**
+   * Sets (or replaces) the payload schema of a registered channel.
+   * Invalid requests are rejected with an `IpcValidationError` before the handler runs.
+   *
+   * @param {string} channel - Channel name.
+   * @param {IpcSchema} schema - The payload schema.
+   * @throws {Error} If no handler is registered for the channel
+   * @throws {TypeError} If the schema is invalid
+   */
+  setSchema(channel, schema) {
+    if (!this.#handlers.has(channel))
+      throw new Error(`No handler registered for channel "${channel}"`);
+    checkSchema(schema);
+    this.#schemas.set(channel, schema);
+  }
+
+  /**
+   * Returns the payload schema registered for a channel.
+   *
+   * @param {string} channel - Channel name.
+   * @returns {IpcSchema|null}
+   */
+  getSchema(channel) {
+    return this.#schemas.get(channel) ?? null;
+  }
+
+  /**
+   * Register a channel listener that can use requestId to respond.
+   *
+   * Synchronous throws and rejected promises returned by the handler are sent
+   * back as serialized errors, unless the handler has already responded.
+   *
+   * @param {string} channel - Channel name for listening
+   * @param {IPCRequestHandler} handler
+   * @param {HandlerOptions} [options]
+   * @throws {Error} If the channel is invalid or handler is not a function
+   * @throws {Error} If a handler is already registered for the channel
+   * @throws {TypeError} If the options or the schema are invalid
+   */
+  on(channel, handler, options = {}) {
     /** @type {EventEmit} */
     const wrappedHandler = (event, { __requestId, payload }) => {
-      if (typeof __requestId !== 'string' || __requestId.trim() === '') {
-        console.warn(`Received event without valid __requestId on channel "${channel}"`);
-        return;
-      }
+      if (!this.#isValidRequestId(channel, __requestId)) return;
+      const controller = this.#createController(event.sender, __requestId);
+      const respond = this.#createRespond(event, channel, __requestId, controller, payload);
+      const invalid = this.#checkRequest(event, channel, __requestId, payload);
+      if (invalid) return respond(undefined, invalid);
 
+      // Falsy reasons (`reject()`, `throw undefined`...) are still errors.
       try {
-        /** @type {IPCRespondCallback} */
-        const respond = (response, error = null) => {
-          /** @type {SendResult} */
-          const result = {
+        const result = handler(event, payload, respond, controller.signal);
+        if (result instanceof Promise) result.catch((err) => respond(undefined, toError(err)));
+      } catch (err) {
+        respond(undefined, toError(err));
+      }
+    };
+
+    this.#register('on', channel, handler, wrappedHandler, options);
+  }
+
+  /**
+   * Register a channel listener whose returned value is the response.
+   *
+   * The handler can return any value or a promise. The resolved value is sent
+   * to the renderer, while thrown errors or rejected promises are sent as serialized errors.
+   *
+   * @param {string} channel - Channel name for listening
+   * @param {IPCResolveHandler} handler
+   * @param {HandlerOptions} [options]
+   * @throws {Error} If the channel is invalid or handler is not a function
+   * @throws {Error} If a handler is already registered for the channel
+   * @throws {TypeError} If the options or the schema are invalid
+   */
+  handle(channel, handler, options = {}) {
+    /** @type {EventEmit} */
+    const wrappedHandler = (event, { __requestId, payload }) => {
+      if (!this.#isValidRequestId(channel, __requestId)) return;
+      const controller = this.#createController(event.sender, __requestId);
+      const respond = this.#createRespond(event, channel, __requestId, controller, payload);
+      const invalid = this.#checkRequest(event, channel, __requestId, payload);
+      if (invalid) return respond(undefined, invalid);
+
+      new Promise((resolve) => resolve(handler(event, payload, controller.signal))).then(
+        (result) => respond(result),
+        // Falsy reasons (`reject(0)`, `reject(undefined)`...) are still errors
+        (err) => respond(undefined, toError(err)),
+      );
+    };
+
+    this.#register('handle', channel, handler, wrappedHandler, options);
+  }
+
+  /**
+   * Register a channel listener that can send multiple chunks as the response.
+   *
+   * The renderer receives the chunks through `TinyIpcRequestManager.stream()`.
+   * Each `write()` waits when the renderer has too many unread chunks, and the
+   * `signal` is aborted when the renderer cancels the stream or its window is destroyed.
+   *
+   * @param {string} channel - Channel name for listening
+   * @param {IPCStreamHandler} handler
+   * @param {HandlerOptions} [options]
+   * @throws {Error} If the channel is invalid or handler is not a function
+   * @throws {Error} If a handler is already registered for the channel
+   * @throws {TypeError} If the options or the schema are invalid
+   */
+  stream(channel, handler, options = {}) {
+    /** @type {EventEmit} */
+    const wrappedHandler = (event, { __requestId, payload, highWaterMark }) => {
+      if (!this.#isValidRequestId(channel, __requestId)) return;
+      const sender = event.sender;
+      const key = this.#requestKey(sender, __requestId);
+      const startedAt = Date.now();
+      let closed = false;
+      let chunks = 0;
+      let responseSize = 0;
+
+      /** @type {StreamState} */
+      const state = {
+        credits:
+          typeof highWaterMark === 'number' && Number.isFinite(highWaterMark) && highWaterMark >= 1
+            ? Math.floor(highWaterMark)
+            : 16,
+        waiters: [],
+        controller: this.#createController(sender, __requestId),
+      };
+      this.#streams.set(key, state);
+
+      /** @param {SendResult} result */
+      const send = (result) => {
+        if (!sender.isDestroyed()) sender.send(this.#responseChannel, result);
+      };
+
+      /** @param {unknown} [error] */
+      const close = (error) => {
+        if (closed) return;
+        closed = true;
+        this.#streams.delete(key);
+        this.#controllers.delete(key);
+        this.#releaseRequest(key);
+        for (const wakeUp of state.waiters.splice(0)) wakeUp();
+        this.#inspect('stream', channel, sender, __requestId, startedAt, payload, {
+          responseSize,
+          chunks,
+          error,
+          aborted: state.controller.signal.aborted,
+        });
+      };
+
+      state.controller.signal.addEventListener('abort', () => close(), { once: true });
+
+      /** @type {IPCStreamController} */
+      const controller = {
+        signal: state.controller.signal,
+        isClosed: () => closed,
+        write: async (chunk) => {
+          while (!closed && state.credits < 1)
+            await new Promise((resolve) => state.waiters.push(() => resolve(null)));
+          if (closed)
+            throw state.controller.signal.aborted
+              ? toError(state.controller.signal.reason)
+              : new Error(`The stream of channel "${channel}" is already closed.`);
+
+          state.credits--;
+          chunks++;
+          if (this.#inspector) responseSize += Math.max(0, this.#inspector.sizeOf(chunk));
+          send({ __requestId, payload: chunk, error: null, stream: 'chunk' });
+        },
+        end: () => {
+          if (closed) return;
+          close();
+          send({ __requestId, payload: undefined, error: null, stream: 'end' });
+        },
+        error: (err) => {
+          if (closed) return;
+          close(err);
+          send({
             __requestId,
-            payload: response,
-            error: error ? serializeError(error) : null,
-          };
-          event.sender.send(this.#responseChannel, result);
-        };
+            payload: undefined,
+            // @ts-ignore
+            error: serializeError(toError(err)),
+            stream: 'error',
+          });
+        },
+      };
+
+      const invalid = this.#checkRequest(event, channel, __requestId, payload);
+      if (invalid) return controller.error(invalid);
 
-        handler(event, payload, respond);
+      try {
+        const result = handler(event, payload, controller);
+        if (result instanceof Promise)
+          result.then(
+            () => controller.end(),
+            (err) => controller.error(err),
+          );
       } catch (err) {
-        /** @type {SendResult} */
-        const result = {
-          __requestId,
-          payload: undefined,
-          // @ts-ignore
-          error: err ? serializeError(err) : null,
-        };
-        event.sender.send(this.#responseChannel, result);
+        // @ts-ignore
+        controller.error(err);
       }
     };
 
-    this.#handlers.set(channel, wrappedHandler);
-    ipcMain.on(channel, wrappedHandler);
+    this.#register('stream', channel, handler, wrappedHandler, options);
   }
 
   /**
@@ -129,6 +1009,7 @@ class TinyIpcResponder {
 
     ipcMain.removeListener(channel, handler);
     this.#handlers.delete(channel);
+    this.#schemas.delete(channel);
   }
 
   /**
@@ -136,11 +1017,12 @@ class TinyIpcResponder {
    *
    * @param {string} channel - Channel name for listening
    * @param {IPCRequestHandler} handler
+   * @param {HandlerOptions} [options]
    * @throws {Error} If the channel is invalid or handler is not a function
    * @throws {Error} If a handler is already registered for the channel
    */
-  addListener(channel, handler) {
-    return this.on(channel, handler);
+  addListener(channel, handler, options) {
+    return this.on(channel, handler, options);
   }
 
   /**
@@ -162,6 +1044,7 @@ class TinyIpcResponder {
       ipcMain.removeListener(channel, handler);
     }
     this.#handlers.clear();
+    this.#schemas.clear();
   }
 }
 
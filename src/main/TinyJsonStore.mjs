@@ -0,0 +1,920 @@
+import { mkdir, open, readdir, readFile, rename, rm } from 'node:fs/promises';
+import { join } from 'node:path';
+import { isJsonObject } from 'tiny-essentials';
+import TinyDb from './TinyDb.mjs';
+import TinyFileCipher from './TinyFileCipher.mjs';
+
+/**
+ * A document stored in a collection. Every document has a unique `_id`.
+ *
+ * @typedef {Record<string, any> & { _id: string }} JsonDocument
+ */
+
+/**
+ * A filter used to select documents.
+ *
+ * Each key is a field path (dot notation is supported, like `profile.age`) and each value is
+ * the expected value or an object with operators: `$eq`, `$ne`, `$gt`, `$gte`, `$lt`, `$lte`,
+ * `$in`, `$nin`, `$exists` and `$regex`. `$and` and `$or` accept a list of filters.
+ * `$regex` patterns are limited to 100 characters of literals, escapes, `.`, character classes
+ * and the anchors `^` and `$`. Groups, alternations and quantifiers are rejected, so the match
+ * always takes linear time and a filter sent by a window can't block the main process.
+ *
+ * @typedef {Record<string, any>} JsonFilter
+ */
+
+/**
+ * Options used to find documents.
+ *
+ * @typedef {Object} JsonFindOptions
+ * @property {Record<string, 1|-1>} [sort] - Fields used to sort the result (`1` ascending, `-1` descending).
+ * @property {number} [skip] - Amount of documents skipped.
+ * @property {number} [limit] - Max amount of documents returned.
+ */
+
+/**
+ * Changes applied to the documents of an update. An object without operators is used as `$set`.
+ * Fields are paths, so dot notation (like `profile.age`) changes nested fields.
+ *
+ * @typedef {Object} JsonUpdate
+ * @property {Record<string, any>} [$set] - Fields to set. Missing parent objects are created.
+ * @property {string[]} [$unset] - Fields to remove.
+ * @property {Record<string, number>} [$inc] - Numeric fields to increment.
+ */
+
+/**
+ * Options of the write operations.
+ *
+ * @typedef {Object} JsonWriteOptions
+ * @property {string|null} [transaction=null] - Id of the open transaction, returned by `begin()`. Required while a transaction is open.
+ */
+
+/**
+ * A change made through the adapter, held until its transaction is committed.
+ *
+ * @typedef {{ collection: string, type: JsonCommand, changes: number }} JsonChange
+ */
+
+/**
+ * The result of a write operation, compatible with the result of a SQL `run`.
+ *
+ * @typedef {{ changes: number }} JsonWriteResult
+ */
+
+/**
+ * The commands accepted by the TinyDb adapter.
+ *
+ * @typedef {'find'|'findOne'|'count'|'insert'|'update'|'remove'|'drop'|'collections'} JsonCommand
+ */
+
+/** @type {Record<'all'|'get'|'run'|'query', JsonCommand[]>} */
+const adapterCommands = {
+  all: ['find'],
+  get: ['findOne'],
+  run: ['insert', 'update', 'remove', 'drop'],
+  query: ['find', 'findOne', 'count', 'insert', 'update', 'remove', 'drop', 'collections'],
+};
+
+/**
+ * Max length of a `$regex` pattern.
+ * @type {number}
+ */
+const maxRegexLength = 100;
+
+/**
+ * Keys that can't be used in the field paths of an update.
+ * @type {string[]}
+ */
+const unsafeKeys = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Reads a field of a document using dot notation.
+ *
+ * @param {any} doc - The document.
+ * @param {string} path - The field path.
+ * @returns {any}
+ */
+function getField(doc, path) {
+  let value = doc;
+  for (const key of path.split('.')) {
+    if (!isJsonObject(value)) return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+/**
+ * Splits the field path of an update, rejecting the paths that can't be changed.
+ *
+ * @param {string} path - The field path.
+ * @param {string} operator - The update operator, used in the error messages.
+ * @returns {string[]|null} The keys of the path, or `null` for `_id`.
+ * @throws {TypeError} If the path is invalid.
+ */
+function splitUpdatePath(path, operator) {
+  const keys = typeof path === 'string' ? path.split('.') : [];
+  if (keys.length === 0 || keys.some((key) => key === '' || unsafeKeys.includes(key)))
+    throw new TypeError(`TinyJsonStore: Invalid field "${path}" in "${operator}".`);
+  return keys[0] === '_id' ? null : keys;
+}
+
+/**
+ * Sets a field of a document using the keys of a path. Missing parent objects are created.
+ *
+ * @param {Record<string, any>} doc - The document.
+ * @param {string[]} keys - The keys of the field path.
+ * @param {any} value - The new value.
+ * @throws {TypeError} If a parent field is not an object.
+ */
+function setField(doc, keys, value) {
+  let target = doc;
+  for (const key of keys.slice(0, -1)) {
+    if (typeof target[key] === 'undefined') target[key] = {};
+    else if (!isJsonObject(target[key]))
+      throw new TypeError(
+        `TinyJsonStore: Can't set "${keys.join('.')}", "${key}" is not an object.`,
+      );
+    target = target[key];
+  }
+  target[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Removes a field of a document using the keys of a path.
+ *
+ * @param {Record<string, any>} doc - The document.
+ * @param {string[]} keys - The keys of the field path.
+ */
+function unsetField(doc, keys) {
+  const parent = keys.length > 1 ? getField(doc, keys.slice(0, -1).join('.')) : doc;
+  if (isJsonObject(parent)) delete parent[keys[keys.length - 1]];
+}
+
+/**
+ * Creates the RegExp of a `$regex` filter, rejecting the patterns that may take too long to run.
+ *
+ * Only fixed-length patterns are accepted: without groups, alternations and quantifiers there is
+ * nothing to backtrack, so no pattern can take more than linear time.
+ *
+ * @param {any} pattern - The pattern.
+ * @returns {RegExp}
+ * @throws {Error} If the pattern is not a string, is too long, uses groups, alternations or quantifiers, or is invalid.
+ */
+function createRegex(pattern) {
+  if (typeof pattern !== 'string') throw new Error('TinyJsonStore: "$regex" must be a string.');
+  if (pattern.length > maxRegexLength)
+    throw new Error(`TinyJsonStore: "$regex" can't be longer than ${maxRegexLength} characters.`);
+  let inClass = false;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\') i++;
+    else if (inClass) inClass = char !== ']';
+    else if (char === '[') inClass = true;
+    else if ('()|*+?{'.includes(char))
+      throw new Error(
+        `TinyJsonStore: "$regex" can't use groups, alternations or quantifiers (escape "${char}" to match it).`,
+      );
+  }
+  try {
+    return new RegExp(pattern);
+  } catch {
+    throw new Error(`TinyJsonStore: Invalid "$regex" pattern "${pattern}".`);
+  }
+}
+
+/**
+ * Compares two JSON values.
+ *
+ * @param {any} a
+ * @param {any} b
+ * @returns {boolean}
+ */
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Compares two values used in range operators and sorting.
+ *
+ * @param {any} a
+ * @param {any} b
+ * @returns {number}
+ */
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (typeof a === 'undefined' || a === null) return -1;
+  if (typeof b === 'undefined' || b === null) return 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Checks if a field value matches a filter condition.
+ *
+ * @param {any} value - The field value.
+ * @param {any} condition - The expected value or an object with operators.
+ * @returns {boolean}
+ * @throws {Error} If an unknown operator is used.
+ */
+function matchCondition(value, condition) {
+  if (!isJsonObject(condition) || !Object.keys(condition).some((key) => key.startsWith('$')))
+    return Array.isArray(value) && !Array.isArray(condition)
+      ? value.some((item) => isEqual(item, condition))
+      : isEqual(value, condition);
+
+  for (const [operator, expected] of Object.entries(condition)) {
+    switch (operator) {
+      case '$eq':
+        if (!isEqual(value, expected)) return false;
+        break;
+      case '$ne':
+        if (isEqual(value, expected)) return false;
+        break;
+      case '$gt':
+        if (typeof value === 'undefined' || compareValues(value, expected) <= 0) return false;
+        break;
+      case '$gte':
+        if (typeof value === 'undefined' || compareValues(value, expected) < 0) return false;
+        break;
+      case '$lt':
+        if (typeof value === 'undefined' || compareValues(value, expected) >= 0) return false;
+        break;
+      case '$lte':
+        if (typeof value === 'undefined' || compareValues(value, expected) > 0) return false;
+        break;
+      case '$in':
+        if (!Array.isArray(expected)) throw new Error('TinyJsonStore: "$in" must be an array.');
+        if (!expected.some((item) => isEqual(value, item))) return false;
+        break;
+      case '$nin':
+        if (!Array.isArray(expected)) throw new Error('TinyJsonStore: "$nin" must be an array.');
+        if (expected.some((item) => isEqual(value, item))) return false;
+        break;
+      case '$exists':
+        if ((typeof value !== 'undefined') !== Boolean(expected)) return false;
+        break;
+      case '$regex':
+        if (typeof value !== 'string' || !createRegex(expected).test(value)) return false;
+        break;
+      default:
+        throw new Error(`TinyJsonStore: Unknown filter operator "${operator}".`);
+    }
+  }
+  return true;
+}
+
+/**
+ * Checks if a document matches a filter.
+ *
+ * @param {JsonDocument} doc - The document.
+ * @param {JsonFilter} filter - The filter.
+ * @returns {boolean}
+ */
+function matchFilter(doc, filter) {
+  for (const [key, condition] of Object.entries(filter)) {
+    if (key === '$and' || key === '$or') {
+      if (!Array.isArray(condition))
+        throw new Error(`TinyJsonStore: "${key}" must be an array of filters.`);
+      const matches = condition.map((item) => matchFilter(doc, item));
+      if (key === '$and' ? matches.includes(false) : !matches.includes(true)) return false;
+    } else if (!matchCondition(getField(doc, key), condition)) return false;
+  }
+  return true;
+}
+
+/**
+ * A small JSON document store persisted as one file per collection.
+ *
+ * Every operation runs in order through an internal queue, and every write goes to a temporary
+ * file that is renamed over the collection file, so a crash never leaves a half written file.
+ * It can be attached to a main `TinyDb` with `attachTo()`, so the preload API works unchanged.
+ *
+ * @class
+ */
+class TinyJsonStore {
+  /** @type {string} */
+  #folder;
+
+  /** @type {boolean} */
+  #pretty;
+
+  /** @type {TinyFileCipher|null} */
+  #cipher;
+
+  /**
+   * Collections already loaded from the disk.
+   * @type {Map<string, JsonDocument[]>}
+   */
+  #cache = new Map();
+
+  /** @type {Promise<any>} */
+  #queue = Promise.resolve();
+
+  /**
+   * The open transaction, or `null` without a transaction. `journal` keeps copies of the
+   * collections before their first change, and `changes` holds the notifications until the commit.
+   * @type {{ id: string, journal: Map<string, JsonDocument[]>, changes: JsonChange[] }|null}
+   */
+  #transaction = null;
+
+  /**
+   * The TinyDb used to notify the changes made through the adapter.
+   * @type {TinyDb|null}
+   */
+  #tinyDb = null;
+
+  /**
+   * @param {string} folder - Folder where the collection files are stored (e.g. `root.getAppDataSubdir('db')`).
+   * @param {Object} [options={}] - Extra options.
+   * @param {boolean} [options.pretty=false] - Writes indented JSON files.
+   * @param {TinyFileCipher|null} [options.cipher=null] - Encrypts the collection files. Plain files are read only if the cipher allows plaintext, and they are encrypted on their next write.
+   * @throws {TypeError} If the folder or the options are invalid.
+   */
+  constructor(folder, { pretty = false, cipher = null } = {}) {
+    if (typeof folder !== 'string' || folder.trim() === '')
+      throw new TypeError('TinyJsonStore: "folder" must be a non-empty string.');
+    if (typeof pretty !== 'boolean')
+      throw new TypeError('TinyJsonStore: "pretty" must be a boolean.');
+    if (cipher !== null && !(cipher instanceof TinyFileCipher))
+      throw new TypeError('TinyJsonStore: "cipher" must be a TinyFileCipher instance or null.');
+    this.#folder = folder;
+    this.#pretty = pretty;
+    this.#cipher = cipher;
+  }
+
+  /**
+   * Returns the folder where the collection files are stored.
+   * @returns {string}
+   */
+  getFolder() {
+    return this.#folder;
+  }
+
+  /**
+   * Runs an operation after all the previous ones.
+   *
+   * @template T
+   * @param {() => Promise<T>|T} callback - The operation.
+   * @returns {Promise<T>}
+   */
+  #enqueue(callback) {
+    const result = this.#queue.then(callback);
+    this.#queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Validates a collection name and returns the path of its file.
+   *
+   * @param {string} name - The collection name.
+   * @returns {string}
+   * @throws {TypeError} If the name is invalid.
+   */
+  #getFile(name) {
+    if (typeof name !== 'string' || !/^[A-Za-z0-9_-]+$/.test(name))
+      throw new TypeError(
+        `TinyJsonStore: Invalid collection name "${name}". Use only letters, numbers, "_" and "-".`,
+      );
+    return join(this.#folder, `${name}.json`);
+  }
+
+  /**
+   * Loads a collection, from the cache or from the disk.
+   *
+   * @param {string} name - The collection name.
+   * @returns {Promise<JsonDocument[]>}
+   * @throws {Error} If the file exists but is not a valid collection.
+   */
+  async #load(name) {
+    const file = this.#getFile(name);
+    const cached = this.#cache.get(name);
+    if (cached) return cached;
+
+    /** @type {JsonDocument[]} */
+    let docs = [];
+    try {
+      const raw = JSON.parse(
+        this.#cipher
+          ? (await this.#cipher.readFile(file)).toString('utf8')
+          : await readFile(file, 'utf8'),
+      );
+      if (!Array.isArray(raw) || raw.some((doc) => !isJsonObject(doc)))
+        throw new Error(`TinyJsonStore: The file of the collection "${name}" is not valid.`);
+      docs = raw;
+    } catch (err) {
+      if (/** @type {NodeJS.ErrnoException} */ (err).code !== 'ENOENT') throw err;
+    }
+    this.#cache.set(name, docs);
+    return docs;
+  }
+
+  /**
+   * Checks if a write can run. While a transaction is open, only its own writes are accepted,
+   * so a rollback never reverts changes made outside of it.
+   *
+   * @param {JsonWriteOptions} options - The write options.
+   * @throws {Error} If the write doesn't belong to the open transaction.
+   */
+  #checkWrite({ transaction = null } = {}) {
+    const open = this.#transaction;
+    if (transaction !== null && open?.id !== transaction)
+      throw new Error(`TinyJsonStore: There is no open transaction with the id "${transaction}".`);
+    if (open && transaction === null)
+      throw new Error('TinyJsonStore: A transaction is open. Writes outside of it are rejected.');
+  }
+
+  /**
+   * Keeps a copy of a collection before its first change inside a transaction.
+   *
+   * @param {string} name - The collection name.
+   * @param {JsonDocument[]} docs - The current documents.
+   */
+  #track(name, docs) {
+    const journal = this.#transaction?.journal;
+    if (journal && !journal.has(name)) journal.set(name, structuredClone(docs));
+  }
+
+  /**
+   * Writes a collection to the disk using a temporary file and a rename.
+   *
+   * @param {string} name - The collection name.
+   * @param {JsonDocument[]} docs - The documents.
+   */
+  async #persist(name, docs) {
+    const file = this.#getFile(name);
+    const tmpFile = `${file}.tmp`;
+    await mkdir(this.#folder, { recursive: true });
+    const handle = await open(tmpFile, 'w');
+    try {
+      const json = JSON.stringify(docs, null, this.#pretty ? 2 : undefined);
+      await handle.writeFile(this.#cipher ? this.#cipher.encrypt(json) : json);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await rename(tmpFile, file);
+    this.#cache.set(name, docs);
+  }
+
+  /**
+   * Selects the documents that match a filter, with sorting and pagination.
+   *
+   * @param {JsonDocument[]} docs - The documents.
+   * @param {JsonFilter} filter - The filter.
+   * @param {JsonFindOptions} options - The find options.
+   * @returns {JsonDocument[]}
+   */
+  #select(docs, filter, { sort, skip, limit } = {}) {
+    if (!isJsonObject(filter)) throw new TypeError('TinyJsonStore: "filter" must be an object.');
+    let result = docs.filter((doc) => matchFilter(doc, filter));
+    if (isJsonObject(sort)) {
+      const fields = Object.entries(sort);
+      result.sort((a, b) => {
+        for (const [field, order] of fields) {
+          const diff = compareValues(getField(a, field), getField(b, field));
+          if (diff !== 0) return order === -1 ? -diff : diff;
+        }
+        return 0;
+      });
+    }
+    if (typeof skip === 'number' && skip > 0) result = result.slice(skip);
+    if (typeof limit === 'number' && limit >= 0) result = result.slice(0, limit);
+    return result;
+  }
+
+  /**
+   * Returns the names of all collections stored in the folder.
+   *
+   * @returns {Promise<string[]>}
+   */
+  collections() {
+    return this.#enqueue(async () => {
+      /** @type {Set<string>} */
+      const names = new Set([...this.#cache.keys()]);
+      try {
+        for (const file of await readdir(this.#folder))
+          if (file.endsWith('.json')) names.add(file.slice(0, -5));
+      } catch (err) {
+        if (/** @type {NodeJS.ErrnoException} */ (err).code !== 'ENOENT') throw err;
+      }
+      return [...names].sort();
+    });
+  }
+
+  /**
+   * Re-encrypts every collection file with the current key of the cipher.
+   * Call it after the key provider of the cipher changes.
+   *
+   * @returns {Promise<string[]>} The collections that were written.
+   * @throws {Error} If the store has no cipher.
+   */
+  async rotateKey() {
+    const cipher = this.#cipher;
+    if (!cipher) throw new Error('TinyJsonStore: The store has no cipher.');
+    const names = await this.collections();
+    return this.#enqueue(async () => {
+      /** @type {string[]} */
+      const rotated = [];
+      for (const name of names) {
+        try {
+          if (await cipher.rotateFile(this.#getFile(name))) rotated.push(name);
+        } catch (err) {
+          if (/** @type {NodeJS.ErrnoException} */ (err).code !== 'ENOENT') throw err;
+        }
+      }
+      return rotated;
+    });
+  }
+
+  /**
+   * Inserts one or more documents. Documents without `_id` receive a random one.
+   *
+   * @param {string} collection - The collection name.
+   * @param {Record<string, any>|Record<string, any>[]} docs - The document or the list of documents.
+   * @param {JsonWriteOptions} [options={}] - The write options.
+   * @returns {Promise<JsonDocument[]>} Copies of the inserted documents.
+   * @throws {TypeError} If a document is not an object.
+   * @throws {Error} If an `_id` is already used, or if the write is outside of the open transaction.
+   */
+  insert(collection, docs, options = {}) {
+    return this.#enqueue(async () => {
+      this.#checkWrite(options);
+      const list = Array.isArray(docs) ? docs : [docs];
+      if (list.some((doc) => !isJsonObject(doc)))
+        throw new TypeError('TinyJsonStore: Every document must be an object.');
+
+      const current = await this.#load(collection);
+      const ids = new Set(current.map((doc) => doc._id));
+      /** @type {JsonDocument[]} */
+      const inserted = list.map((doc) => {
+        const copy = structuredClone(doc);
+        if (typeof copy._id !== 'string' || copy._id.length === 0) copy._id = crypto.randomUUID();
+        if (ids.has(copy._id))
+          throw new Error(
+            `TinyJsonStore: Duplicate _id "${copy._id}" in collection "${collection}".`,
+          );
+        ids.add(copy._id);
+        return /** @type {JsonDocument} */ (copy);
+      });
+
+      this.#track(collection, current);
+      await this.#persist(collection, [...current, ...inserted]);
+      return structuredClone(inserted);
+    });
+  }
+
+  /**
+   * Finds the documents that match a filter.
+   *
+   * @param {string} collection - The collection name.
+   * @param {JsonFilter} [filter={}] - The filter.
+   * @param {JsonFindOptions} [options={}] - Sorting and pagination.
+   * @returns {Promise<JsonDocument[]>} Copies of the documents.
+   */
+  find(collection, filter = {}, options = {}) {
+    return this.#enqueue(async () =>
+      structuredClone(this.#select(await this.#load(collection), filter, options)),
+    );
+  }
+
+  /**
+   * Finds the first document that matches a filter.
+   *
+   * @param {string} collection - The collection name.
+   * @param {JsonFilter} [filter={}] - The filter.
+   * @param {JsonFindOptions} [options={}] - Sorting (used to pick the first document).
+   * @returns {Promise<JsonDocument|null>} A copy of the document, or `null`.
+   */
+  async findOne(collection, filter = {}, options = {}) {
+    const [doc] = await this.find(collection, filter, { ...options, limit: 1 });
+    return doc ?? null;
+  }
+
+  /**
+   * Counts the documents that match a filter.
+   *
+   * @param {string} collection - The collection name.
+   * @param {JsonFilter} [filter={}] - The filter.
+   * @returns {Promise<number>}
+   */
+  count(collection, filter = {}) {
+    return this.#enqueue(async () => this.#select(await this.#load(collection), filter, {}).length);
+  }
+
+  /**
+   * Updates the documents that match a filter. The `_id` of a document can't be changed.
+   *
+   * @param {string} collection - The collection name.
+   * @param {JsonFilter} filter - The filter.
+   * @param {JsonUpdate|Record<string, any>} changes - The changes. An object without operators is used as `$set`.
+   * @param {JsonWriteOptions} [options={}] - The write options.
+   * @returns {Promise<JsonWriteResult>}
+   * @throws {TypeError} If the changes are invalid.
+   * @throws {Error} If the write is outside of the open transaction.
+   */
+  update(collection, filter, changes, options = {}) {
+    return this.#enqueue(async () => {
+      this.#checkWrite(options);
+      if (!isJsonObject(changes))
+        throw new TypeError('TinyJsonStore: "changes" must be an object.');
+      const hasOperators = Object.keys(changes).some((key) => key.startsWith('$'));
+      /** @type {JsonUpdate} */
+      const update = hasOperators ? changes : { $set: changes };
+      for (const key of Object.keys(update))
+        if (!['$set', '$unset', '$inc'].includes(key))
+          throw new TypeError(`TinyJsonStore: Unknown update operator "${key}".`);
+
+      for (const key of /** @type {const} */ (['$set', '$inc']))
+        if (key in update && !isJsonObject(update[key]))
+          throw new TypeError(`TinyJsonStore: "${key}" must be an object.`);
+      const unsetKeys = update.$unset ?? [];
+      if (!Array.isArray(unsetKeys) || unsetKeys.some((key) => typeof key !== 'string'))
+        throw new TypeError('TinyJsonStore: "$unset" must be an array of strings.');
+
+      const current = await this.#load(collection);
+      const matched = new Set(this.#select(current, filter, {}));
+      if (matched.size === 0) return { changes: 0 };
+
+      const next = current.map((doc) => {
+        if (!matched.has(doc)) return doc;
+        const copy = structuredClone(doc);
+        for (const [key, value] of Object.entries(update.$set ?? {})) {
+          const keys = splitUpdatePath(key, '$set');
+          if (keys) setField(copy, keys, structuredClone(value));
+        }
+        for (const key of unsetKeys) {
+          const keys = splitUpdatePath(key, '$unset');
+          if (keys) unsetField(copy, keys);
+        }
+        for (const [key, value] of Object.entries(update.$inc ?? {})) {
+          if (typeof value !== 'number')
+            throw new TypeError(`TinyJsonStore: "$inc.${key}" must be a number.`);
+          const keys = splitUpdatePath(key, '$inc');
+          if (!keys) continue;
+          const current = getField(copy, key);
+          setField(copy, keys, (typeof current === 'number' ? current : 0) + value);
+        }
+        return copy;
+      });
+
+      this.#track(collection, current);
+      await this.#persist(collection, next);
+      return { changes: matched.size };
+    });
+  }
+
+  /**
+   * Removes the documents that match a filter.
+   *
+   * @param {string} collection - The collection name.
+   * @param {JsonFilter} [filter={}] - The filter. An empty filter removes every document.
+   * @param {JsonWriteOptions} [options={}] - The write options.
+   * @returns {Promise<JsonWriteResult>}
+   * @throws {Error} If the write is outside of the open transaction.
+   */
+  remove(collection, filter = {}, options = {}) {
+    return this.#enqueue(async () => {
+      this.#checkWrite(options);
+      const current = await this.#load(collection);
+      const matched = new Set(this.#select(current, filter, {}));
+      if (matched.size === 0) return { changes: 0 };
+      this.#track(collection, current);
+      await this.#persist(
+        collection,
+        current.filter((doc) => !matched.has(doc)),
+      );
+      return { changes: matched.size };
+    });
+  }
+
+  /**
+   * Deletes a collection and its file.
+   *
+   * @param {string} collection - The collection name.
+   * @param {JsonWriteOptions} [options={}] - The write options.
+   * @returns {Promise<JsonWriteResult>} `changes` is the amount of removed documents.
+   * @throws {Error} If the write is outside of the open transaction.
+   */
+  drop(collection, options = {}) {
+    return this.#enqueue(async () => {
+      this.#checkWrite(options);
+      const current = await this.#load(collection);
+      this.#track(collection, current);
+      await rm(this.#getFile(collection), { force: true });
+      this.#cache.delete(collection);
+      return { changes: current.length };
+    });
+  }
+
+  /**
+   * Begins a transaction. Changes made until `rollback()` can be reverted.
+   *
+   * While the transaction is open, every write must pass its id in the `transaction` option,
+   * and the other writes are rejected.
+   *
+   * @param {string} [id] - Id of the transaction. A random one is used by default.
+   * @returns {Promise<string>} The transaction id.
+   * @throws {TypeError} If the id is not a non-empty string.
+   * @throws {Error} If a transaction is already open.
+   */
+  begin(id = crypto.randomUUID()) {
+    if (typeof id !== 'string' || id.length === 0)
+      return Promise.reject(new TypeError('TinyJsonStore: "id" must be a non-empty string.'));
+    return this.#enqueue(() => {
+      if (this.#transaction) throw new Error('TinyJsonStore: A transaction is already open.');
+      this.#transaction = { id, journal: new Map(), changes: [] };
+      return id;
+    });
+  }
+
+  /**
+   * Removes the open transaction.
+   *
+   * @param {string|null} id - The transaction id, or `null` to accept any open transaction.
+   * @returns {{ id: string, journal: Map<string, JsonDocument[]>, changes: JsonChange[] }}
+   * @throws {Error} If there is no open transaction with this id.
+   */
+  #closeTransaction(id) {
+    const transaction = this.#transaction;
+    if (!transaction) throw new Error('TinyJsonStore: There is no open transaction.');
+    if (id !== null && transaction.id !== id)
+      throw new Error(`TinyJsonStore: There is no open transaction with the id "${id}".`);
+    this.#transaction = null;
+    return transaction;
+  }
+
+  /**
+   * Commits the open transaction and sends the changes held by it.
+   *
+   * @param {string|null} [id=null] - The transaction id. Any open transaction is accepted with `null`.
+   * @returns {Promise<void>}
+   * @throws {Error} If there is no open transaction with this id.
+   */
+  commit(id = null) {
+    return this.#enqueue(() => {
+      const { changes } = this.#closeTransaction(id);
+      for (const change of changes) this.#sendChange(change);
+    });
+  }
+
+  /**
+   * Reverts every change made since `begin()`. The changes held by the transaction are dropped.
+   *
+   * @param {string|null} [id=null] - The transaction id. Any open transaction is accepted with `null`.
+   * @returns {Promise<void>}
+   * @throws {Error} If there is no open transaction with this id.
+   */
+  rollback(id = null) {
+    return this.#enqueue(async () => {
+      const { journal } = this.#closeTransaction(id);
+      for (const [name, docs] of journal) {
+        if (docs.length > 0) await this.#persist(name, docs);
+        else {
+          await rm(this.#getFile(name), { force: true });
+          this.#cache.delete(name);
+        }
+      }
+    });
+  }
+
+  /**
+   * Checks if a transaction is open.
+   *
+   * @returns {boolean}
+   */
+  inTransaction() {
+    return this.#transaction !== null;
+  }
+
+  /**
+   * Executes an adapter command like `"find users"` or `"insert users"`.
+   *
+   * @param {'all'|'get'|'run'|'query'} method - The TinyDb operation that received the command.
+   * @param {string} command - The command: `"<operation> <collection>"`, or only the collection for `all` and `get`.
+   * @param {any[]} params - The command arguments.
+   * @param {import('./TinyDb.mjs').TransactionContext|null} context - The TinyDb transaction of the command.
+   * @returns {Promise<any>}
+   * @throws {Error} If the command is not allowed in this operation.
+   */
+  #execute(method, command, params, context) {
+    if (typeof command !== 'string')
+      throw new TypeError('TinyJsonStore: The query must be a string command.');
+    if (!Array.isArray(params)) params = [];
+    const parts = command.trim().split(/\s+/);
+    const allowed = adapterCommands[method];
+    const [operation, collection] =
+      parts.length === 1 && method !== 'run' && method !== 'query'
+        ? [allowed[0], parts[0]]
+        : /** @type {[JsonCommand, string]} */ (parts);
+
+    if (!allowed.includes(operation) || (parts.length > 2 && operation !== 'collections'))
+      throw new Error(
+        `TinyJsonStore: Invalid "${method}" command "${command}". Allowed operations: ${allowed.join(', ')}.`,
+      );
+
+    /** @type {JsonWriteOptions} */
+    const options = { transaction: context?.id ?? null };
+    switch (operation) {
+      case 'find':
+        return this.find(collection, params[0], params[1]);
+      case 'findOne':
+        return this.findOne(collection, params[0], params[1]);
+      case 'count':
+        return this.count(collection, params[0]);
+      case 'insert':
+        return this.insert(collection, params[0], options).then((docs) =>
+          this.#notify({ collection, type: operation, changes: docs.length }, options, docs),
+        );
+      case 'update':
+        return this.update(collection, params[0], params[1], options).then((result) =>
+          this.#notify({ collection, type: operation, changes: result.changes }, options, result),
+        );
+      case 'remove':
+        return this.remove(collection, params[0], options).then((result) =>
+          this.#notify({ collection, type: operation, changes: result.changes }, options, result),
+        );
+      case 'drop':
+        return this.drop(collection, options).then((result) =>
+          this.#notify({ collection, type: operation, changes: result.changes }, options, result),
+        );
+      case 'collections':
+        return this.collections();
+    }
+  }
+
+  /**
+   * Reports a write made through the adapter to the subscribers of the attached TinyDb.
+   * Writes of a transaction are held until it is committed.
+   *
+   * @template T
+   * @param {JsonChange} change - The change.
+   * @param {JsonWriteOptions} options - The options of the write.
+   * @param {T} result - The result of the operation, returned as it is.
+   * @returns {T}
+   */
+  #notify(change, { transaction = null }, result) {
+    if (change.changes > 0) {
+      const open = this.#transaction;
+      if (transaction !== null && open?.id === transaction) open.changes.push(change);
+      else this.#sendChange(change);
+    }
+    return result;
+  }
+
+  /**
+   * Sends a change to the subscribers of the attached TinyDb.
+   *
+   * @param {JsonChange} change - The change.
+   */
+  #sendChange({ collection, type, changes }) {
+    if (!this.#tinyDb) return;
+    this.#tinyDb.notifyChange(collection, { type, changes }).catch((err) => {
+      console.error(`[TinyJsonStore] Failed to notify the change of "${collection}":`, err);
+    });
+  }
+
+  /**
+   * Uses this store as the backend of a main `TinyDb`.
+   *
+   * The query string of every TinyDb operation is a command:
+   *
+   * - `all('users', [filter, options])` — Finds documents.
+   * - `get('users', [filter, options])` — Finds the first document.
+   * - `run('insert users', [doc])`, `run('update users', [filter, changes])`,
+   *   `run('remove users', [filter])` and `run('drop users', [])` — Writes.
+   * - `query('<operation> <collection>', params)` — Any operation, including `count` and `collections`.
+   *
+   * The transaction hooks are set too, so `transaction()` batches are atomic and the writes of
+   * a window transaction carry its id, while writes without it are rejected until it is closed.
+   * Every write is reported with `notifyChange`, so the subscriptions of the windows are
+   * notified. The writes of a transaction are reported only after its commit.
+   *
+   * @param {TinyDb} tinyDb - The main process TinyDb instance.
+   * @throws {Error} If the value is not a TinyDb instance.
+   */
+  attachTo(tinyDb) {
+    if (!(tinyDb instanceof TinyDb))
+      throw new Error('TinyJsonStore: "tinyDb" must be a TinyDb instance.');
+    this.#tinyDb = tinyDb;
+    tinyDb.setAll((query, params, _signal, context) =>
+      this.#execute('all', query, params, context),
+    );
+    tinyDb.setGet((query, params, _signal, context) =>
+      this.#execute('get', query, params, context),
+    );
+    tinyDb.setRun((query, params, _signal, context) =>
+      this.#execute('run', query, params, context),
+    );
+    tinyDb.setQuery((query, params, _signal, context) =>
+      this.#execute('query', query, params, context),
+    );
+    tinyDb.setTransaction({
+      begin: (context) => this.begin(context.id),
+      commit: (context) => this.commit(context.id),
+      rollback: (context) => this.rollback(context.id),
+    });
+  }
+}
+
+export default TinyJsonStore;
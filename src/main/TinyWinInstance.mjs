@@ -3,6 +3,7 @@ import { EventEmitter } from 'events';
 import { isJsonObject } from 'tiny-essentials';
 import { AppEvents, RootEvents } from '../global/Events.mjs';
 import { checkEventsList } from '../global/Utils.mjs';
+import { createEnvelope, nextEnvelopeSeq } from '../global/Envelope.mjs';
 
 /**
  * Represents a single managed Electron BrowserWindow instance.
@@ -268,6 +269,9 @@ class TinyWinInstance {
   /** @type {string|number|null} */
   #index = null;
 
+  /** @type {string} */
+  #role = 'default';
+
   /** @type {BrowserWindow} */
   #win;
 
@@ -347,10 +351,7 @@ class TinyWinInstance {
     const oldValue = this.#isMaximizable;
     if (oldValue === value) return;
     this.#isMaximizable = value;
-    this.#win.webContents.send(this.#AppEvents.WindowIsMaximizable, {
-      value,
-      time: Date.now(),
-    });
+    this.sendEvent(this.#AppEvents.WindowIsMaximizable, value);
     this.#emit(this.#AppEvents.WindowIsMaximizable, value);
     this.#primaryEmit(this.#AppEvents.WindowIsMaximizable, this.#index, value);
   }
@@ -366,10 +367,7 @@ class TinyWinInstance {
     const oldValue = this.#isClosable;
     if (oldValue === value) return;
     this.#isClosable = value;
-    this.#win.webContents.send(this.#AppEvents.WindowIsClosable, {
-      value,
-      time: Date.now(),
-    });
+    this.sendEvent(this.#AppEvents.WindowIsClosable, value);
     this.#emit(this.#AppEvents.WindowIsClosable, value);
     this.#primaryEmit(this.#AppEvents.WindowIsClosable, this.#index, value);
   }
@@ -385,10 +383,7 @@ class TinyWinInstance {
     const oldValue = this.#isFullScreenable;
     if (oldValue === value) return;
     this.#isFullScreenable = value;
-    this.#win.webContents.send(this.#AppEvents.WindowIsFullScreenable, {
-      value,
-      time: Date.now(),
-    });
+    this.sendEvent(this.#AppEvents.WindowIsFullScreenable, value);
     this.#emit(this.#AppEvents.WindowIsFullScreenable, value);
     this.#primaryEmit(this.#AppEvents.WindowIsFullScreenable, this.#index, value);
   }
@@ -404,10 +399,7 @@ class TinyWinInstance {
     const oldValue = this.#isFocusable;
     if (oldValue === value) return;
     this.#isFocusable = value;
-    this.#win.webContents.send(this.#AppEvents.WindowIsFocusable, {
-      value,
-      time: Date.now(),
-    });
+    this.sendEvent(this.#AppEvents.WindowIsFocusable, value);
     this.#emit(this.#AppEvents.WindowIsFocusable, value);
     this.#primaryEmit(this.#AppEvents.WindowIsFocusable, this.#index, value);
   }
@@ -420,6 +412,14 @@ class TinyWinInstance {
     return this.#index;
   }
 
+  /**
+   * Returns the role of the window (`default`, `singleton`, `modal`, `utility` or `document`).
+   * @returns {string}
+   */
+  getRole() {
+    return this.#role;
+  }
+
   /**
    * Checks whether the window is currently visible.
    * @returns {boolean}
@@ -594,8 +594,38 @@ class TinyWinInstance {
    */
   ping(data) {
     this.#checkDestroy();
-    if (this.#win.webContents)
-      this.#win.webContents.send(this.#AppEvents.Ping, { value: data, time: Date.now() });
+    if (this.#win.webContents) this.sendEvent(this.#AppEvents.Ping, data);
+  }
+
+  /**
+   * Sends an event to a window wrapped in an `EventEnvelope`.
+   *
+   * The envelope gets the next sequence number of the target webContents, so the
+   * renderer can drop stale events even when they share the same timestamp.
+   *
+   * @param {Electron.BrowserWindow} win - The target window.
+   * @param {string} channel - The event channel.
+   * @param {any} [value] - The event value.
+   * @param {number|null} [source=win.id] - Id of the window that produced the event.
+   * @returns {boolean} `false` if the window is destroyed and nothing was sent.
+   */
+  static sendEnvelope(win, channel, value, source = win.id) {
+    if (win.isDestroyed() || !win.webContents || win.webContents.isDestroyed()) return false;
+    const webContents = win.webContents;
+    webContents.send(channel, createEnvelope(value, nextEnvelopeSeq(webContents), source));
+    return true;
+  }
+
+  /**
+   * Sends an event to this window wrapped in an `EventEnvelope`.
+   *
+   * @param {string} channel - The event channel.
+   * @param {any} [value] - The event value.
+   * @returns {boolean} `false` if the window is destroyed and nothing was sent.
+   */
+  sendEvent(channel, value) {
+    if (!this.#win) return false;
+    return TinyWinInstance.sendEnvelope(this.#win, channel, value);
   }
 
   /**
@@ -626,6 +656,7 @@ class TinyWinInstance {
    * @param {Object} [settings={}] - Configuration for the new BrowserWindow.
    * @param {Electron.BrowserWindowConstructorOptions} [settings.config] - Configuration for the new BrowserWindow.
    * @param {string|number} [settings.index] - (Optional) Index of the window in the manager.
+   * @param {string} [settings.role='default'] - Role of the window in the manager.
    * @param {boolean} [settings.isMaximized=false] - The window will try to be maximized by booting.
    * @param {boolean} [settings.openWithBrowser=true] - if you will make all links open with the browser, not with the application.
    * @param {boolean} [settings.show] - The window will appear when the load is finished.
@@ -637,6 +668,7 @@ class TinyWinInstance {
     {
       config,
       index,
+      role = 'default',
       show,
       isMaximized = false,
       openWithBrowser = true,
@@ -675,6 +707,8 @@ class TinyWinInstance {
       (typeof index !== 'number' || !Number.isFinite(index) || Number.isNaN(index))
     )
       throw new Error('[Window Creation Error] Expected "index" to be an string or number.');
+    if (typeof role !== 'string')
+      throw new Error('[Window Creation Error] Expected "role" to be an string.');
 
     this.#win = new BrowserWindow(config);
     this.#primaryEmit = emit;
@@ -682,6 +716,7 @@ class TinyWinInstance {
     this.#setProxy = setProxy;
     this.#loadPath = loadPath;
     this.#index = typeof index === 'number' || typeof index === 'string' ? index : null;
+    this.#role = role;
     this.#visible = show;
 
     // Make all links open with the browser, not with the application
@@ -705,10 +740,7 @@ class TinyWinInstance {
       if (isMaximized && show) this.#win.maximize();
       this.#emit(RootEvents.ReadyToShow, ...args);
       this.#primaryEmit(RootEvents.ReadyToShow, this.#index, ...args);
-      if (this.#win)
-        this.#win.webContents.send(this.#AppEvents.ReadyToShow, {
-          time: Date.now(),
-        });
+      if (this.#win) this.sendEvent(this.#AppEvents.ReadyToShow);
     });
 
     /**
@@ -717,11 +749,7 @@ class TinyWinInstance {
      */
     const resizeWindowEvent = (events) => {
       if (this.#win) {
-        for (const eventName of events)
-          this.#win.webContents.send(eventName, {
-            value: this.#win.getSize(),
-            time: Date.now(),
-          });
+        for (const eventName of events) this.sendEvent(eventName, this.#win.getSize());
       }
     };
 
@@ -790,11 +818,7 @@ class TinyWinInstance {
     );
 
     const fullscreenEvent = () => {
-      if (this.#win)
-        this.#win.webContents.send(this.#AppEvents.WindowIsFullScreen, {
-          value: this.#win.isFullScreen(),
-          time: Date.now(),
-        });
+      if (this.#win) this.sendEvent(this.#AppEvents.WindowIsFullScreen, this.#win.isFullScreen());
     };
 
     this.#win.on('enter-full-screen', fullscreenEvent);
@@ -805,83 +829,51 @@ class TinyWinInstance {
 
     // More
     this.#win.on('focus', () => {
-      if (this.#win && this.#win.webContents)
-        this.#win.webContents.send(this.#AppEvents.WindowIsFocused, {
-          value: true,
-          time: Date.now(),
-        });
+      if (this.#win && this.#win.webContents) this.sendEvent(this.#AppEvents.WindowIsFocused, true);
     });
 
     this.#win.on('blur', () => {
       if (this.#win && this.#win.webContents)
-        this.#win.webContents.send(this.#AppEvents.WindowIsFocused, {
-          value: false,
-          time: Date.now(),
-        });
+        this.sendEvent(this.#AppEvents.WindowIsFocused, false);
     });
 
     this.#win.on('show', () => {
-      if (this.#win && this.#win.webContents)
-        this.#win.webContents.send(this.#AppEvents.WindowIsVisible, {
-          value: true,
-          time: Date.now(),
-        });
+      if (this.#win && this.#win.webContents) this.sendEvent(this.#AppEvents.WindowIsVisible, true);
     });
 
     this.#win.on('hide', () => {
       if (this.#win && this.#win.webContents)
-        this.#win.webContents.send(this.#AppEvents.WindowIsVisible, {
-          value: false,
-          time: Date.now(),
-        });
+        this.sendEvent(this.#AppEvents.WindowIsVisible, false);
     });
 
     this.#win.on('maximize', () => {
       if (this.#win && this.#win.webContents)
-        this.#win.webContents.send(this.#AppEvents.WindowIsMaximized, {
-          value: true,
-          time: Date.now(),
-        });
+        this.sendEvent(this.#AppEvents.WindowIsMaximized, true);
     });
 
     this.#win.on('unmaximize', () => {
       if (this.#win && this.#win.webContents)
-        this.#win.webContents.send(this.#AppEvents.WindowIsMaximized, {
-          value: false,
-          time: Date.now(),
-        });
+        this.sendEvent(this.#AppEvents.WindowIsMaximized, false);
     });
 
     this.#win.on('will-resize', () => {
       if (this.#win && this.#win.webContents)
-        this.#win.webContents.send(this.#AppEvents.WindowIsMaximized, {
-          value: this.#win.isMaximized(),
-          time: Date.now(),
-        });
+        this.sendEvent(this.#AppEvents.WindowIsMaximized, this.#win.isMaximized());
     });
 
     this.#win.on('resize', () => {
       if (this.#win && this.#win.webContents)
-        this.#win.webContents.send(this.#AppEvents.WindowIsMaximized, {
-          value: this.#win.isMaximized(),
-          time: Date.now(),
-        });
+        this.sendEvent(this.#AppEvents.WindowIsMaximized, this.#win.isMaximized());
     });
 
     this.#win.on('resized', () => {
       if (this.#win && this.#win.webContents)
-        this.#win.webContents.send(this.#AppEvents.WindowIsMaximized, {
-          value: this.#win.isMaximized(),
-          time: Date.now(),
-        });
+        this.sendEvent(this.#AppEvents.WindowIsMaximized, this.#win.isMaximized());
     });
 
     this.#win.on('move', () => {
       if (this.#win && this.#win.webContents)
-        this.#win.webContents.send(this.#AppEvents.WindowMove, {
-          value: this.#win.getPosition(),
-          time: Date.now(),
-        });
+        this.sendEvent(this.#AppEvents.WindowMove, this.#win.getPosition());
     });
   }
 
@@ -1,5 +1,8 @@
-import { readFileSync } from 'fs';
+import { readFileSync, renameSync, rmSync, writeFileSync } from 'fs';
+import { rename, rm, writeFile } from 'fs/promises';
+import { screen } from 'electron';
 import { isJsonObject } from 'tiny-essentials';
+import TinyFileCipher from './TinyFileCipher.mjs';
 
 /**
  * @typedef {{ width: number; height: number; x?: number; y?: number; }} Bounds
@@ -7,33 +10,158 @@ import { isJsonObject } from 'tiny-essentials';
  */
 
 /**
- * @typedef {{ bounds?: Bounds; maximized?: boolean }} InitConfig
+ * @typedef {{ x: number; y: number; width: number; height: number; }} Rect
+ * A rectangle in screen coordinates (DIP).
+ */
+
+/**
+ * @typedef {{ id: number; bounds: Rect; workArea: Rect; scaleFactor: number }} DisplayInfo
+ * The display where a window was, saved with its bounds.
+ */
+
+/**
+ * @typedef {{ bounds?: Bounds; maximized?: boolean; fullScreen?: boolean; display?: DisplayInfo }} InitConfig
  * Configuration used to initialize a window, including size and state.
  */
 
 /**
- * Provides file operations scoped to a window instance.
+ * Version of the window state store file. Increase it when the format changes,
+ * and convert the old format in `TinyWindowFile#migrateStore`.
+ * @type {number}
+ */
+const WindowStateVersion = 1;
+
+/**
+ * Window events that change the saved state.
+ * @type {string[]}
+ */
+const stateEvents = [
+  'move',
+  'resize',
+  'maximize',
+  'unmaximize',
+  'enter-full-screen',
+  'leave-full-screen',
+];
+
+/**
+ * Checks if a value is a rectangle.
  *
- * This class handles reading, writing, and managing files related
- * to the context of a specific Electron window. Useful for storing
- * window-specific configuration, cache, or temporary data.
+ * @param {any} rect - The value.
+ * @returns {rect is Rect}
+ */
+const isRect = (rect) =>
+  isJsonObject(rect) &&
+  ['x', 'y', 'width', 'height'].every((key) => Number.isFinite(rect[key])) &&
+  /** @type {number} */ (rect.width) > 0 &&
+  /** @type {number} */ (rect.height) > 0;
+
+/**
+ * Returns the area shared by two rectangles.
  *
- * Ensures that file operations are organized per window instance
- * and isolated from global application files.
+ * @param {Rect} a - First rectangle.
+ * @param {Rect} b - Second rectangle.
+ * @returns {number}
+ */
+const overlapArea = (a, b) =>
+  Math.max(0, Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x)) *
+  Math.max(0, Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y));
+
+/**
+ * Returns the distance between the center of a rectangle and the closest point of another one.
+ *
+ * @param {Rect} rect - The rectangle whose center is used.
+ * @param {Rect} target - The other rectangle.
+ * @returns {number}
+ */
+const centerDistance = (rect, target) => {
+  const cx = rect.x + rect.width / 2;
+  const cy = rect.y + rect.height / 2;
+  const dx = Math.max(target.x - cx, 0, cx - (target.x + target.width));
+  const dy = Math.max(target.y - cy, 0, cy - (target.y + target.height));
+  return Math.hypot(dx, dy);
+};
+
+/**
+ * Keeps the saved state (bounds, maximized, full screen and display) of the app windows.
+ *
+ * Each state has a key. By default the key is the path of a JSON file that holds only that
+ * window. After `openStore()`, every state is kept in a single store file, and the keys are
+ * just names (like `main` or `settings`).
  *
  * @class
  */
 class TinyWindowFile {
-  /** @type {Record<string, Bounds>} */
-  #bounds = {};
+  /**
+   * State of every loaded window, by key.
+   * @type {Map<string, InitConfig>}
+   */
+  #states = new Map();
 
-  /** @type {Record<string, InitConfig>} */
-  #ids = {};
+  /**
+   * The store file, or `null` when each window has its own file.
+   * @type {string|null}
+   */
+  #storeFile = null;
+
+  /** @type {TinyFileCipher|null} */
+  #cipher = null;
+
+  /**
+   * Delay in milliseconds between the last window change and the write of its file.
+   * @type {number}
+   */
+  #saveDelay = 500;
+
+  /**
+   * Timers of the files waiting to be written.
+   * @type {Map<string, NodeJS.Timeout>}
+   */
+  #pending = new Map();
+
+  /**
+   * Last write of every file. Writes of the same file run one after another.
+   * @type {Map<string, Promise<void>>}
+   */
+  #writing = new Map();
+
+  /**
+   * Functions that stop tracking a window, by file.
+   * @type {Map<string, () => void>}
+   */
+  #tracked = new Map();
+
+  /**
+   * Sets the cipher used to encrypt the window files.
+   *
+   * Plain files are read only if the cipher has `allowPlaintext` enabled, and they are
+   * encrypted on their next save.
+   *
+   * @param {TinyFileCipher|null} cipher - The cipher, or `null` to save plain JSON files.
+   * @throws {TypeError} If `cipher` is not a `TinyFileCipher` or `null`.
+   */
+  setCipher(cipher) {
+    if (cipher !== null && !(cipher instanceof TinyFileCipher))
+      throw new TypeError('Expected "cipher" to be a TinyFileCipher or null.');
+    this.#cipher = cipher;
+  }
+
+  /**
+   * Returns the cipher used to encrypt the window files.
+   *
+   * @returns {TinyFileCipher|null}
+   */
+  getCipher() {
+    return this.#cipher;
+  }
 
   /**
    * Loads window configuration from a file and stores it internally.
    *
-   * @param {string} initFile - The path to the JSON file containing window data.
+   * With a store (see `openStore()`), `initFile` is the key of the window: a saved state
+   * is kept, and a new key receives the default bounds.
+   *
+   * @param {string} initFile - The path to the JSON file containing window data, or its key in the store.
    * @param {Object} [settings={}] - Optional fallback settings.
    * @param {Bounds} [settings.bounds={ width: 1200, height: 700 }] - Default bounds.
    * @throws {TypeError} If `initFile` is not a string.
@@ -51,15 +179,42 @@ class TinyWindowFile {
     )
       throw new TypeError('Expected "bounds" with numeric x and y.');
 
+    if (this.#storeFile !== null) {
+      if (!this.#states.has(initFile)) this.#states.set(initFile, this.#parseState({}, bounds));
+      return;
+    }
+
     /** @type {InitConfig} */
     let data = {};
     try {
-      const raw = JSON.parse(readFileSync(initFile, 'utf8'));
+      const raw = this.#readJson(initFile);
       if (isJsonObject(raw)) data = raw;
     } catch {
       data = {};
     }
+    this.#states.set(initFile, this.#parseState(data, bounds));
+  }
+
+  /**
+   * Reads a JSON file, decrypting it if a cipher is set.
+   *
+   * @param {string} file - The file path.
+   * @returns {unknown}
+   */
+  #readJson(file) {
+    return JSON.parse(
+      this.#cipher ? this.#cipher.readFileSync(file).toString('utf8') : readFileSync(file, 'utf8'),
+    );
+  }
 
+  /**
+   * Creates a valid window state from saved data.
+   *
+   * @param {InitConfig} data - The saved data.
+   * @param {Bounds} bounds - Default bounds.
+   * @returns {InitConfig}
+   */
+  #parseState(data, bounds) {
     const rawBounds = isJsonObject(data.bounds) ? data.bounds : bounds;
     const finalBounds = {
       width: typeof rawBounds.width === 'number' ? rawBounds.width : bounds.width,
@@ -69,9 +224,367 @@ class TinyWindowFile {
     };
 
     const maximized = typeof data.maximized === 'boolean' ? data.maximized : false;
+    const fullScreen = typeof data.fullScreen === 'boolean' ? data.fullScreen : false;
+    const display = data.display;
+    const validDisplay =
+      isJsonObject(display) &&
+      Number.isSafeInteger(display.id) &&
+      isRect(display.bounds) &&
+      isRect(display.workArea) &&
+      Number.isFinite(display.scaleFactor) &&
+      display.scaleFactor > 0;
 
-    this.#bounds[initFile] = finalBounds;
-    this.#ids[initFile] = { bounds: finalBounds, maximized };
+    return {
+      bounds: finalBounds,
+      maximized,
+      fullScreen,
+      ...(validDisplay ? { display: structuredClone(display) } : {}),
+    };
+  }
+
+  /**
+   * Keeps the state of every window in a single store file, like `<appData>/window-state.json`.
+   *
+   * The store is read at once, so call it before the windows are created. Files of the old
+   * format (one file per window) given in `legacyFiles` are imported into the store under their
+   * key, if the store has no state for that key yet, and then removed.
+   *
+   * @param {string} file - The store file.
+   * @param {Object} [options={}] - Extra options.
+   * @param {Record<string, string>} [options.legacyFiles={}] - Old window files to import, by key.
+   * @param {boolean} [options.removeLegacy=true] - Removes the imported files.
+   * @returns {string[]} The keys imported from the legacy files.
+   * @throws {TypeError} If the arguments are invalid.
+   * @throws {Error} If a store is already open, or the store was saved by a newer version.
+   */
+  openStore(file, { legacyFiles = {}, removeLegacy = true } = {}) {
+    if (typeof file !== 'string' || file.trim() === '')
+      throw new TypeError('Expected "file" to be a non-empty string.');
+    if (!isJsonObject(legacyFiles) || Object.values(legacyFiles).some((v) => typeof v !== 'string'))
+      throw new TypeError('Expected "legacyFiles" to be an object of file paths.');
+    if (typeof removeLegacy !== 'boolean')
+      throw new TypeError('Expected "removeLegacy" to be a boolean.');
+    if (this.#storeFile !== null) throw new Error(`A store is already open: "${this.#storeFile}".`);
+
+    /** @type {unknown} */
+    let data = null;
+    try {
+      data = this.#readJson(file);
+    } catch (err) {
+      if (/** @type {NodeJS.ErrnoException} */ (err).code !== 'ENOENT')
+        console.warn(`[TinyWindowFile] Ignoring the invalid store "${file}":`, err);
+    }
+    const windows = data === null ? {} : this.#migrateStore(data, file);
+
+    const defaults = { width: 1200, height: 700 };
+    for (const [key, state] of Object.entries(windows))
+      if (isJsonObject(state)) this.#states.set(key, this.#parseState(state, defaults));
+    this.#storeFile = file;
+
+    /** @type {string[]} */
+    const imported = [];
+    for (const [key, legacyFile] of Object.entries(legacyFiles)) {
+      if (this.#states.has(key)) continue;
+      /** @type {unknown} */
+      let legacy;
+      try {
+        legacy = this.#readJson(legacyFile);
+      } catch {
+        continue;
+      }
+      if (!isJsonObject(legacy)) continue;
+      this.#states.set(key, this.#parseState(legacy, defaults));
+      imported.push(key);
+    }
+
+    if (imported.length > 0) {
+      this.#writeSync(file);
+      if (removeLegacy) for (const key of imported) rmSync(legacyFiles[key], { force: true });
+    }
+    return imported;
+  }
+
+  /**
+   * Returns the windows of a store file, converting older versions of the format.
+   *
+   * @param {unknown} data - The content of the store file.
+   * @param {string} file - The store file, used in the messages.
+   * @returns {Record<string, any>}
+   * @throws {Error} If the store was saved by a newer version.
+   */
+  #migrateStore(data, file) {
+    if (!isJsonObject(data) || !Number.isSafeInteger(data.version) || !isJsonObject(data.windows)) {
+      console.warn(`[TinyWindowFile] Ignoring the invalid store "${file}".`);
+      return {};
+    }
+    const version = /** @type {number} */ (data.version);
+    if (version > WindowStateVersion)
+      throw new Error(
+        `The window store "${file}" has the version ${version}, but only ${WindowStateVersion} is supported.`,
+      );
+    // Version 1 is the current format. Older versions are converted here when the format changes.
+    return data.windows;
+  }
+
+  /**
+   * Returns the store file, or `null` if each window has its own file.
+   *
+   * @returns {string|null}
+   */
+  getStoreFile() {
+    return this.#storeFile;
+  }
+
+  /**
+   * Returns the keys of every loaded window state.
+   *
+   * @returns {string[]}
+   */
+  getKeys() {
+    return [...this.#states.keys()];
+  }
+
+  /**
+   * Replaces the saved state of a window with the default bounds and saves it.
+   *
+   * @param {string} id - The key of the window.
+   * @param {Object} [settings={}] - Optional settings.
+   * @param {Bounds} [settings.bounds={ width: 1200, height: 700 }] - Default bounds.
+   * @throws {TypeError} If `id` is not a string.
+   */
+  resetState(id, { bounds = { width: 1200, height: 700 } } = {}) {
+    if (typeof id !== 'string') throw new TypeError('Expected "id" to be a string.');
+    this.#states.set(id, this.#parseState({}, bounds));
+    this.#schedule(id, 0);
+  }
+
+  /**
+   * Deletes the saved state of a window and stops tracking it.
+   * Without a store, the file of the window is removed.
+   *
+   * @param {string} id - The key of the window.
+   * @returns {boolean} `true` if a state was deleted.
+   * @throws {TypeError} If `id` is not a string.
+   */
+  deleteState(id) {
+    if (typeof id !== 'string') throw new TypeError('Expected "id" to be a string.');
+    this.#tracked.get(id)?.();
+    if (!this.#states.delete(id)) return false;
+    this.#schedule(id, 0);
+    return true;
+  }
+
+  /**
+   * Saves the configuration of a window to its file (or to the store), encrypted if a cipher is set.
+   *
+   * The file is written at once, unless a delayed write of the same file is running: its older
+   * content could land after this one, so the file is written again right after it (see `flush()`).
+   *
+   * @param {string} initFile - The path to the JSON file of the window, or its key in the store.
+   * @param {InitConfig} data - The window data.
+   * @throws {TypeError} If `initFile` is not a string or `data` is not an object.
+   */
+  saveFile(initFile, data) {
+    if (typeof initFile !== 'string') throw new TypeError('Expected "initFile" to be a string.');
+    if (!isJsonObject(data)) throw new TypeError('Expected "data" to be an object.');
+    this.#states.set(initFile, this.#parseState(data, { width: 1200, height: 700 }));
+    const file = this.#storeFile ?? initFile;
+    if (this.#writing.has(file)) return this.#schedule(initFile, 0);
+    clearTimeout(this.#pending.get(file));
+    this.#pending.delete(file);
+    this.#writeSync(file);
+  }
+
+  /**
+   * Returns the content of a file: the whole store, or the state of a window.
+   *
+   * @param {string} file - The store file or the file of a window.
+   * @returns {string|null} The JSON, or `null` if the window state was deleted.
+   */
+  #serialize(file) {
+    if (file === this.#storeFile)
+      return JSON.stringify({
+        version: WindowStateVersion,
+        windows: Object.fromEntries(this.#states),
+      });
+    const state = this.#states.get(file);
+    return state ? JSON.stringify(state) : null;
+  }
+
+  /**
+   * Writes a file synchronously, using a temporary file and a rename.
+   *
+   * @param {string} file - The store file or the file of a window.
+   */
+  #writeSync(file) {
+    const json = this.#serialize(file);
+    if (json === null) return rmSync(file, { force: true });
+    if (this.#cipher) return this.#cipher.writeFileSync(file, json);
+    const tmpFile = `${file}.tmp`;
+    writeFileSync(tmpFile, json);
+    renameSync(tmpFile, file);
+  }
+
+  /**
+   * Sets the delay between the last change of a tracked window and the write of its file.
+   *
+   * @param {number} ms - Delay in milliseconds.
+   * @throws {TypeError} If `ms` is not a non-negative integer.
+   */
+  setSaveDelay(ms) {
+    if (!Number.isSafeInteger(ms) || ms < 0)
+      throw new TypeError('Expected "ms" to be a non-negative integer.');
+    this.#saveDelay = ms;
+  }
+
+  /**
+   * Returns the delay between the last change of a tracked window and the write of its file.
+   *
+   * @returns {number}
+   */
+  getSaveDelay() {
+    return this.#saveDelay;
+  }
+
+  /**
+   * Saves the state of a window every time it is moved, resized, maximized or put in full screen.
+   *
+   * The state is kept in memory at once and written to the file after `getSaveDelay()` milliseconds
+   * without changes, using a temporary file and a rename. Closing the window writes it without delay.
+   * Tracking another window with the same file stops tracking the previous one.
+   *
+   * @param {string} initFile - The path to the JSON file of the window, or its key in the store.
+   * @param {Electron.BrowserWindow} win - The window.
+   * @returns {() => void} Stops tracking the window.
+   * @throws {TypeError} If `initFile` is not a string.
+   */
+  track(initFile, win) {
+    if (typeof initFile !== 'string') throw new TypeError('Expected "initFile" to be a string.');
+    this.#tracked.get(initFile)?.();
+
+    const onChange = () => {
+      this.#snapshot(initFile, win);
+      this.#schedule(initFile);
+    };
+    const onClose = () => {
+      this.#snapshot(initFile, win);
+      this.#schedule(initFile, 0);
+    };
+    const untrack = () => {
+      for (const event of stateEvents) win.off(/** @type {any} */ (event), onChange);
+      win.off('close', onClose);
+      win.off('closed', untrack);
+      if (this.#tracked.get(initFile) === untrack) this.#tracked.delete(initFile);
+    };
+
+    for (const event of stateEvents) win.on(/** @type {any} */ (event), onChange);
+    win.on('close', onClose);
+    win.on('closed', untrack);
+    this.#tracked.set(initFile, untrack);
+    return untrack;
+  }
+
+  /**
+   * Reads the state of a window and keeps it as its loaded configuration.
+   *
+   * @param {string} id - The key of the window.
+   * @param {Electron.BrowserWindow} win - The window.
+   */
+  #snapshot(id, win) {
+    const bounds = win.getNormalBounds();
+    this.#states.set(id, {
+      bounds: { ...bounds },
+      maximized: win.isMaximized(),
+      fullScreen: win.isFullScreen(),
+      display: this.getDisplayInfo(bounds),
+    });
+  }
+
+  /**
+   * Schedules the write of the file of a window state (or of the store).
+   * The content is read when the write starts, so it is always the latest state.
+   *
+   * @param {string} id - The key of the window.
+   * @param {number} [delay=this.#saveDelay] - Delay in milliseconds.
+   */
+  #schedule(id, delay = this.#saveDelay) {
+    const file = this.#storeFile ?? id;
+    clearTimeout(this.#pending.get(file));
+    const timer = setTimeout(() => {
+      this.#writePending(file).catch((err) =>
+        console.error(`[TinyWindowFile] Failed to save "${file}":`, err),
+      );
+    }, delay);
+    this.#pending.set(file, timer);
+  }
+
+  /**
+   * Writes a waiting file, after the previous write of the same file.
+   *
+   * @param {string} file - The store file or the file of a window.
+   * @returns {Promise<void>}
+   */
+  #writePending(file) {
+    if (this.#pending.has(file)) {
+      clearTimeout(this.#pending.get(file));
+      this.#pending.delete(file);
+      const write = (this.#writing.get(file) ?? Promise.resolve())
+        .catch(() => {})
+        .then(async () => {
+          const json = this.#serialize(file);
+          if (json === null) return rm(file, { force: true });
+          if (this.#cipher) return this.#cipher.writeFile(file, json);
+          const tmpFile = `${file}.tmp`;
+          await writeFile(tmpFile, json);
+          await rename(tmpFile, file);
+        });
+      this.#writing.set(file, write);
+      const clear = () => {
+        if (this.#writing.get(file) === write) this.#writing.delete(file);
+      };
+      write.then(clear, clear);
+    }
+    return this.#writing.get(file) ?? Promise.resolve();
+  }
+
+  /**
+   * Checks if some window state is waiting to be written.
+   *
+   * @returns {boolean}
+   */
+  hasPendingWrites() {
+    return this.#pending.size > 0 || this.#writing.size > 0;
+  }
+
+  /**
+   * Writes every waiting window state now. `TinyElectronRoot` calls it on `will-quit`.
+   *
+   * @returns {Promise<void>} Resolves when every write finished.
+   * @throws {Error} If a write fails.
+   */
+  async flush() {
+    const files = new Set([...this.#pending.keys(), ...this.#writing.keys()]);
+    await Promise.all([...files].map((file) => this.#writePending(file)));
+  }
+
+  /**
+   * Re-encrypts the store, or every loaded window file, with the current key of the cipher.
+   *
+   * @returns {Promise<string[]>} The files that were written.
+   * @throws {Error} If no cipher is set.
+   */
+  async rotateKey() {
+    if (!this.#cipher) throw new Error('No cipher has been set.');
+    /** @type {string[]} */
+    const rotated = [];
+    for (const file of this.#storeFile ? [this.#storeFile] : this.#states.keys()) {
+      try {
+        if (await this.#cipher.rotateFile(file)) rotated.push(file);
+      } catch (err) {
+        if (/** @type {NodeJS.ErrnoException} */ (err).code !== 'ENOENT') throw err;
+      }
+    }
+    return rotated;
   }
 
   /**
@@ -86,13 +599,127 @@ class TinyWindowFile {
     if (typeof id !== 'string') throw new TypeError('Expected "id" to be a string.');
     if (!this.hasId(id)) throw new Error(`No configuration found for id "${id}".`);
 
-    const stored = this.#ids[id];
+    const stored = /** @type {InitConfig} */ (this.#states.get(id));
     return {
       bounds: stored.bounds ? { ...stored.bounds } : undefined,
       maximized: stored.maximized ?? false,
+      fullScreen: stored.fullScreen ?? false,
+      ...(stored.display ? { display: structuredClone(stored.display) } : {}),
+    };
+  }
+
+  /**
+   * Returns the configuration of a loaded window, with the bounds fitted to the current displays.
+   *
+   * - The window stays where it was if its display still has the same geometry.
+   * - If the display changed (resolution or work area), the window keeps its place relative
+   *   to the work area. The size is kept: bounds are in DIPs, so a new scale factor needs no change.
+   * - If its display is gone and the window would be off-screen, it is centered on the nearest display.
+   *
+   * The bounds are always shrunk and moved to fit inside the work area of the chosen display.
+   * Requires the app to be ready (it uses the Electron `screen` module).
+   *
+   * @param {string} id - The ID or path used to load the window configuration.
+   * @returns {InitConfig}
+   * @throws {TypeError} If `id` is not a string.
+   * @throws {Error} If `id` has not been registered.
+   */
+  getRestoreData(id) {
+    const data = this.getData(id);
+    const displays = screen.getAllDisplays();
+    if (data.bounds && displays.length > 0)
+      data.bounds = this.#fitBounds(
+        data.bounds,
+        data.display ?? null,
+        displays,
+        screen.getPrimaryDisplay(),
+      );
+    return data;
+  }
+
+  /**
+   * Fits saved bounds to the current displays.
+   *
+   * @param {Bounds} bounds - The saved bounds.
+   * @param {DisplayInfo|null} saved - The display where the window was, if known.
+   * @param {Electron.Display[]} displays - The current displays.
+   * @param {Electron.Display} primary - The primary display.
+   * @returns {Bounds}
+   */
+  #fitBounds(bounds, saved, displays, primary) {
+    const sameDisplay = saved ? displays.find((display) => display.id === saved.id) : undefined;
+
+    /** @type {Electron.Display} */
+    let target;
+    /** @type {{ x: number, y: number }|null} */
+    let position = null;
+    if (typeof bounds.x !== 'number' || typeof bounds.y !== 'number') {
+      target = sameDisplay ?? primary;
+    } else {
+      const rect = { x: bounds.x, y: bounds.y, width: bounds.width, height: bounds.height };
+      if (sameDisplay) {
+        target = sameDisplay;
+        position = { x: rect.x, y: rect.y };
+      } else {
+        let bestArea = 0;
+        target = primary;
+        for (const display of displays) {
+          const area = overlapArea(rect, display.workArea);
+          if (area > bestArea) {
+            bestArea = area;
+            target = display;
+          }
+        }
+        // Off-screen: the window is centered on the nearest display.
+        if (bestArea > 0) position = { x: rect.x, y: rect.y };
+        else
+          target = displays.reduce((nearest, display) =>
+            centerDistance(rect, display.workArea) < centerDistance(rect, nearest.workArea)
+              ? display
+              : nearest,
+          );
+      }
+    }
+
+    const area = target.workArea;
+    const width = Math.min(bounds.width, area.width);
+    const height = Math.min(bounds.height, area.height);
+    if (!position) {
+      if (typeof bounds.x !== 'number' || typeof bounds.y !== 'number') return { width, height };
+      position = {
+        x: area.x + Math.round((area.width - width) / 2),
+        y: area.y + Math.round((area.height - height) / 2),
+      };
+    } else if (saved && saved.id === target.id) {
+      // Same display, maybe with another geometry: keep the place relative to its work area.
+      position = {
+        x: area.x + position.x - saved.workArea.x,
+        y: area.y + position.y - saved.workArea.y,
+      };
+    }
+
+    return {
+      width,
+      height,
+      x: Math.min(Math.max(position.x, area.x), area.x + area.width - width),
+      y: Math.min(Math.max(position.y, area.y), area.y + area.height - height),
     };
   }
 
+  /**
+   * Returns the information of the display that contains most of a window, to save it with the bounds.
+   * Requires the app to be ready (it uses the Electron `screen` module).
+   *
+   * @param {Rect} bounds - The window bounds.
+   * @returns {DisplayInfo}
+   * @throws {TypeError} If the bounds are invalid.
+   */
+  getDisplayInfo(bounds) {
+    if (!isRect(bounds)) throw new TypeError('Expected "bounds" to be a rectangle.');
+    const { id, bounds: rect, workArea, scaleFactor } = screen.getDisplayMatching(bounds);
+    return { id, bounds: { ...rect }, workArea: { ...workArea }, scaleFactor };
+  }
+
   /**
    * Checks if a configuration has been loaded for the given ID.
    *
@@ -102,7 +729,7 @@ class TinyWindowFile {
    */
   hasId(id) {
     if (typeof id !== 'string') throw new TypeError('Expected "id" to be a string.');
-    return !!this.#ids[id];
+    return this.#states.has(id);
   }
 
   /**
@@ -115,7 +742,7 @@ class TinyWindowFile {
    */
   getBounds(id) {
     if (typeof id !== 'string') throw new TypeError('Expected "id" to be a string.');
-    const bounds = this.#bounds[id];
+    const bounds = this.#states.get(id)?.bounds;
     if (!bounds) throw new Error(`No bounds found for id "${id}".`);
     return { ...bounds };
   }
@@ -1,7 +1,25 @@
 import TinyIpcResponder from './TinyIpcResponder.mjs';
+import TinyIpcPolicy from './TinyIpcPolicy.mjs';
+import TinyIpcInspector from './TinyIpcInspector.mjs';
+import TinyJsonStore from './TinyJsonStore.mjs';
+import TinyFileCipher from './TinyFileCipher.mjs';
 import TinyElectronRoot from './TinyElectronRoot.mjs';
 import TinyWindowFile from './TinyWindowFile.mjs';
 import TinyDb from './TinyDb.mjs';
+import TinyDbMigrator from './TinyDbMigrator.mjs';
+import TinyDbRegistry from './TinyDbRegistry.mjs';
 import TinyElectronNotification from './TinyElectronNotification.mjs';
 
-export { TinyIpcResponder, TinyElectronRoot, TinyWindowFile, TinyElectronNotification, TinyDb };
+export {
+  TinyIpcResponder,
+  TinyIpcPolicy,
+  TinyIpcInspector,
+  TinyJsonStore,
+  TinyFileCipher,
+  TinyElectronRoot,
+  TinyWindowFile,
+  TinyElectronNotification,
+  TinyDb,
+  TinyDbMigrator,
+  TinyDbRegistry,
+};
@@ -1,5 +1,63 @@
-import { contextBridge } from 'electron';
+import { contextBridge, ipcRenderer } from 'electron';
+import { isJsonObject } from 'tiny-essentials';
 import TinyIpcRequestManager from './TinyIpcRequestManager.mjs';
+import { deserializeError } from '../global/Utils.mjs';
+
+/** @typedef {import('./TinyIpcRequestManager.mjs').EmitOptions} EmitOptions */
+/** @typedef {import('../main/TinyDb.mjs').TransactionStatement} TransactionStatement */
+/** @typedef {import('../main/TinyDb.mjs').SubscriptionTarget} SubscriptionTarget */
+/** @typedef {import('../main/TinyDb.mjs').ChangeEvent} ChangeEvent */
+/** @typedef {import('../main/TinyDb.mjs').TinyDbCursor} TinyDbCursor */
+/** @typedef {import('../main/TinyDb.mjs').CursorPage} CursorPage */
+/** @typedef {import('../global/Utils.mjs').ErrorParsed} ErrorParsed */
+/** @typedef {import('../main/TinyDb.mjs').WriteStatusEvent} WriteStatusEvent */
+/** @typedef {import('../main/TinyDb.mjs').WriteReceipt} WriteReceipt */
+/** @typedef {import('../main/TinyDb.mjs').QueuedWrite} QueuedWrite */
+
+/**
+ * A change received by a subscription.
+ *
+ * @typedef {Object} TinyDbChange
+ * @property {string} id - Id of the subscription.
+ * @property {string} table - The changed table.
+ * @property {any} change - Extra data sent by the main process.
+ * @property {any} [result] - New result of the registered query (only for query subscriptions).
+ * @property {ErrorParsed} [error] - Error of the registered query, if it failed.
+ */
+
+/**
+ * A function called when a subscription receives a change.
+ *
+ * @typedef {(change: TinyDbChange) => void} SubscriptionCallback
+ */
+
+/**
+ * A status change of a queued write.
+ *
+ * @typedef {Object} TinyDbWriteStatus
+ * @property {string} id - Id of the write.
+ * @property {'retrying'|'committed'|'failed'} status - The new status.
+ * @property {number} attempts - Amount of failed attempts.
+ * @property {number|null} nextRetryAt - Time of the next attempt, if any.
+ * @property {any} [result] - Result of the query (only `committed`).
+ * @property {ErrorParsed} [error] - Error of the last attempt (`retrying` and `failed`).
+ */
+
+/**
+ * A function called when the status of a queued write changes.
+ *
+ * @typedef {(status: TinyDbWriteStatus) => void} WriteStatusCallback
+ */
+
+/**
+ * The result of `queueRun` and `queueExec`.
+ *
+ * @typedef {Object} TinyDbWriteReceipt
+ * @property {string} id - Id of the write.
+ * @property {'queued'|'committed'} status - `committed` if the write ran at once, or `queued` if it waits in the queue.
+ * @property {any} [result] - Result of the query (only `committed`).
+ * @property {ErrorParsed} [error] - Error of the first attempt, if it failed.
+ */
 
 /**
  * TinyDb provides a secure bridge between the Electron renderer process and the main process
@@ -14,6 +72,30 @@ class TinyDb {
   #exposeInMainWorld = '';
   #id;
 
+  /**
+   * Id of the open transaction started with `beginTransaction()`.
+   * @type {string|null}
+   */
+  #transactionId = null;
+
+  /**
+   * Callbacks of the subscriptions, indexed by the subscription id.
+   * @type {Map<string, SubscriptionCallback>}
+   */
+  #subscriptions = new Map();
+
+  /** @type {((event: Electron.IpcRendererEvent, data: ChangeEvent) => void)|null} */
+  #changeListener = null;
+
+  /**
+   * Status callbacks of the queued writes, indexed by the write id.
+   * @type {Map<string, WriteStatusCallback>}
+   */
+  #writes = new Map();
+
+  /** @type {((event: Electron.IpcRendererEvent, data: WriteStatusEvent) => void)|null} */
+  #writeListener = null;
+
   /**
    * Creates a new TinyDb instance.
    *
@@ -45,7 +127,15 @@ class TinyDb {
     if (typeof apiName !== 'string' || apiName.length < 1)
       throw new Error('apiName must be a non-empty string.');
     this.#exposeInMainWorld = apiName;
-    contextBridge.exposeInMainWorld(apiName, {
+    contextBridge.exposeInMainWorld(apiName, this.getApi());
+  }
+
+  /**
+   * Creates the API object exposed to the renderer process by `exposeInMainWorld`.
+   * It can also be exposed inside another API, like the handles of `TinyDbRegistry.use()`.
+   */
+  getApi() {
+    return {
       /**
        * Executes an SQL command that modifies data (`INSERT`, `UPDATE`, `DELETE`)
        * or runs any command without returning rows.
@@ -82,7 +172,120 @@ class TinyDb {
        * @returns {Promise<any>} Result of the query.
        */
       query: (query, params) => this.query(query, params),
-    });
+
+      /**
+       * Executes a query registered by name in the main process.
+       *
+       * @param {string} name - The query name.
+       * @param {any[]} [params] - Query parameters.
+       * @returns {Promise<any>} The query result.
+       */
+      exec: (name, params) => this.exec(name, params),
+
+      /**
+       * Executes an ordered list of statements inside a single transaction.
+       *
+       * @param {TransactionStatement[]} statements - The statements to execute.
+       * @returns {Promise<any[]>} The result of every statement, in the same order.
+       */
+      transaction: (statements) => this.transaction(statements),
+
+      /**
+       * Begins a transaction owned by this window.
+       *
+       * @returns {Promise<string>} The transaction id.
+       */
+      beginTransaction: () => this.beginTransaction(),
+
+      /**
+       * Commits the open transaction.
+       *
+       * @returns {Promise<boolean>}
+       */
+      commit: () => this.commit(),
+
+      /**
+       * Rolls back the open transaction.
+       *
+       * @returns {Promise<boolean>}
+       */
+      rollback: () => this.rollback(),
+
+      /**
+       * Checks if this window has an open transaction.
+       *
+       * @returns {boolean}
+       */
+      inTransaction: () => this.inTransaction(),
+
+      /**
+       * Subscribes to the changes of a table or of a registered query.
+       *
+       * @param {SubscriptionTarget} target - The table or the registered query.
+       * @param {SubscriptionCallback} callback - Called on every change.
+       * @returns {Promise<string>} The subscription id.
+       */
+      subscribe: (target, callback) => this.subscribe(target, callback),
+
+      /**
+       * Removes a subscription.
+       *
+       * @param {string} id - The subscription id.
+       * @returns {Promise<boolean>} `true` if the subscription was removed.
+       */
+      unsubscribe: (id) => this.unsubscribe(id),
+
+      /**
+       * Opens a cursor that reads the rows of a query page by page.
+       *
+       * @param {string} query - SQL query string.
+       * @param {any[]} params - Query parameters.
+       * @param {{ pageSize?: number }} [options] - Max amount of rows of each page.
+       * @returns {Promise<TinyDbCursor>}
+       */
+      openCursor: (query, params, options) =>
+        this.openCursor(query, params, { pageSize: options?.pageSize }),
+
+      /**
+       * Opens a cursor that reads the rows of a registered query page by page.
+       *
+       * @param {string} name - The query name.
+       * @param {any[]} params - Query parameters.
+       * @param {{ pageSize?: number }} [options] - Max amount of rows of each page.
+       * @returns {Promise<TinyDbCursor>}
+       */
+      execCursor: (name, params, options) =>
+        this.execCursor(name, params, { pageSize: options?.pageSize }),
+
+      /**
+       * Executes a `run` query through the durable write queue of the main process.
+       *
+       * @param {string} query - SQL query string.
+       * @param {any[]} params - Query parameters.
+       * @param {{ onStatus?: WriteStatusCallback }} [options] - Called when the status of a queued write changes.
+       * @returns {Promise<TinyDbWriteReceipt>}
+       */
+      queueRun: (query, params, options) =>
+        this.queueRun(query, params, { onStatus: options?.onStatus }),
+
+      /**
+       * Executes a registered query through the durable write queue of the main process.
+       *
+       * @param {string} name - The query name.
+       * @param {any[]} params - Query parameters.
+       * @param {{ onStatus?: WriteStatusCallback }} [options] - Called when the status of a queued write changes.
+       * @returns {Promise<TinyDbWriteReceipt>}
+       */
+      queueExec: (name, params, options) =>
+        this.queueExec(name, params, { onStatus: options?.onStatus }),
+
+      /**
+       * Returns the writes of this window waiting in the queue.
+       *
+       * @returns {Promise<Omit<QueuedWrite, 'group'|'params'>[]>}
+       */
+      getQueuedWrites: () => this.getQueuedWrites(),
+    };
   }
 
   /**
@@ -91,10 +294,11 @@ class TinyDb {
    *
    * @param {string} query - SQL query string.
    * @param {any[]} params - Query parameters.
+   * @param {EmitOptions} [options] - Request options, like a `signal` to abort the query.
    * @returns {Promise<any>} Result of the query execution.
    */
-  run(query, params) {
-    return this.#ipcRequest.send(`${this.#id}_run`, { query, params });
+  run(query, params, options) {
+    return this.#ipcRequest.send(`${this.#id}_run`, { query, params }, options);
   }
 
   /**
@@ -102,10 +306,11 @@ class TinyDb {
    *
    * @param {string} query - SQL query string.
    * @param {any[]} params - Query parameters.
+   * @param {EmitOptions} [options] - Request options, like a `signal` to abort the query.
    * @returns {Promise<any[]>} Array of matching rows.
    */
-  all(query, params) {
-    return this.#ipcRequest.send(`${this.#id}_all`, { query, params });
+  all(query, params, options) {
+    return this.#ipcRequest.send(`${this.#id}_all`, { query, params }, options);
   }
 
   /**
@@ -113,10 +318,11 @@ class TinyDb {
    *
    * @param {string} query - SQL query string.
    * @param {any[]} params - Query parameters.
+   * @param {EmitOptions} [options] - Request options, like a `signal` to abort the query.
    * @returns {Promise<any>} The first row matching the query.
    */
-  get(query, params) {
-    return this.#ipcRequest.send(`${this.#id}_get`, { query, params });
+  get(query, params, options) {
+    return this.#ipcRequest.send(`${this.#id}_get`, { query, params }, options);
   }
 
   /**
@@ -124,10 +330,329 @@ class TinyDb {
    *
    * @param {string} query - SQL query string.
    * @param {any[]} params - Query parameters.
+   * @param {EmitOptions} [options] - Request options, like a `signal` to abort the query.
    * @returns {Promise<any>} Result of the query.
    */
-  query(query, params) {
-    return this.#ipcRequest.send(`${this.#id}_query`, { query, params });
+  query(query, params, options) {
+    return this.#ipcRequest.send(`${this.#id}_query`, { query, params }, options);
+  }
+
+  /**
+   * Executes a query registered by name in the main process (`registerQuery`).
+   *
+   * The params are validated with the schema of the query before it runs.
+   * Unknown names are rejected with a `TinyDbQueryError` (code `EUNKNOWNQUERY`).
+   *
+   * @param {string} name - The query name.
+   * @param {any[]} [params=[]] - Query parameters.
+   * @param {EmitOptions} [options] - Request options, like a `signal` to abort the query.
+   * @returns {Promise<any>} The query result.
+   */
+  exec(name, params = [], options) {
+    return this.#ipcRequest.send(`${this.#id}_exec`, { name, params }, options);
+  }
+
+  /**
+   * Executes an ordered list of statements inside a single transaction.
+   *
+   * The main process begins the transaction, runs every statement in order and commits it.
+   * If any statement fails (or the request is aborted), the transaction is rolled back
+   * and the promise is rejected.
+   *
+   * @param {TransactionStatement[]} statements - The statements to execute.
+   * @param {EmitOptions} [options] - Request options, like a `signal` to abort the batch.
+   * @returns {Promise<any[]>} The result of every statement, in the same order.
+   */
+  transaction(statements, options) {
+    return this.#ipcRequest.send(`${this.#id}_transaction`, { statements }, options);
+  }
+
+  /**
+   * Begins a transaction owned by this window. Every query sent until `commit()` or
+   * `rollback()` is part of it. The transaction is rolled back automatically if the
+   * window is destroyed before it is finished.
+   *
+   * @param {EmitOptions} [options] - Request options.
+   * @returns {Promise<string>} The transaction id.
+   * @throws {Error} If this window already has an open transaction.
+   */
+  async beginTransaction(options) {
+    if (this.#transactionId) throw new Error('TinyDb: A transaction is already open.');
+    const id = await this.#ipcRequest.send(`${this.#id}_begin`, undefined, options);
+    this.#transactionId = id;
+    return id;
+  }
+
+  /**
+   * Commits the open transaction.
+   *
+   * @param {EmitOptions} [options] - Request options.
+   * @returns {Promise<boolean>}
+   * @throws {Error} If there is no open transaction.
+   */
+  commit(options) {
+    return this.#finishTransaction('commit', options);
+  }
+
+  /**
+   * Rolls back the open transaction.
+   *
+   * @param {EmitOptions} [options] - Request options.
+   * @returns {Promise<boolean>}
+   * @throws {Error} If there is no open transaction.
+   */
+  rollback(options) {
+    return this.#finishTransaction('rollback', options);
+  }
+
+  /**
+   * Checks if this window has an open transaction.
+   *
+   * @returns {boolean}
+   */
+  inTransaction() {
+    return this.#transactionId !== null;
+  }
+
+  /**
+   * Opens a cursor that reads the rows of a query page by page, so big results are not sent at once.
+   *
+   * The cursor is closed by the main process when every row was read, after some time
+   * without reading a page (`cursorTimeout`), or when the window is closed.
+   *
+   * @param {string} query - SQL query string.
+   * @param {any[]} [params=[]] - Query parameters.
+   * @param {EmitOptions & { pageSize?: number }} [options={}] - Request options and the max amount of rows of each page (default `100`).
+   * @returns {Promise<TinyDbCursor>}
+   */
+  async openCursor(query, params = [], { pageSize, ...options } = {}) {
+    const id = await this.#ipcRequest.send(
+      `${this.#id}_cursor_open`,
+      { query, params, pageSize },
+      options,
+    );
+    return this.#createCursor(id, options);
+  }
+
+  /**
+   * Opens a cursor that reads the rows of a registered query page by page.
+   * Works in strict mode, like `exec()`.
+   *
+   * @param {string} name - The query name.
+   * @param {any[]} [params=[]] - Query parameters.
+   * @param {EmitOptions & { pageSize?: number }} [options={}] - Request options and the max amount of rows of each page (default `100`).
+   * @returns {Promise<TinyDbCursor>}
+   */
+  async execCursor(name, params = [], { pageSize, ...options } = {}) {
+    const id = await this.#ipcRequest.send(
+      `${this.#id}_cursor_open`,
+      { name, params, pageSize },
+      options,
+    );
+    return this.#createCursor(id, options);
+  }
+
+  /**
+   * Creates the handle of an open cursor.
+   *
+   * @param {string} id - The cursor id.
+   * @param {EmitOptions} options - Request options used by every page.
+   * @returns {TinyDbCursor}
+   */
+  #createCursor(id, options) {
+    let done = false;
+    return {
+      id,
+      next: async () => {
+        if (done) return { rows: [], done: true };
+        /** @type {CursorPage} */
+        const page = await this.#ipcRequest.send(`${this.#id}_cursor_next`, id, options);
+        if (page.done) done = true;
+        return page;
+      },
+      close: async () => {
+        if (done) return false;
+        done = true;
+        return this.#ipcRequest.send(`${this.#id}_cursor_close`, id, options);
+      },
+    };
+  }
+
+  /**
+   * Subscribes to the changes of a table (or collection) or of a registered query.
+   *
+   * The callback is called every time the main process reports a change with `notifyChange`.
+   * Query subscriptions also receive the new result of the query. Every subscription
+   * is removed automatically when the window is closed.
+   *
+   * @param {SubscriptionTarget} target - The table or the registered query.
+   * @param {SubscriptionCallback} callback - Called on every change.
+   * @param {EmitOptions} [options] - Request options.
+   * @returns {Promise<string>} The subscription id.
+   * @throws {TypeError} If the target or the callback are invalid.
+   */
+  async subscribe(target, callback, options) {
+    if (!isJsonObject(target)) throw new TypeError('subscribe target must be an object.');
+    if (typeof callback !== 'function')
+      throw new TypeError('subscribe callback must be a function.');
+
+    const { table, query, params } = target;
+    const id = crypto.randomUUID();
+    // The callback is added before the request, so no change sent right after it is lost.
+    this.#subscriptions.set(id, callback);
+    this.#listenChanges();
+    try {
+      await this.#ipcRequest.send(`${this.#id}_subscribe`, { id, table, query, params }, options);
+    } catch (err) {
+      this.#subscriptions.delete(id);
+      this.#listenChanges();
+      throw err;
+    }
+    return id;
+  }
+
+  /**
+   * Removes a subscription.
+   *
+   * @param {string} id - The subscription id.
+   * @param {EmitOptions} [options] - Request options.
+   * @returns {Promise<boolean>} `true` if the subscription was removed.
+   */
+  async unsubscribe(id, options) {
+    if (!this.#subscriptions.delete(id)) return false;
+    this.#listenChanges();
+    return this.#ipcRequest.send(`${this.#id}_unsubscribe`, id, options);
+  }
+
+  /**
+   * Starts or stops listening to the changes, depending on the amount of subscriptions.
+   */
+  #listenChanges() {
+    const channel = `${this.#id}_change`;
+    if (this.#subscriptions.size > 0 && !this.#changeListener) {
+      this.#changeListener = (_event, data) => {
+        const callback = this.#subscriptions.get(data.id);
+        if (!callback) return;
+        const { error, ...change } = data;
+        callback(error ? { ...change, error: deserializeError(error) } : change);
+      };
+      ipcRenderer.on(channel, this.#changeListener);
+    } else if (this.#subscriptions.size === 0 && this.#changeListener) {
+      ipcRenderer.removeListener(channel, this.#changeListener);
+      this.#changeListener = null;
+    }
+  }
+
+  /**
+   * Executes a `run` query through the durable write queue of the main process (`enableWriteQueue`).
+   *
+   * If the write fails with an error that can be retried (e.g. the database service is restarting),
+   * it is saved by the main process and retried later, and `onStatus` receives its next status
+   * (`retrying`, `committed` or `failed`). The writes of this window are executed in order.
+   * Errors that a retry can't fix, like an invalid query, reject the promise.
+   *
+   * @param {string} query - SQL query string.
+   * @param {any[]} [params=[]] - Query parameters.
+   * @param {EmitOptions & { onStatus?: WriteStatusCallback }} [options={}] - Request options and the status callback.
+   * @returns {Promise<TinyDbWriteReceipt>}
+   */
+  queueRun(query, params = [], { onStatus, ...options } = {}) {
+    return this.#queueWrite({ query, params }, onStatus, options);
+  }
+
+  /**
+   * Executes a registered query through the durable write queue of the main process.
+   * Works in strict mode, like `exec()`. See `queueRun()`.
+   *
+   * @param {string} name - The query name.
+   * @param {any[]} [params=[]] - Query parameters.
+   * @param {EmitOptions & { onStatus?: WriteStatusCallback }} [options={}] - Request options and the status callback.
+   * @returns {Promise<TinyDbWriteReceipt>}
+   */
+  queueExec(name, params = [], { onStatus, ...options } = {}) {
+    return this.#queueWrite({ name, params }, onStatus, options);
+  }
+
+  /**
+   * Returns the writes of this window waiting in the queue of the main process.
+   *
+   * @param {EmitOptions} [options] - Request options.
+   * @returns {Promise<Omit<QueuedWrite, 'group'|'params'>[]>}
+   */
+  getQueuedWrites(options) {
+    return this.#ipcRequest.send(`${this.#id}_queue_list`, null, options);
+  }
+
+  /**
+   * Sends a write to the queue.
+   *
+   * @param {{ query?: string, name?: string, params: any[] }} data - The write.
+   * @param {WriteStatusCallback|undefined} onStatus - The status callback.
+   * @param {EmitOptions} options - Request options.
+   * @returns {Promise<TinyDbWriteReceipt>}
+   * @throws {TypeError} If the status callback is invalid.
+   */
+  async #queueWrite(data, onStatus, options) {
+    if (typeof onStatus !== 'undefined' && typeof onStatus !== 'function')
+      throw new TypeError('queue onStatus must be a function.');
+
+    const id = crypto.randomUUID();
+    // The callback is added before the request, so no status sent right after it is lost.
+    if (onStatus) this.#writes.set(id, onStatus);
+    this.#listenWrites();
+    /** @type {WriteReceipt} */
+    let receipt;
+    try {
+      receipt = await this.#ipcRequest.send(`${this.#id}_queue_run`, { id, ...data }, options);
+    } catch (err) {
+      this.#writes.delete(id);
+      this.#listenWrites();
+      throw err;
+    }
+    if (receipt.status === 'committed') {
+      this.#writes.delete(id);
+      this.#listenWrites();
+    }
+    const { error, ...result } = receipt;
+    return error ? { ...result, error: deserializeError(error) } : result;
+  }
+
+  /**
+   * Starts or stops listening to the status of the queued writes, depending on the amount of callbacks.
+   */
+  #listenWrites() {
+    const channel = `${this.#id}_write_status`;
+    if (this.#writes.size > 0 && !this.#writeListener) {
+      this.#writeListener = (_event, data) => {
+        const callback = this.#writes.get(data.id);
+        if (!callback) return;
+        if (data.status === 'committed' || data.status === 'failed') {
+          this.#writes.delete(data.id);
+          this.#listenWrites();
+        }
+        const { error, ...status } = data;
+        callback(error ? { ...status, error: deserializeError(error) } : status);
+      };
+      ipcRenderer.on(channel, this.#writeListener);
+    } else if (this.#writes.size === 0 && this.#writeListener) {
+      ipcRenderer.removeListener(channel, this.#writeListener);
+      this.#writeListener = null;
+    }
+  }
+
+  /**
+   * Commits or rolls back the open transaction.
+   *
+   * @param {'commit'|'rollback'} action - The action to execute.
+   * @param {EmitOptions} [options] - Request options.
+   * @returns {Promise<boolean>}
+   */
+  async #finishTransaction(action, options) {
+    const id = this.#transactionId;
+    if (!id) throw new Error('TinyDb: There is no open transaction.');
+    // The main process closes the transaction even when the hook fails.
+    this.#transactionId = null;
+    return this.#ipcRequest.send(`${this.#id}_${action}`, id, options);
   }
 }
 
@@ -0,0 +1,97 @@
+import { contextBridge } from 'electron';
+import TinyIpcRequestManager from './TinyIpcRequestManager.mjs';
+import TinyDb from './TinyDb.mjs';
+
+/**
+ * Gives the renderer process handles of the databases attached to the main process `TinyDbRegistry`.
+ *
+ * Each handle is a preload `TinyDb` with the id `<prefix>:<name>`. The main process decides
+ * which windows can use each database, so denied requests are rejected with an `IpcAccessError`.
+ *
+ * @class
+ */
+class TinyDbRegistry {
+  /** @type {TinyIpcRequestManager} */
+  #ipcRequest;
+
+  /** @type {string} */
+  #prefix;
+
+  #exposeInMainWorld = '';
+
+  /** @type {Map<string, TinyDb>} */
+  #dbs = new Map();
+
+  /**
+   * @param {TinyIpcRequestManager} ipcRequest - The IPC request manager instance for communication.
+   * @param {Object} [options={}] - Extra options.
+   * @param {string} [options.prefix='tiny-db'] - Prefix of the database ids. Must match the main registry.
+   * @throws {Error} If `ipcRequest` is not an instance of `TinyIpcRequestManager`.
+   * @throws {TypeError} If the prefix is invalid.
+   */
+  constructor(ipcRequest, { prefix = 'tiny-db' } = {}) {
+    if (!(ipcRequest instanceof TinyIpcRequestManager))
+      throw new Error('ipcRequest must be an instance of TinyIpcRequestManager.');
+    if (typeof prefix !== 'string' || prefix.trim() === '')
+      throw new TypeError('prefix must be a non-empty string.');
+    this.#ipcRequest = ipcRequest;
+    this.#prefix = prefix;
+  }
+
+  /**
+   * Returns the handle of a database. The same handle is returned for the same name.
+   *
+   * @param {string} name - The database name.
+   * @returns {TinyDb}
+   * @throws {TypeError} If the name is invalid.
+   */
+  use(name) {
+    if (typeof name !== 'string' || !/^[A-Za-z0-9_-]+$/.test(name))
+      throw new TypeError(
+        `Invalid database name "${name}". Use only letters, numbers, "_" and "-".`,
+      );
+    let db = this.#dbs.get(name);
+    if (!db) {
+      db = new TinyDb(this.#ipcRequest, `${this.#prefix}:${name}`);
+      this.#dbs.set(name, db);
+    }
+    return db;
+  }
+
+  /**
+   * Exposes the registry to the renderer process via `window[apiName]`.
+   * The renderer gets the handles with `window[apiName].use(name)`.
+   *
+   * @param {string} [apiName='tinyDb'] - The name under which the API will be exposed in `window`.
+   * @throws {Error} If the API is already exposed.
+   * @throws {Error} If `apiName` is not a valid non-empty string.
+   */
+  exposeInMainWorld(apiName = 'tinyDb') {
+    if (this.#exposeInMainWorld.length > 0)
+      throw new Error(`API '${this.#exposeInMainWorld}' is already exposed in the main world.`);
+    if (typeof apiName !== 'string' || apiName.length < 1)
+      throw new Error('apiName must be a non-empty string.');
+    this.#exposeInMainWorld = apiName;
+
+    /** @type {Map<string, ReturnType<TinyDb['getApi']>>} */
+    const apis = new Map();
+    contextBridge.exposeInMainWorld(apiName, {
+      /**
+       * Returns the API of a database (`run`, `all`, `get`, `query`, `exec`, `subscribe`...).
+       *
+       * @param {string} name - The database name.
+       * @returns {ReturnType<TinyDb['getApi']>}
+       */
+      use: (name) => {
+        let api = apis.get(name);
+        if (!api) {
+          api = this.use(name).getApi();
+          apis.set(name, api);
+        }
+        return api;
+      },
+    });
+  }
+}
+
+export default TinyDbRegistry;
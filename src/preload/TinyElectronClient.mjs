@@ -3,9 +3,23 @@ import { ipcRenderer, contextBridge } from 'electron';
 import { isJsonObject } from 'tiny-essentials';
 import { AppEvents, RootEvents } from '../global/Events.mjs';
 import { checkEventsList, deserializeError } from '../global/Utils.mjs';
+import { AppEventSchemas } from '../global/IpcSchema.mjs';
+import { EnvelopeVersion, isEnvelope } from '../global/Envelope.mjs';
 import TinyIpcRequestManager from './TinyIpcRequestManager.mjs';
 import { getLoadingHtml } from './LoadingHtml.mjs';
 
+/** @typedef {import('../global/Envelope.mjs').EventEnvelope} EventEnvelope */
+/** @typedef {import('../main/TinyElectronRoot.mjs').WindowPortPeer} WindowPortPeer */
+
+/**
+ * A MessagePort connection to another window, created by `TinyElectronRoot.connectWindows()`.
+ *
+ * @typedef {Object} WindowPortConnection
+ * @property {string} name - The connection name.
+ * @property {MessagePort} port - The port used to talk with the other window.
+ * @property {WindowPortPeer} peer - Information about the other window.
+ */
+
 /**
  * Represents the result of installing a loading page, providing methods
  * to control its insertion and removal from the DOM.
@@ -481,6 +495,14 @@ class TinyElectronClient {
   /** @type {Record<string, number>} */
   #eventPings = {};
 
+  /** @type {Record<string, number>} */
+  #eventSeqs = {};
+
+  /** @type {Map<string, WindowPortConnection>} */
+  #windowPorts = new Map();
+
+  #envelopeWarned = false;
+
   /** @type {Record<string, number>} */
   #changeCount = {};
 
@@ -830,6 +852,85 @@ class TinyElectronClient {
     return this.#ipcRequest.send(this.#AppEvents.GetWindowData);
   }
 
+  /**
+   * Closes a local window port and emits `RootEvents.WindowPortClosed`.
+   *
+   * @param {string} name - The connection name.
+   * @returns {boolean} `true` if the port existed.
+   */
+  #closeWindowPort(name) {
+    const connection = this.#windowPorts.get(name);
+    if (!connection) return false;
+    this.#windowPorts.delete(name);
+    connection.port.close();
+    this.#emit(RootEvents.WindowPortClosed, name);
+    return true;
+  }
+
+  /**
+   * Returns a MessagePort connection to another window.
+   *
+   * @param {string} name - The connection name used in `TinyElectronRoot.connectWindows()`.
+   * @returns {WindowPortConnection|null} The connection, or `null` if it was not received.
+   */
+  getWindowPort(name) {
+    return this.#windowPorts.get(name) ?? null;
+  }
+
+  /**
+   * Checks if a MessagePort connection to another window was received.
+   *
+   * @param {string} name - The connection name.
+   * @returns {boolean}
+   */
+  hasWindowPort(name) {
+    return this.#windowPorts.has(name);
+  }
+
+  /**
+   * Returns the names of all open MessagePort connections of this window.
+   *
+   * @returns {string[]}
+   */
+  getWindowPortNames() {
+    return [...this.#windowPorts.keys()];
+  }
+
+  /**
+   * Waits until a MessagePort connection with the given name is received.
+   *
+   * @param {string} name - The connection name.
+   * @returns {Promise<WindowPortConnection>}
+   */
+  waitWindowPort(name) {
+    const connection = this.#windowPorts.get(name);
+    if (connection) return Promise.resolve(connection);
+    return new Promise((resolve) => {
+      /** @param {WindowPortConnection} data */
+      const listener = (data) => {
+        if (data.name !== name) return;
+        this.off(RootEvents.WindowPort, listener);
+        resolve(data);
+      };
+      this.on(RootEvents.WindowPort, listener);
+    });
+  }
+
+  /**
+   * Closes a MessagePort connection to another window.
+   *
+   * The main process closes the connection on both sides, so the other window
+   * also receives `RootEvents.WindowPortClosed`.
+   *
+   * @param {string} name - The connection name.
+   * @returns {Promise<boolean>} A promise that resolves with `true` if the connection was closed.
+   */
+  async closeWindowPort(name) {
+    const closed = await this.#ipcRequest.send(this.#AppEvents.WindowPortClose, name);
+    this.#closeWindowPort(name);
+    return closed;
+  }
+
   /**
    * Retrieves the amount of system idle time in seconds.
    * This represents how long the system has been idle (i.e., without any user input).
@@ -917,6 +1018,17 @@ class TinyElectronClient {
     return this.#ipcRequest.send(this.#AppEvents.WindowDestroy);
   }
 
+  /**
+   * Submits the result of this child window (like the answer of a dialog) and closes it.
+   * The window that opened it receives the value from `TinyElectronRoot.waitWindowResult()`.
+   *
+   * @param {any} value - The result. Must be serializable.
+   * @returns {Promise<boolean>} `false` if this is not a child window or a result was already submitted.
+   */
+  submitResult(value) {
+    return this.#ipcRequest.send(this.#AppEvents.WindowSubmitResult, value);
+  }
+
   /**
    * Maximizes the application window to fill the screen.
    * @returns {Promise<void>}
@@ -1307,6 +1419,11 @@ class TinyElectronClient {
   constructor({ ipcReceiverChannel, eventNames = { ...this.#AppEvents } } = {}) {
     checkEventsList(eventNames, this.#AppEvents);
     this.#ipcRequest = new TinyIpcRequestManager(ipcReceiverChannel);
+    for (const [key, schema] of Object.entries(AppEventSchemas))
+      this.#ipcRequest.setSchema(
+        this.#AppEvents[/** @type {keyof typeof AppEvents} */ (key)],
+        schema,
+      );
 
     // Console warning
     ipcRenderer.on(this.#AppEvents.ConsoleMessage, (_event, { value } = {}) =>
@@ -1314,22 +1431,46 @@ class TinyElectronClient {
     );
 
     /**
+     * Emits a received event, unless it is older than the last one of the same ping id.
+     *
+     * Envelopes are ordered by their `seq`. Messages without an envelope fall back to `time`.
+     *
      * @param {string} where
      * @param {((value: any, useIt: boolean) => void)|null} callback
-     * @param {{ value: any; time: number; }} data
+     * @param {EventEnvelope|{ value: any; time: number; }} data
      * @param {string} [customPing]
      */
     const sendEvent = (where, callback, data, customPing) => {
-      const { value, time } = data;
+      const { value } = data;
       const pingId = customPing || where;
-      if (typeof this.#eventPings[pingId] !== 'number') this.#eventPings[pingId] = 0;
-      if (
-        typeof time === 'number' &&
-        Number.isFinite(time) &&
-        !Number.isNaN(time) &&
-        time > this.#eventPings[pingId]
-      ) {
-        this.#eventPings[pingId] = time;
+      let useIt = false;
+
+      if (isEnvelope(data)) {
+        if (data.version > EnvelopeVersion && !this.#envelopeWarned) {
+          this.#envelopeWarned = true;
+          console.warn(
+            `Received an event envelope of version ${data.version}, but only the version ${EnvelopeVersion} is supported.`,
+          );
+        }
+        if (data.seq > (this.#eventSeqs[pingId] ?? 0)) {
+          this.#eventSeqs[pingId] = data.seq;
+          useIt = true;
+        }
+      } else {
+        const { time } = data;
+        if (typeof this.#eventPings[pingId] !== 'number') this.#eventPings[pingId] = 0;
+        if (
+          typeof time === 'number' &&
+          Number.isFinite(time) &&
+          !Number.isNaN(time) &&
+          time > this.#eventPings[pingId]
+        ) {
+          this.#eventPings[pingId] = time;
+          useIt = true;
+        }
+      }
+
+      if (useIt) {
         if (typeof callback === 'function') callback(value, true);
         this.#emit(where, value);
       } else if (typeof callback === 'function') callback(value, false);
@@ -1363,10 +1504,10 @@ class TinyElectronClient {
       sendEvent(RootEvents.SetProxy, null, data),
     );
 
-    ipcRenderer.on(this.#AppEvents.SetProxyError, (_event, { err }) => {
+    ipcRenderer.on(this.#AppEvents.SetProxyError, (_event, { value }) => {
       try {
         /** @type {Error} */
-        const newErr = deserializeError(err);
+        const newErr = deserializeError(value);
         this.#emit(RootEvents.SetProxyError, newErr);
       } catch (newErr) {
         console.error(newErr);
@@ -1440,6 +1581,25 @@ class TinyElectronClient {
       sendEvent(RootEvents.IsFocusable, (value, useIt) => this.#setIsFocusable(value, useIt), arg),
     );
 
+    // Window ports
+    ipcRenderer.on(this.#AppEvents.WindowPort, (event, data) => {
+      const port = event.ports[0];
+      if (!port || !isEnvelope(data) || !isJsonObject(data.value)) return;
+      const { name, peer } = data.value;
+      if (typeof name !== 'string') return;
+      this.#closeWindowPort(name);
+
+      /** @type {WindowPortConnection} */
+      const connection = { name, port, peer: /** @type {WindowPortPeer} */ (peer) };
+      this.#windowPorts.set(name, connection);
+      port.start();
+      this.#emit(RootEvents.WindowPort, connection);
+    });
+
+    ipcRenderer.on(this.#AppEvents.WindowPortClose, (_event, data) => {
+      if (isEnvelope(data) && typeof data.value === 'string') this.#closeWindowPort(data.value);
+    });
+
     const getConfig = this.#ipcRequest.send(this.#AppEvents.GetWindowData);
     const domContentLoaded = new Promise((resolve) => {
       if (document.readyState === 'loading') window.addEventListener('DOMContentLoaded', resolve);
@@ -0,0 +1,114 @@
+import { ipcRenderer } from 'electron';
+
+/** @typedef {import('../main/TinyIpcInspector.mjs').IpcInspectorEntry} IpcInspectorEntry */
+
+/**
+ * Shows the IPC traffic mirrored by a main process `TinyIpcInspector` in the DevTools console.
+ *
+ * Every entry is printed as a collapsed console group, and the newest entries
+ * are kept in memory so they can be inspected later.
+ *
+ * @class
+ */
+class TinyIpcInspectorLog {
+  /** @type {string} */
+  #channel;
+
+  /** @type {number} */
+  #limit;
+
+  /** @type {IpcInspectorEntry[]} */
+  #entries = [];
+
+  /** @type {((event: Electron.IpcRendererEvent, entry: IpcInspectorEntry) => void)|null} */
+  #listener = null;
+
+  /**
+   * @param {Object} [settings={}]
+   * @param {string} [settings.channel='tiny-ipc-inspector'] - The mirror channel of the main process inspector.
+   * @param {number} [settings.limit=200] - Max amount of entries kept in memory.
+   * @throws {TypeError} If the settings are invalid.
+   */
+  constructor({ channel = 'tiny-ipc-inspector', limit = 200 } = {}) {
+    if (typeof channel !== 'string' || channel.trim() === '')
+      throw new TypeError('IPC inspector log error: "channel" must be a non-empty string');
+    if (!Number.isInteger(limit) || limit < 1)
+      throw new TypeError('IPC inspector log error: "limit" must be a positive integer');
+    this.#channel = channel;
+    this.#limit = limit;
+  }
+
+  /**
+   * Prints an entry in the DevTools console.
+   *
+   * @param {IpcInspectorEntry} entry
+   */
+  #print(entry) {
+    const color =
+      entry.status === 'error'
+        ? 'color:#e5534b'
+        : entry.status === 'aborted'
+          ? 'color:#c69026'
+          : 'color:#57ab5a';
+    console.groupCollapsed(
+      `%c[IPC ${entry.type}]%c ${entry.channel} %c${entry.status} · ${entry.duration}ms · ${entry.requestSize}B → ${entry.responseSize}B`,
+      'color:#6cb6ff; font-weight: 700;',
+      'color:inherit;',
+      color,
+    );
+    console.log(entry);
+    if (entry.error) console.error(`${entry.error.name}: ${entry.error.message}`);
+    console.groupEnd();
+  }
+
+  /**
+   * Starts listening to the mirrored entries.
+   * @returns {boolean} `false` if it was already started.
+   */
+  start() {
+    if (this.#listener) return false;
+    this.#listener = (_event, entry) => {
+      this.#entries.push(entry);
+      if (this.#entries.length > this.#limit) this.#entries.shift();
+      this.#print(entry);
+    };
+    ipcRenderer.on(this.#channel, this.#listener);
+    return true;
+  }
+
+  /**
+   * Stops listening to the mirrored entries.
+   * @returns {boolean} `false` if it was not started.
+   */
+  stop() {
+    if (!this.#listener) return false;
+    ipcRenderer.removeListener(this.#channel, this.#listener);
+    this.#listener = null;
+    return true;
+  }
+
+  /**
+   * Checks if the log is listening to the mirrored entries.
+   * @returns {boolean}
+   */
+  isActive() {
+    return !!this.#listener;
+  }
+
+  /**
+   * Returns a copy of the entries kept in memory, from the oldest to the newest.
+   * @returns {IpcInspectorEntry[]}
+   */
+  getEntries() {
+    return [...this.#entries];
+  }
+
+  /**
+   * Removes the entries kept in memory.
+   */
+  clear() {
+    this.#entries = [];
+  }
+}
+
+export default TinyIpcInspectorLog;
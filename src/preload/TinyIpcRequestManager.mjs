@@ -1,11 +1,16 @@
 import { ipcRenderer } from 'electron';
-import { deserializeError } from '../global/Utils.mjs';
+import { isJsonObject } from 'tiny-essentials';
+import { deserializeError, serializeError, toError } from '../global/Utils.mjs';
+import { checkSchema, createValidationError, validateSchema } from '../global/IpcSchema.mjs';
+
+/** @typedef {import('../global/IpcSchema.mjs').IpcSchema} IpcSchema */
 
 /**
  * Options for customizing the IPC emit behavior.
  *
  * @typedef {Object} EmitOptions
  * @property {number} [timeout] - Optional timeout in milliseconds. If defined, the request will automatically reject if no response is received in this time.
+ * @property {AbortSignal} [signal] - Optional signal used to abort the request. The main process handler receives the abort too.
  */
 
 /**
@@ -14,6 +19,47 @@ import { deserializeError } from '../global/Utils.mjs';
  * @typedef {Object} SendData
  * @property {string} __requestId - A unique identifier for correlating the request and its response.
  * @property {unknown} payload - The actual data being sent with the request.
+ * @property {number} [highWaterMark] - Only used by streams. Max amount of unread chunks the main process can send.
+ */
+
+/**
+ * Options for customizing a stream request.
+ *
+ * @typedef {Object} StreamOptions
+ * @property {number} [highWaterMark=16] - Max amount of chunks the main process can send before waiting for the renderer to read them.
+ */
+
+/**
+ * The reader returned by a stream request. It can be used with `for await...of`.
+ *
+ * @typedef {AsyncIterable<any> & {
+ *   read: () => Promise<IteratorResult<any, undefined>>,
+ *   cancel: () => void,
+ * }} IpcStreamReader
+ */
+
+/**
+ * A message sent from the renderer to the control channel of the main process.
+ *
+ * @typedef {Object} ControlMessage
+ * @property {string} __requestId - The request id of the target stream.
+ * @property {'ack'|'cancel'|'abort'} type - `ack` releases more chunks, `cancel` stops the stream, `abort` aborts a request.
+ * @property {number} [count] - Amount of chunks read by the renderer (used by `ack`).
+ */
+
+/**
+ * A request sent from the main process to a handler registered in the renderer.
+ *
+ * @typedef {Object} ReverseRequest
+ * @property {string} __requestId - Unique ID used to match the reply.
+ * @property {string} channel - The channel of the renderer handler.
+ * @property {unknown} payload - The data sent with the request.
+ */
+
+/**
+ * @typedef {(payload: any) => unknown | Promise<unknown>} IpcReverseHandler
+ * A renderer handler that answers requests sent by the main process.
+ * The returned value (or resolved promise value) is sent as the response.
  */
 
 /**
@@ -23,6 +69,7 @@ import { deserializeError } from '../global/Utils.mjs';
  * @property {string} __requestId - Unique ID that matches the original request, used to resolve the correct Promise.
  * @property {unknown} payload - The actual response data sent back to the requester.
  * @property {Error|null} error - An Error if the request failed, or null if it succeeded.
+ * @property {'chunk'|'end'|'error'} [stream] - Only defined for stream responses. Tells the type of the stream message.
  */
 
 /**
@@ -48,14 +95,42 @@ class TinyIpcRequestManager {
    * @property {(value: any) => void} resolve - Function used to resolve the Promise once a response is received.
    * @property {(reason?: any) => void} reject - Function used to reject the Promise if an error occurs or it times out.
    * @property {NodeJS.Timeout | null} timeoutId - Optional timeout reference, used to clear the timeout if the response arrives in time.
+   * @property {(() => void) | null} cleanup - Optional callback that removes the abort listener of the request.
    */
 
   /** @type {Map<string, RequestData>} */
   #pending = new Map();
 
+  /**
+   * Internal structure used to deliver the messages of an active stream.
+   *
+   * @typedef {Object} StreamData
+   * @property {(value: unknown) => void} chunk - Receives a new chunk.
+   * @property {() => void} end - Called when the stream is finished.
+   * @property {(err: Error) => void} error - Called when the stream fails.
+   */
+
+  /** @type {Map<string, StreamData>} */
+  #streams = new Map();
+
   /** @type {string} */
   #responseChannel;
 
+  /** @type {string} */
+  #controlChannel;
+
+  /** @type {string} */
+  #reverseChannel;
+
+  /** @type {string} */
+  #reverseReplyChannel;
+
+  /** @type {Map<string, IpcReverseHandler>} */
+  #reverseHandlers = new Map();
+
+  /** @type {Map<string, IpcSchema>} */
+  #schemas = new Map();
+
   /**
    * Returns the channel name used to listen for responses.
    * @returns {string}
@@ -64,6 +139,23 @@ class TinyIpcRequestManager {
     return this.#responseChannel;
   }
 
+  /**
+   * Returns the channel name used to send control messages (stream acknowledgements, cancellations).
+   * @returns {string}
+   */
+  getControlChannel() {
+    return this.#controlChannel;
+  }
+
+  /**
+   * Returns the channel name used to receive requests from the main process.
+   * Replies are sent on the same name with the `-reply` suffix.
+   * @returns {string}
+   */
+  getReverseChannel() {
+    return this.#reverseChannel;
+  }
+
   /**
    * @param {string} [responseChannel='ipc-response'] - Custom channel name for receiving responses.
    * @throws {Error} If the provided responseChannel is not a non-empty string.
@@ -73,14 +165,30 @@ class TinyIpcRequestManager {
       throw new Error('IPC constructor error: "responseChannel" must be a non-empty string');
 
     this.#responseChannel = responseChannel;
+    this.#controlChannel = `${responseChannel}-control`;
+    this.#reverseChannel = `${responseChannel}-reverse`;
+    this.#reverseReplyChannel = `${this.#reverseChannel}-reply`;
+
+    ipcRenderer.on(this.#reverseChannel, (_event, data) => this.#onReverseRequest(data));
 
     /** @type {(event: IpcMainEvent, arg: SendResult) => void} */
     ipcRenderer.on(this.#responseChannel, (_event, data) => {
-      const { __requestId, payload, error } = data || {};
+      const { __requestId, payload, error, stream } = data || {};
+      if (typeof stream === 'string') {
+        const item = this.#streams.get(__requestId);
+        if (!item) return;
+        if (stream === 'chunk') item.chunk(payload);
+        else if (stream === 'end') item.end();
+        else if (stream === 'error')
+          item.error(error ? deserializeError(error) : new Error('Unknown IPC stream error'));
+        return;
+      }
+
       const item = this.#pending.get(__requestId);
       if (item) {
-        const { resolve, reject, timeoutId } = item;
+        const { resolve, reject, timeoutId, cleanup } = item;
         if (timeoutId) clearTimeout(timeoutId);
+        if (cleanup) cleanup();
 
         this.#pending.delete(__requestId);
         let err;
@@ -90,8 +198,66 @@ class TinyIpcRequestManager {
     });
   }
 
+  /**
+   * Sets the payload schema of a channel. Requests sent with `send()` or `stream()`
+   * are validated before leaving the renderer.
+   *
+   * Use the same schema given to the `TinyIpcResponder` handler of the channel.
+   *
+   * @param {string} channel - The channel name.
+   * @param {IpcSchema} schema - The payload schema.
+   * @throws {Error} If the channel is invalid.
+   * @throws {TypeError} If the schema is invalid.
+   */
+  setSchema(channel, schema) {
+    if (typeof channel !== 'string' || channel.trim() === '')
+      throw new Error('IPC setSchema error: "channel" must be a non-empty string');
+    checkSchema(schema);
+    this.#schemas.set(channel, schema);
+  }
+
+  /**
+   * Returns the payload schema of a channel.
+   *
+   * @param {string} channel - The channel name.
+   * @returns {IpcSchema|null}
+   */
+  getSchema(channel) {
+    return this.#schemas.get(channel) ?? null;
+  }
+
+  /**
+   * Removes the payload schema of a channel.
+   *
+   * @param {string} channel - The channel name.
+   * @returns {boolean} `true` if a schema was removed.
+   */
+  removeSchema(channel) {
+    return this.#schemas.delete(channel);
+  }
+
+  /**
+   * Validates the payload of a request using the schema of its channel.
+   *
+   * @param {string} channel - The channel name.
+   * @param {unknown} payload - The payload to validate.
+   * @returns {Error|null} The validation error, or `null` if the payload is valid.
+   */
+  #validatePayload(channel, payload) {
+    const schema = this.#schemas.get(channel);
+    if (!schema) return null;
+    const issues = validateSchema(payload, schema);
+    return issues.length > 0 ? createValidationError(channel, issues) : null;
+  }
+
   /**
    * Sends a request and returns a promise that resolves on response
+   *
+   * If `options.signal` is aborted (or the timeout is reached), the promise rejects
+   * and the main process handler receives the abort through its own signal.
+   * If the channel has a schema, invalid payloads reject with an `IpcValidationError`
+   * without being sent.
+   *
    * @param {string} channel - The ipcRenderer channel to send
    * @param {any} [payload] - The data to send with the request
    * @param {EmitOptions} [options]
@@ -107,27 +273,256 @@ class TinyIpcRequestManager {
         throw new Error('IPC send error: "timeout" must be a positive number');
     }
 
+    const { signal } = options;
+    if (typeof signal !== 'undefined' && !(signal instanceof AbortSignal))
+      throw new TypeError('IPC send error: "signal" must be an AbortSignal');
+    if (signal?.aborted)
+      return Promise.reject(signal.reason ?? new Error('IPC request was aborted'));
+
+    const invalid = this.#validatePayload(channel, payload);
+    if (invalid) return Promise.reject(invalid);
+
     const __requestId = crypto.randomUUID();
     /** @type {SendData} */
     const message = { __requestId, payload };
 
-    if (this.#pending.has(__requestId)) {
+    if (this.#pending.has(__requestId) || this.#streams.has(__requestId)) {
       console.warn(`Duplicate __requestId detected: ${__requestId}. Retrying with a new ID...`);
       return this.send(channel, payload, options);
     }
 
     return new Promise((resolve, reject) => {
+      /**
+       * Rejects the request locally and tells the main process to abort its handler.
+       * @param {Error} err
+       */
+      const abort = (err) => {
+        const item = this.#pending.get(__requestId);
+        if (!item) return;
+        this.#pending.delete(__requestId);
+        if (item.timeoutId) clearTimeout(item.timeoutId);
+        if (item.cleanup) item.cleanup();
+
+        /** @type {ControlMessage} */
+        const control = { __requestId, type: 'abort' };
+        ipcRenderer.send(this.#controlChannel, control);
+        reject(err);
+      };
+
       const timeoutId = options.timeout
-        ? setTimeout(() => {
-            this.#pending.delete(__requestId);
-            reject(new Error(`IPC request timeout after ${options.timeout}ms`));
-          }, options.timeout)
+        ? setTimeout(
+            () => abort(new Error(`IPC request timeout after ${options.timeout}ms`)),
+            options.timeout,
+          )
         : null;
 
-      this.#pending.set(__requestId, { resolve, reject, timeoutId });
+      const onAbort = () => abort(signal?.reason ?? new Error('IPC request was aborted'));
+      signal?.addEventListener('abort', onAbort, { once: true });
+      const cleanup = signal ? () => signal.removeEventListener('abort', onAbort) : null;
+
+      this.#pending.set(__requestId, { resolve, reject, timeoutId, cleanup });
       ipcRenderer.send(channel, message);
     });
   }
+
+  /**
+   * Sends a request to a stream handler and returns a reader for the received chunks.
+   *
+   * The main process only sends `highWaterMark` chunks ahead of what was read,
+   * so slow readers apply backpressure on the handler. Calling `cancel()` (or
+   * leaving a `for await...of` loop early) stops the stream in the main process.
+   *
+   * @param {string} channel - The ipcRenderer channel to send
+   * @param {any} [payload] - The data to send with the request
+   * @param {StreamOptions} [options]
+   * @returns {IpcStreamReader}
+   * @throws {Error} If the channel or options are invalid
+   * @throws {Error} If the payload does not match the schema of the channel (`IpcValidationError`)
+   */
+  stream(channel, payload, options = {}) {
+    if (typeof channel !== 'string' || channel.trim() === '')
+      throw new Error('IPC stream error: "channel" must be a non-empty string');
+
+    const { highWaterMark = 16 } = options;
+    if (typeof highWaterMark !== 'number' || !Number.isInteger(highWaterMark) || highWaterMark < 1)
+      throw new Error('IPC stream error: "highWaterMark" must be a positive integer');
+
+    const invalid = this.#validatePayload(channel, payload);
+    if (invalid) throw invalid;
+
+    const __requestId = crypto.randomUUID();
+    if (this.#pending.has(__requestId) || this.#streams.has(__requestId)) {
+      console.warn(`Duplicate __requestId detected: ${__requestId}. Retrying with a new ID...`);
+      return this.stream(channel, payload, options);
+    }
+
+    /** @type {unknown[]} */
+    const queue = [];
+    /** @type {{ resolve: (value: IteratorResult<any, undefined>) => void, reject: (reason?: any) => void }[]} */
+    const readers = [];
+    /** @type {Error|null} */
+    let failure = null;
+    let done = false;
+    let unacked = 0;
+    const ackAt = Math.max(1, Math.floor(highWaterMark / 2));
+
+    /** @param {Omit<ControlMessage, '__requestId'>} data */
+    const sendControl = (data) => {
+      /** @type {ControlMessage} */
+      const message = { __requestId, ...data };
+      ipcRenderer.send(this.#controlChannel, message);
+    };
+
+    const consumed = () => {
+      if (done) return;
+      unacked++;
+      if (unacked < ackAt) return;
+      sendControl({ type: 'ack', count: unacked });
+      unacked = 0;
+    };
+
+    const finish = () => {
+      done = true;
+      this.#streams.delete(__requestId);
+      for (const reader of readers.splice(0)) {
+        if (failure) reader.reject(failure);
+        else reader.resolve({ value: undefined, done: true });
+      }
+    };
+
+    this.#streams.set(__requestId, {
+      chunk: (value) => {
+        if (done) return;
+        const reader = readers.shift();
+        if (!reader) {
+          queue.push(value);
+          return;
+        }
+        reader.resolve({ value, done: false });
+        consumed();
+      },
+      end: () => finish(),
+      error: (err) => {
+        failure = err;
+        finish();
+      },
+    });
+
+    /** @returns {Promise<IteratorResult<any, undefined>>} */
+    const read = () => {
+      if (queue.length > 0) {
+        const value = queue.shift();
+        consumed();
+        return Promise.resolve({ value, done: false });
+      }
+      if (failure) return Promise.reject(failure);
+      if (done) return Promise.resolve({ value: undefined, done: true });
+      return new Promise((resolve, reject) => readers.push({ resolve, reject }));
+    };
+
+    const cancel = () => {
+      if (done) return;
+      queue.length = 0;
+      sendControl({ type: 'cancel' });
+      finish();
+    };
+
+    /** @type {SendData} */
+    const message = { __requestId, payload, highWaterMark };
+    ipcRenderer.send(channel, message);
+
+    return {
+      read,
+      cancel,
+      [Symbol.asyncIterator]: () => ({
+        next: read,
+        return: async () => {
+          cancel();
+          return { value: undefined, done: true };
+        },
+      }),
+    };
+  }
+
+  /**
+   * Runs the handler of a request sent by the main process and sends its reply.
+   *
+   * @param {ReverseRequest} data - The request sent by the main process.
+   */
+  #onReverseRequest(data) {
+    if (!isJsonObject(data) || typeof data.__requestId !== 'string') return;
+    const { __requestId, channel, payload } = data;
+
+    /**
+     * @param {unknown} result
+     * @param {unknown} [error]
+     */
+    const reply = (result, error) => {
+      const hasError = error !== null && error !== undefined;
+      try {
+        ipcRenderer.send(this.#reverseReplyChannel, {
+          __requestId,
+          payload: hasError ? undefined : result,
+          error: hasError ? serializeError(toError(error)) : null,
+        });
+      } catch (err) {
+        // The result can't be cloned: the main process still receives an answer.
+        try {
+          ipcRenderer.send(this.#reverseReplyChannel, {
+            __requestId,
+            payload: undefined,
+            error: serializeError(toError(err)),
+          });
+        } catch (sendErr) {
+          console.error(
+            `Failed to send the reply of the request "${__requestId}" on channel "${channel}".`,
+            sendErr,
+          );
+        }
+      }
+    };
+
+    const handler = this.#reverseHandlers.get(channel);
+    if (!handler)
+      return reply(undefined, new Error(`No handler registered for channel "${channel}"`));
+
+    // Falsy reasons (`reject(0)`, `reject('')`...) are still errors.
+    new Promise((resolve) => resolve(handler(payload))).then(
+      (result) => reply(result),
+      (err) => reply(undefined, toError(err)),
+    );
+  }
+
+  /**
+   * Registers a handler that answers requests sent by the main process with
+   * `TinyIpcResponder.request()`. The returned value is the response.
+   *
+   * @param {string} channel - The channel name used by the main process.
+   * @param {IpcReverseHandler} handler - The function that answers the requests.
+   * @throws {Error} If the channel is invalid, the handler is not a function, or a handler is already registered.
+   */
+  handle(channel, handler) {
+    if (typeof channel !== 'string' || channel.trim() === '')
+      throw new Error('IPC handle error: "channel" must be a non-empty string');
+    if (typeof handler !== 'function')
+      throw new Error('IPC handle error: "handler" must be a function');
+    if (this.#reverseHandlers.has(channel))
+      throw new Error(`Handler already registered for channel "${channel}"`);
+    this.#reverseHandlers.set(channel, handler);
+  }
+
+  /**
+   * Removes the handler of a channel registered with `handle()`.
+   *
+   * @param {string} channel - The channel name.
+   * @returns {boolean} `true` if a handler was removed.
+   * @throws {Error} If the channel is invalid.
+   */
+  removeHandler(channel) {
+    if (typeof channel !== 'string' || channel.trim() === '')
+      throw new Error('IPC removeHandler error: "channel" must be a non-empty string');
+    return this.#reverseHandlers.delete(channel);
+  }
 }
 
 export default TinyIpcRequestManager;
@@ -1,16 +1,20 @@
 import { defaultLoadingStyleCreator, transparentOverlayStyle } from './LoadingHtml.mjs';
 import TinyDb from './TinyDb.mjs';
+import TinyDbRegistry from './TinyDbRegistry.mjs';
 import TinyElectronClient from './TinyElectronClient.mjs';
 import TinyElectronNotification from './TinyElectronNotification.mjs';
 import TinyIpcRequestManager from './TinyIpcRequestManager.mjs';
+import TinyIpcInspectorLog from './TinyIpcInspectorLog.mjs';
 import TinyWindowFrameManager from './TinyWindowFrameManager.mjs';
 
 export {
   transparentOverlayStyle,
   defaultLoadingStyleCreator,
   TinyIpcRequestManager,
+  TinyIpcInspectorLog,
   TinyElectronClient,
   TinyElectronNotification,
   TinyDb,
+  TinyDbRegistry,
   TinyWindowFrameManager,
 };
@@ -1,8 +1,20 @@
+import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import { app, Tray } from 'electron';
-import { TinyDb, TinyElectronNotification, TinyElectronRoot } from '../main/index.mjs';
+import {
+  TinyDb,
+  TinyDbMigrator,
+  TinyDbRegistry,
+  TinyElectronNotification,
+  TinyElectronRoot,
+  TinyFileCipher,
+  TinyIpcInspector,
+  TinyJsonStore,
+  TinyWindowFile,
+} from '../main/index.mjs';
+import { createEnvelope, isEnvelope, nextEnvelopeSeq } from '../global/Envelope.mjs';
 import { RootEvents } from '../global/Events.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -113,6 +125,13 @@ root.on(RootEvents.CreateFirstWindow, () => {
     }
   });
 
+  responder.stream('count-stream', async (_event, { total = 10 } = {}, stream) => {
+    for (let i = 1; i <= total; i++) {
+      if (stream.signal.aborted) break;
+      await stream.write({ index: i, time: Date.now() });
+    }
+  });
+
   instance.loadPath('index.html');
   instance.openDevTools({ mode: 'detach' }); // ou 'bottom', 'right', etc.
 });
@@ -146,3 +165,542 @@ tinyDb.setQuery(async (query, params) => {
   console.log('DB query:', query, params);
   return { result: 'Some result' };
 });
+
+// Async handlers
+responder.handle('async-sum', async (_event, { a, b }) => a + b);
+
+responder.on('falsy-reject', async () => {
+  throw undefined;
+});
+
+// Streams
+responder.stream('fail-stream', async (_event, _payload, stream) => {
+  await stream.write('first');
+  throw new Error('Stream failed');
+});
+
+let cancelledStreams = 0;
+responder.stream('endless-stream', async (_event, _payload, stream) => {
+  try {
+    for (let i = 0; !stream.signal.aborted; i++) await stream.write(i);
+  } finally {
+    if (stream.signal.aborted) cancelledStreams++;
+  }
+});
+
+responder.handle('cancelled-streams', () => cancelledStreams);
+
+// Aborted requests
+let abortedTasks = 0;
+responder.handle(
+  'slow-task',
+  (_event, { ms }, signal) =>
+    new Promise((resolve, reject) => {
+      const timer = setTimeout(() => resolve('done'), ms);
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        abortedTasks++;
+        reject(signal.reason);
+      });
+    }),
+);
+
+responder.handle('aborted-tasks', () => abortedTasks);
+
+// Main to renderer requests
+responder.handle('reverse-check', async () => {
+  const win = root.getWinInstance();
+  const sum = await responder.request(win, 'renderer-sum', { a: 2, b: 3 }, { timeout: 3000 });
+  const failed = await responder.request(win, 'renderer-fail').then(
+    () => null,
+    (err) => err instanceof Error,
+  );
+  const missing = await responder.request(win, 'renderer-missing').then(
+    () => null,
+    (err) => err instanceof Error,
+  );
+  return { sum, failed, missing };
+});
+
+// Checks of the main process (logged after the first window is created)
+const mainChecks = [];
+const mainCheck = (name, fn) => mainChecks.push({ name, fn });
+
+const mainAssert = (value, message) => {
+  if (!value) throw new Error(message);
+};
+
+const expectThrow = async (fn, ErrorClass = Error) => {
+  try {
+    await fn();
+  } catch (err) {
+    if (!(err instanceof ErrorClass)) throw new Error(`Expected a ${ErrorClass.name}.`);
+    return err;
+  }
+  throw new Error('Expected an error.');
+};
+
+root.on(RootEvents.CreateFirstWindow, async () => {
+  for (const { name, fn } of mainChecks) {
+    try {
+      await fn();
+      console.log(`✅ [main] ${name}`);
+    } catch (err) {
+      console.error(`❌ [main] ${name}`, err);
+    }
+  }
+});
+
+// Payload schemas
+const userSchema = {
+  type: 'object',
+  required: ['name'],
+  additionalProperties: false,
+  properties: { name: { type: 'string', minLength: 1 } },
+};
+
+responder.handle('save-user', (_event, user) => ({ saved: user.name }), { schema: userSchema });
+
+mainCheck('invalid schemas are rejected', async () => {
+  await expectThrow(() => responder.setSchema('save-user', { type: 'text' }), TypeError);
+  await expectThrow(() => responder.setSchema('missing-channel', userSchema));
+  mainAssert(responder.getSchema('save-user') === userSchema, 'The schema was replaced.');
+});
+
+// IPC policy
+const deniedChannels = [];
+root.on(RootEvents.IpcAccessDenied, ({ channel }) => deniedChannels.push(channel));
+
+responder.handle('settings-task', () => 'done');
+responder.handle('denied-channels', () => deniedChannels);
+root.getIpcPolicy().setRule('settings-task', { windows: ['settings'] });
+
+mainCheck('invalid policy rules are rejected', async () => {
+  const policy = root.getIpcPolicy();
+  await expectThrow(
+    () => policy.setRule('settings-task', { mainOnly: true, windows: [1] }),
+    TypeError,
+  );
+  await expectThrow(() => policy.setRule('settings-task', { includeMain: true }), TypeError);
+  await expectThrow(() => policy.setRule('', { mainOnly: true }));
+  mainAssert(
+    policy.getRule('settings-task')?.windows?.[0] === 'settings',
+    'The rule was replaced.',
+  );
+});
+
+// Rate limits
+responder.handle('limited-task', () => 'done');
+responder.setRateLimit('limited-task', { capacity: 2, refillPerSecond: 1 });
+responder.handle('busy-task', () => new Promise((resolve) => setTimeout(resolve, 200, 'done')));
+responder.setRateLimit('busy-task', { maxConcurrent: 1 });
+responder.handle('rate-limit-stats', () => responder.getRateLimitStats());
+
+mainCheck('invalid rate limits are rejected', async () => {
+  await expectThrow(() => responder.setRateLimit('limited-task', { capacity: 0 }), TypeError);
+  await expectThrow(
+    () => responder.setRateLimit('limited-task', { refillPerSecond: 1 }),
+    TypeError,
+  );
+  await expectThrow(() => responder.setRateLimit('limited-task', {}), TypeError);
+  mainAssert(responder.getRateLimit('limited-task')?.capacity === 2, 'The limit was replaced.');
+});
+
+// IPC inspector
+const inspector = new TinyIpcInspector({ limit: 100 });
+responder.setInspector(inspector);
+
+responder.handle('inspected-fail', () => {
+  throw new Error('Inspected failure');
+});
+responder.handle('inspector-mirror', () => inspector.setMirror(root.getWinInstance()));
+responder.handle('inspector-errors', () =>
+  inspector.query({ status: 'error' }).map((entry) => entry.channel),
+);
+
+mainCheck('invalid inspector settings are rejected', async () => {
+  await expectThrow(() => new TinyIpcInspector({ limit: 0 }), TypeError);
+  await expectThrow(() => inspector.query('error'), TypeError);
+  await expectThrow(() => inspector.setMirror({}), TypeError);
+  await expectThrow(() => responder.setInspector({}), TypeError);
+});
+
+// Event envelopes
+mainCheck('envelopes keep one sequence per target', async () => {
+  const first = {};
+  const second = {};
+  const seq = nextEnvelopeSeq(first);
+  mainAssert(nextEnvelopeSeq(first) === seq + 1, 'The sequence did not increase.');
+  mainAssert(nextEnvelopeSeq(second) === 1, 'The targets share a sequence.');
+  await expectThrow(() => nextEnvelopeSeq(null), TypeError);
+
+  const envelope = createEnvelope('value', seq, 1);
+  mainAssert(isEnvelope(envelope) && envelope.source === 1, 'Invalid envelope.');
+  mainAssert(
+    !isEnvelope({ value: 'value', time: Date.now() }),
+    'Legacy payload taken as envelope.',
+  );
+  await expectThrow(() => createEnvelope('value', 0), TypeError);
+  await expectThrow(() => createEnvelope('value', 1, 'main'), TypeError);
+});
+
+// Window ports
+let portHelper = null;
+
+responder.handle('port-test-open', async () => {
+  const main = root.getWinInstance();
+  portHelper = root.createWindow({ show: false });
+  root.connectWindows(main, portHelper, 'helper-port');
+  await expectThrow(() => root.connectWindows(main, main, 'self-port'));
+  await expectThrow(() => root.connectWindows(main, portHelper, 'helper-port'));
+  await expectThrow(() => root.connectWindows(main, portHelper, ' '), TypeError);
+  return root.getWindowPortNames();
+});
+
+responder.handle('port-test-close', async () => {
+  const contents = portHelper.getWin().webContents;
+  const destroyed = new Promise((resolve) => contents.once('destroyed', resolve));
+  root.destroyWindow(portHelper.getIndex());
+  portHelper = null;
+  await destroyed;
+  return root.hasWindowPort('helper-port');
+});
+
+// TinyDb transactions
+const txEvents = [];
+const txDb = new TinyDb(responder, 'tx-db', { transactionTimeout: 500 });
+txDb.setRun(async (query, _params, _signal, context) => {
+  if (query === 'FAIL') throw new Error('Statement failed');
+  txEvents.push(`run:${context ? 'tx' : 'direct'}`);
+  return { changes: 1 };
+});
+txDb.setTransaction({
+  begin: () => txEvents.push('begin'),
+  commit: () => txEvents.push('commit'),
+  rollback: () => txEvents.push('rollback'),
+});
+responder.handle('tx-events', () => txEvents.splice(0));
+
+mainCheck('invalid transaction timeouts are rejected', async () => {
+  await expectThrow(() => txDb.setTransactionTimeout(0));
+  await expectThrow(() => txDb.setTransaction({ begin: () => {} }));
+  mainAssert(txDb.getTransactionTimeout() === 500, 'The timeout was replaced.');
+});
+
+// TinyDb named queries
+const strictDb = new TinyDb(responder, 'strict-db', { strict: true });
+strictDb.setGet(async (_query, params) => ({ id: params[0], name: 'Pudding' }));
+strictDb.setTransaction({ begin: () => {}, commit: () => {}, rollback: () => {} });
+strictDb.registerQuery('getUser', {
+  sql: 'SELECT * FROM users WHERE id = ?',
+  method: 'get',
+  params: { type: 'array', items: { type: 'number' }, minLength: 1, maxLength: 1 },
+});
+
+mainCheck('invalid named queries are rejected', async () => {
+  await expectThrow(() => strictDb.registerQuery('getUser', { sql: 'SELECT 1' }));
+  await expectThrow(
+    () => strictDb.registerQuery('badMethod', { sql: 'SELECT 1', method: 'drop' }),
+    TypeError,
+  );
+  await expectThrow(() => strictDb.registerQuery('badSql', { sql: ' ' }), TypeError);
+  mainAssert(strictDb.getQueryNames().join() === 'getUser', 'Unexpected queries.');
+  mainAssert((await strictDb.exec('getUser', [7])).id === 7, 'Wrong row.');
+});
+
+// TinyJsonStore
+const jsonStore = new TinyJsonStore(root.initAppDataSubdir('json-store', 'temp'));
+
+mainCheck('TinyJsonStore rejects slow patterns and reverts transactions', async () => {
+  await jsonStore.drop('notes');
+  await jsonStore.insert('notes', [{ title: 'apple' }, { title: 'a.b' }]);
+  mainAssert((await jsonStore.count('notes', { title: { $regex: '^a\\.' } })) === 1, 'Bad match.');
+  await expectThrow(() => jsonStore.find('notes', { title: { $regex: '(a|a)*b' } }));
+  await expectThrow(() => jsonStore.find('notes', { title: { $regex: '[](a+)+' } }));
+  await expectThrow(() => jsonStore.update('notes', {}, { $unset: 'title' }), TypeError);
+  await expectThrow(() => jsonStore.update('notes', {}, { $set: ['title'] }), TypeError);
+
+  const id = await jsonStore.begin();
+  await expectThrow(() => jsonStore.insert('notes', { title: 'outside' }));
+  await jsonStore.insert('notes', { title: 'inside' }, { transaction: id });
+  await jsonStore.remove('notes', { title: 'apple' }, { transaction: id });
+  await jsonStore.rollback(id);
+  const titles = (await jsonStore.find('notes', {}, { sort: { title: 1 } })).map(
+    (doc) => doc.title,
+  );
+  mainAssert(titles.join() === 'a.b,apple', `Unexpected notes: ${titles}`);
+  await jsonStore.drop('notes');
+});
+
+// TinyDb subscriptions
+const liveRows = [];
+const liveDb = new TinyDb(responder, 'live-db');
+liveDb.setAll(async () => [...liveRows]);
+liveDb.registerQuery('listTodos', { sql: 'SELECT * FROM todos', tables: ['todos'] });
+responder.handle('live-add', (_event, title) => {
+  liveRows.push({ id: liveRows.length + 1, title });
+  return liveDb.notifyChange('todos', { type: 'insert' });
+});
+
+mainCheck('changes of other tables are not sent', async () => {
+  await expectThrow(() => liveDb.notifyChange(''));
+  mainAssert((await liveDb.notifyChange('users')) === 0, 'Unexpected notifications.');
+});
+
+// TinyDb migrations
+let migrationVersion = 0;
+const migrationBackups = root.initAppDataSubdir('db-backups', 'temp');
+const migrationDb = new TinyDb(responder, 'migration-db');
+migrationDb.setRun(async () => ({ changes: 0 }));
+migrationDb.setTransaction({ begin: () => {}, commit: () => {}, rollback: () => {} });
+
+const migrator = new TinyDbMigrator(migrationDb, {
+  root,
+  version: {
+    get: () => migrationVersion,
+    set: (_db, version) => (migrationVersion = version),
+  },
+  // The database file doesn't exist, so the backup is skipped.
+  backup: { file: path.join(migrationBackups, 'missing.db'), dir: migrationBackups },
+});
+
+migrator.add([
+  { version: 1, name: 'create_notes', up: 'CREATE TABLE notes (id INTEGER PRIMARY KEY)' },
+  {
+    version: 2,
+    name: 'broken',
+    up: () => {
+      throw new Error('Broken migration');
+    },
+  },
+]);
+
+mainCheck('failed migrations keep the last applied version', async () => {
+  await expectThrow(() => migrator.add({ version: 1, up: 'SELECT 1' }));
+  await expectThrow(() => migrator.add({ version: 0, up: 'SELECT 1' }), TypeError);
+
+  const failed = new Promise((resolve) => root.once(RootEvents.DbMigrationError, resolve));
+  const err = await expectThrow(() => migrator.migrate());
+  mainAssert(err.message === 'Broken migration', `Unexpected error: ${err.message}`);
+  const event = await failed;
+  mainAssert(event.version === 2 && event.applied.join() === '1', 'Unexpected error event.');
+  mainAssert((await migrator.getVersion()) === 1, 'The version was not saved.');
+  mainAssert((await migrator.getPending())[0]?.name === 'broken', 'Missing pending migration.');
+});
+
+// TinyDb registry
+const dbRegistry = new TinyDbRegistry(root);
+dbRegistry.attach('cache').setGet(async () => ({ cached: true }));
+dbRegistry.attach('settings', { scope: { windows: ['settings'] } }).setGet(async () => ({}));
+
+mainCheck('invalid registry names are rejected', async () => {
+  await expectThrow(() => dbRegistry.attach('cache'));
+  await expectThrow(() => dbRegistry.attach('bad name'), TypeError);
+  await expectThrow(() => dbRegistry.get('missing'));
+  mainAssert(dbRegistry.getScope('settings')?.windows?.join() === 'settings', 'Missing scope.');
+});
+
+// TinyDb cursors
+const cursorDb = new TinyDb(responder, 'cursor-db', { cursorTimeout: 300 });
+cursorDb.setIterate(function* () {
+  for (let id = 1; id <= 25; id++) yield { id };
+});
+cursorDb.setGet(async () => ({ total: 25 }));
+cursorDb.registerQuery('listRows', { sql: 'SELECT * FROM rows' });
+cursorDb.registerQuery('countRows', { sql: 'SELECT COUNT(*) AS total FROM rows', method: 'get' });
+
+mainCheck('invalid cursor timeouts are rejected', async () => {
+  await expectThrow(() => cursorDb.setCursorTimeout(0));
+  mainAssert(cursorDb.getCursorTimeout() === 300, 'The timeout was replaced.');
+});
+
+// TinyDb slow query log
+const slowQueries = [];
+const slowDb = new TinyDb(responder, 'slow-db', { slowQueryThreshold: 50 });
+slowDb.setGet(
+  (query) => new Promise((resolve) => setTimeout(resolve, query === 'SLOW' ? 100 : 0, {})),
+);
+slowDb.setSlowQueryLogger((entry) => slowQueries.push(entry));
+responder.handle('slow-log', () => ({ entries: slowQueries.splice(0), stats: slowDb.getStats() }));
+
+mainCheck('invalid slow query settings are rejected', async () => {
+  await expectThrow(() => slowDb.setSlowQueryThreshold(-1));
+  await expectThrow(() => slowDb.setSlowQueryLogger(null));
+  await expectThrow(() => slowDb.setRedactParams('yes'));
+  mainAssert(slowDb.getSlowQueryThreshold() === 50, 'The threshold was replaced.');
+});
+
+// TinyFileCipher
+mainCheck('TinyFileCipher rejects plain, tampered and unknown data', async () => {
+  const folder = root.initAppDataSubdir('cipher', 'temp');
+  const file = path.join(folder, 'secret.bin');
+  const plainFile = path.join(folder, 'plain.json');
+  const cipher = new TinyFileCipher(
+    TinyFileCipher.createKeyProvider({ old: 'old secret', current: 'new secret' }, 'current'),
+  );
+
+  await cipher.writeFile(file, 'pudding');
+  mainAssert((await cipher.readFile(file)).toString() === 'pudding', 'Wrong roundtrip.');
+  mainAssert(!(await cipher.rotateFile(file)), 'The file was rotated twice.');
+
+  const data = cipher.encrypt('pudding');
+  data[data.length - 1] ^= 1;
+  await expectThrow(() => cipher.decrypt(data));
+
+  const other = new TinyFileCipher(TinyFileCipher.createKeyProvider({ other: 'secret' }, 'other'));
+  await expectThrow(() => other.decrypt(cipher.encrypt('pudding')));
+
+  fs.writeFileSync(plainFile, '{}');
+  await expectThrow(() => cipher.readFile(plainFile));
+  const plainCipher = new TinyFileCipher(
+    TinyFileCipher.createKeyProvider({ key: 'secret' }, 'key'),
+    {
+      allowPlaintext: true,
+    },
+  );
+  mainAssert(await plainCipher.rotateFile(plainFile), 'The plain file was not encrypted.');
+  mainAssert(TinyFileCipher.isEncrypted(fs.readFileSync(plainFile)), 'The file is still plain.');
+  await expectThrow(
+    () => TinyFileCipher.createKeyProvider({ key: 'secret' }, 'missing'),
+    TypeError,
+  );
+});
+
+// TinyDb write queue
+let queueOnline = false;
+const queueFile = path.join(root.initAppDataSubdir('write-queue', 'temp'), 'writes.json');
+fs.rmSync(queueFile, { force: true });
+
+const queueDb = new TinyDb(responder, 'queue-db');
+queueDb.setRun(async () => {
+  if (!queueOnline) throw new Error('Database offline');
+  return { changes: 1 };
+});
+const queueReady = queueDb.enableWriteQueue({ file: queueFile, retryDelay: 200, root });
+
+responder.handle('queue-online', () => {
+  queueOnline = true;
+  queueDb.retryQueuedWrites();
+});
+
+mainCheck('the write queue is enabled once', async () => {
+  mainAssert((await queueReady) === 0, 'Unexpected writes loaded from the last run.');
+  await expectThrow(() => queueDb.enableWriteQueue({ file: queueFile }));
+  mainAssert(queueDb.isWriteQueueEnabled(), 'The write queue was disabled.');
+});
+
+// Window state restore
+const windowStates = root.initAppDataSubdir('window-states', 'temp');
+
+mainCheck('off-screen windows are restored inside a display', async () => {
+  const file = path.join(windowStates, 'off-screen.json');
+  new TinyWindowFile().saveFile(file, {
+    bounds: { x: -100000, y: -100000, width: 100000, height: 500 },
+  });
+
+  const winFile = new TinyWindowFile();
+  winFile.loadFile(file);
+  const { bounds } = winFile.getRestoreData(file);
+  const { workArea } = winFile.getDisplayInfo(bounds);
+  mainAssert(
+    bounds.x >= workArea.x &&
+      bounds.y >= workArea.y &&
+      bounds.x + bounds.width <= workArea.x + workArea.width &&
+      bounds.y + bounds.height <= workArea.y + workArea.height,
+    'The window is outside of its display.',
+  );
+  await expectThrow(() => winFile.getRestoreData('missing'));
+  await expectThrow(() => winFile.getDisplayInfo({ width: 10 }), TypeError);
+});
+
+// Debounced window state writes
+mainCheck('window states are written after the save delay', async () => {
+  const file = path.join(windowStates, 'tracked.json');
+  const readWidth = () => JSON.parse(fs.readFileSync(file, 'utf8')).bounds.width;
+  fs.rmSync(file, { force: true });
+
+  const winFile = new TinyWindowFile();
+  await expectThrow(() => winFile.setSaveDelay(-1), TypeError);
+  winFile.setSaveDelay(10000);
+
+  const helper = root.createWindow({ show: false });
+  const win = helper.getWin();
+  const untrack = winFile.track(file, win);
+  win.setBounds({ x: 100, y: 100, width: 400, height: 300 });
+  // Hidden windows don't always emit their events, so the change is reported by hand.
+  win.emit('resize');
+  mainAssert(winFile.hasPendingWrites() && !fs.existsSync(file), 'The state was written at once.');
+  await winFile.flush();
+  mainAssert(!winFile.hasPendingWrites() && readWidth() === 400, 'The state was not flushed.');
+
+  // A direct save during a delayed write lands after it.
+  win.emit('resize');
+  const flushing = winFile.flush();
+  winFile.saveFile(file, { bounds: { width: 500, height: 300 } });
+  await flushing;
+  await winFile.flush();
+  mainAssert(readWidth() === 500, 'The delayed write replaced the direct save.');
+
+  untrack();
+  root.destroyWindow(helper.getIndex());
+});
+
+// Window state store
+mainCheck('legacy window files are imported into the store', async () => {
+  const storeFile = path.join(windowStates, 'window-state.json');
+  const legacyFile = path.join(windowStates, 'legacy-settings.json');
+  fs.rmSync(storeFile, { force: true });
+  fs.writeFileSync(legacyFile, JSON.stringify({ bounds: { width: 640, height: 480 } }));
+
+  const store = new TinyWindowFile();
+  const imported = store.openStore(storeFile, { legacyFiles: { settings: legacyFile } });
+  mainAssert(imported.join() === 'settings' && !fs.existsSync(legacyFile), 'Not imported.');
+  mainAssert(store.getBounds('settings').width === 640, 'Wrong imported bounds.');
+  await expectThrow(() => store.openStore(storeFile));
+
+  const saved = JSON.parse(fs.readFileSync(storeFile, 'utf8'));
+  fs.writeFileSync(storeFile, JSON.stringify({ ...saved, version: saved.version + 1 }));
+  await expectThrow(() => new TinyWindowFile().openStore(storeFile));
+  fs.rmSync(storeFile, { force: true });
+});
+
+// Window keys and roles
+mainCheck('window keys and roles are validated', async () => {
+  await expectThrow(() => root.createWindow({ role: 'singleton', show: false }));
+  await expectThrow(() => root.createWindow({ role: 'popup', show: false }), TypeError);
+  await expectThrow(() => root.createWindow({ key: ' ', show: false }), TypeError);
+
+  const about = root.createWindow({ key: 'about', role: 'singleton', show: false });
+  mainAssert(root.createWindow({ key: 'about', role: 'singleton' }) === about, 'Not a singleton.');
+  mainAssert(about.getRole() === 'singleton' && root.getWinInstance('about') === about, 'Bad key.');
+
+  root.createWindow({ key: 'logs', role: 'utility', show: false });
+  await expectThrow(() => root.createWindow({ key: 'logs', show: false }));
+  mainAssert(root.getWinKeys().includes('logs'), 'Missing window key.');
+
+  root.destroyWindow('about');
+  root.destroyWindow('logs');
+  mainAssert(!root.getWinKeys().includes('about'), 'The window key was kept.');
+});
+
+// Child and modal windows
+mainCheck('dialogs are modal children that return a result', async () => {
+  const parent = root.getWinInstance();
+  await expectThrow(() => root.createWindow({ modal: true, show: false }));
+
+  const result = root.openDialog(parent, 'index.html', { modal: false, show: false });
+  const dialog = root.getChildWindows(parent).at(-1);
+  mainAssert(
+    dialog?.getWin().isModal() && dialog.getRole() === 'modal',
+    'The dialog is not modal.',
+  );
+  mainAssert(root.submitWindowResult(dialog, 'confirmed'), 'The result was not submitted.');
+  mainAssert(!root.submitWindowResult(dialog, 'again'), 'The result was submitted twice.');
+  mainAssert((await result) === 'confirmed', 'Wrong dialog result.');
+
+  const child = root.createWindow({ parent, show: false });
+  const closed = root.waitWindowResult(child);
+  root.destroyWindow(child.getIndex());
+  mainAssert((await closed) === null, 'Closed windows must resolve with null.');
+  await expectThrow(() => root.waitWindowResult(child));
+});
@@ -7,7 +7,9 @@ const { contextBridge } = require('electron');
 const {
   TinyElectronClient,
   TinyDb,
+  TinyDbRegistry,
   TinyElectronNotification,
+  TinyIpcInspectorLog,
   TinyWindowFrameManager,
 } = require('../preload/index.cjs');
 const { RootEvents } = require('../global/Events.cjs');
@@ -56,6 +58,12 @@ const tinyNotiActions = (tinyNoti) => {
 
 contextBridge.exposeInMainWorld('api', {
   getUser: () => manager.send('get-user-data', { userId: 123 }, { timeout: 3000 }),
+  countStream: async (total) => {
+    const chunks = [];
+    for await (const chunk of manager.stream('count-stream', { total }, { highWaterMark: 4 }))
+      chunks.push(chunk);
+    return chunks;
+  },
   notiTest: async () => {
     const tinyNoti = await notifications.create({
       icon: path.join(__dirname, './icons/favicon.png'),
@@ -115,3 +123,284 @@ client.on(RootEvents.Ready, () => {
   win.addMenuButton('Home', { onClick: () => console.log('Home') });
   win.addMenuButton('Settings', { onClick: () => console.log('Settings') });
 });
+
+// Checks (logged in the DevTools console when the window is ready)
+const checks = [];
+const check = (name, fn) => checks.push({ name, fn });
+
+const assert = (value, message) => {
+  if (!value) throw new Error(message);
+};
+
+const expectError = async (promise, code) => {
+  try {
+    await promise;
+  } catch (err) {
+    if (code && err?.code !== code) throw new Error(`Expected "${code}", got "${err?.code}".`);
+    return err;
+  }
+  throw new Error('Expected an error.');
+};
+
+let checksStarted = false;
+client.on(RootEvents.Ready, async () => {
+  if (checksStarted) return;
+  checksStarted = true;
+  for (const { name, fn } of checks) {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+    } catch (err) {
+      console.error(`❌ ${name}`, err);
+    }
+  }
+});
+
+check('handle() resolves async results', async () => {
+  assert((await manager.send('async-sum', { a: 1, b: 2 })) === 3, 'Wrong sum.');
+});
+
+check('on() rejects falsy reasons', async () => {
+  const err = await expectError(manager.send('falsy-reject', null, { timeout: 3000 }));
+  assert(err instanceof Error, 'Expected an Error instance.');
+});
+
+check('stream() rejects after the chunks sent before an error', async () => {
+  const chunks = [];
+  const err = await expectError(
+    (async () => {
+      for await (const chunk of manager.stream('fail-stream')) chunks.push(chunk);
+    })(),
+  );
+  assert(chunks.length === 1 && chunks[0] === 'first', 'Expected one chunk.');
+  assert(err.message === 'Stream failed', 'Wrong stream error.');
+});
+
+check('breaking a stream loop cancels the main handler', async () => {
+  const before = await manager.send('cancelled-streams');
+  for await (const index of manager.stream('endless-stream', null, { highWaterMark: 2 }))
+    if (index >= 3) break;
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  assert((await manager.send('cancelled-streams')) === before + 1, 'The stream was not cancelled.');
+});
+
+check('aborted requests reject and abort the main handler', async () => {
+  const before = await manager.send('aborted-tasks');
+  const controller = new AbortController();
+  const task = manager.send('slow-task', { ms: 5000 }, { signal: controller.signal });
+  setTimeout(() => controller.abort(), 50);
+  const err = await expectError(task);
+  assert(err.name === 'AbortError', 'Expected an AbortError.');
+
+  await expectError(manager.send('slow-task', { ms: 5000 }, { timeout: 50 }));
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  assert(
+    (await manager.send('aborted-tasks')) === before + 2,
+    'The main handlers were not aborted.',
+  );
+});
+
+check('an aborted signal rejects without sending the request', async () => {
+  const before = await manager.send('aborted-tasks');
+  await expectError(
+    manager.send('slow-task', { ms: 5000 }, { signal: AbortSignal.abort(new Error('Cancelled')) }),
+  );
+  assert((await manager.send('aborted-tasks')) === before, 'The request was sent.');
+});
+
+manager.handle('renderer-sum', ({ a, b }) => a + b);
+manager.handle('renderer-fail', () => Promise.reject(0));
+
+check('the main process receives renderer results and errors', async () => {
+  const { sum, failed, missing } = await manager.send('reverse-check');
+  assert(sum === 5, 'Wrong sum.');
+  assert(failed === true, 'A falsy rejection was not sent as an error.');
+  assert(missing === true, 'A missing handler was not sent as an error.');
+});
+
+check('invalid payloads are rejected by the main process', async () => {
+  const err = await expectError(
+    manager.send('save-user', { name: '', admin: true }),
+    'EVALIDATION',
+  );
+  assert(err.data.issues.length === 2, 'Expected two issues.');
+  assert((await manager.send('save-user', { name: 'Pudding' })).saved === 'Pudding', 'Not saved.');
+});
+
+check('invalid payloads are rejected before leaving the renderer', async () => {
+  manager.setSchema('save-user-local', { type: 'object', required: ['name'] });
+  await expectError(manager.send('save-user-local', {}), 'EVALIDATION');
+  manager.removeSchema('save-user-local');
+});
+
+check('denied channels answer with an access error', async () => {
+  const err = await expectError(manager.send('settings-task'), 'EACCES');
+  assert(err.name === 'IpcAccessError', 'Unexpected error name.');
+  assert((await manager.send('denied-channels')).includes('settings-task'), 'No event emitted.');
+});
+
+check('requests over the rate limit are rejected', async () => {
+  const results = await Promise.allSettled([
+    manager.send('limited-task'),
+    manager.send('limited-task'),
+    manager.send('limited-task'),
+  ]);
+  const rejected = results.filter((result) => result.status === 'rejected');
+  assert(rejected.length === 1, 'Expected one rejected request.');
+  await expectError(Promise.reject(rejected[0].reason), 'ERATELIMIT');
+  assert(rejected[0].reason.data.retryAfter > 0, 'Expected a retry delay.');
+});
+
+check('requests over the concurrency limit are rejected', async () => {
+  const first = manager.send('busy-task');
+  const err = await expectError(manager.send('busy-task'), 'ERATELIMIT');
+  assert(err.data.reason === 'concurrency', 'Unexpected limit reason.');
+  assert((await first) === 'done', 'The first request failed.');
+  const stats = await manager.send('rate-limit-stats');
+  assert(stats['busy-task'].concurrencyLimited === 1, 'Unexpected stats.');
+});
+
+check('failed requests are recorded by the inspector', async () => {
+  const log = new TinyIpcInspectorLog();
+  assert(log.start() && !log.start(), 'The log was started twice.');
+  await manager.send('inspector-mirror');
+  await expectError(manager.send('inspected-fail'));
+  assert((await manager.send('inspector-errors')).includes('inspected-fail'), 'Not recorded.');
+  const entry = log.getEntries().find((item) => item.channel === 'inspected-fail');
+  assert(entry?.error?.message === 'Inspected failure', 'Not mirrored.');
+  log.stop();
+});
+
+check('window ports are closed with their windows', async () => {
+  const waiting = client.waitWindowPort('helper-port');
+  assert((await manager.send('port-test-open')).includes('helper-port'), 'Port not listed.');
+  const connection = await waiting;
+  assert(connection.peer.isMain === false, 'Unexpected peer.');
+
+  const closed = new Promise((resolve) => client.once(RootEvents.WindowPortClosed, resolve));
+  assert((await manager.send('port-test-close')) === false, 'Port still open in main.');
+  assert((await closed) === 'helper-port' && !client.hasWindowPort('helper-port'), 'Not closed.');
+  assert((await client.closeWindowPort('helper-port')) === false, 'Closed twice.');
+});
+
+const txDb = new TinyDb(manager, 'tx-db');
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+check('failed batches are rolled back', async () => {
+  await manager.send('tx-events');
+  await expectError(
+    txDb.transaction([
+      { method: 'run', query: 'INSERT' },
+      { method: 'run', query: 'FAIL' },
+    ]),
+  );
+  const events = await manager.send('tx-events');
+  assert(events.join() === 'begin,run:tx,rollback', `Unexpected events: ${events}`);
+});
+
+check('idle window transactions are rolled back', async () => {
+  await txDb.beginTransaction();
+  await expectError(txDb.beginTransaction());
+  await txDb.run('INSERT', []);
+  await wait(800);
+  await expectError(txDb.commit());
+  assert(!txDb.inTransaction(), 'The transaction is still open.');
+  const events = await manager.send('tx-events');
+  assert(events.join() === 'begin,run:tx,rollback', `Unexpected events: ${events}`);
+});
+
+const strictDb = new TinyDb(manager, 'strict-db');
+
+check('strict databases only run valid named queries', async () => {
+  assert((await strictDb.exec('getUser', [1])).name === 'Pudding', 'Wrong row.');
+  await expectError(strictDb.get('SELECT * FROM users', []), 'ERAWQUERY');
+  await expectError(strictDb.exec('getUsers', []), 'EUNKNOWNQUERY');
+  await expectError(strictDb.exec('getUser', ['1']), 'EVALIDATION');
+  await expectError(
+    strictDb.transaction([{ method: 'run', query: 'DELETE FROM users' }]),
+    'ERAWQUERY',
+  );
+});
+
+const liveDb = new TinyDb(manager, 'live-db');
+
+check('subscriptions receive the changes of their tables', async () => {
+  let resolveQuery;
+  let resolveTable;
+  const queryChange = new Promise((resolve) => (resolveQuery = resolve));
+  const tableChange = new Promise((resolve) => (resolveTable = resolve));
+  const queryId = await liveDb.subscribe({ query: 'listTodos' }, resolveQuery);
+  const tableId = await liveDb.subscribe({ table: 'todos' }, resolveTable);
+
+  assert((await manager.send('live-add', 'Pudding')) === 2, 'Expected two notifications.');
+  const { result } = await queryChange;
+  assert(result.at(-1).title === 'Pudding', 'Stale query result.');
+  assert((await tableChange).change.type === 'insert', 'Missing change data.');
+
+  assert(await liveDb.unsubscribe(queryId), 'Not unsubscribed.');
+  assert(!(await liveDb.unsubscribe(queryId)), 'Unsubscribed twice.');
+  await liveDb.unsubscribe(tableId);
+  await expectError(
+    liveDb.subscribe({ query: 'listUsers' }, () => {}),
+    'EUNKNOWNQUERY',
+  );
+  await expectError(liveDb.subscribe({}, () => {}));
+});
+
+const dbRegistry = new TinyDbRegistry(manager);
+
+check('registry databases follow their scopes', async () => {
+  assert((await dbRegistry.use('cache').get('SELECT 1', [])).cached, 'Wrong row.');
+  await expectError(dbRegistry.use('settings').get('SELECT 1', []), 'EACCES');
+  assert(dbRegistry.use('cache') === dbRegistry.use('cache'), 'New handle for the same name.');
+});
+
+const cursorDb = new TinyDb(manager, 'cursor-db');
+
+check('cursors read every row page by page', async () => {
+  const cursor = await cursorDb.openCursor('SELECT * FROM rows', [], { pageSize: 10 });
+  const sizes = [];
+  let page;
+  do {
+    page = await cursor.next();
+    sizes.push(page.rows.length);
+  } while (!page.done);
+  assert(sizes.join() === '10,10,5', `Unexpected pages: ${sizes}`);
+  assert(!(await cursor.close()), 'Closed after the last page.');
+});
+
+check('cursors of other methods and idle cursors are rejected', async () => {
+  await expectError(cursorDb.execCursor('countRows'), 'ECURSOR');
+  const cursor = await cursorDb.execCursor('listRows', [], { pageSize: 5 });
+  assert((await cursor.next()).rows[0].id === 1, 'Wrong first row.');
+  await wait(500);
+  await expectError(cursor.next(), 'ECURSOR');
+});
+
+const slowDb = new TinyDb(manager, 'slow-db');
+
+check('slow queries are logged with redacted params', async () => {
+  await slowDb.get('FAST', ['secret']);
+  await slowDb.get('SLOW', ['secret']);
+  const { entries, stats } = await manager.send('slow-log');
+  assert(entries.length === 1 && entries[0].query === 'SLOW', 'Unexpected slow queries.');
+  assert(entries[0].params === '[REDACTED]', 'The params were logged.');
+  assert(stats.count === 2 && stats.slow === 1, 'Unexpected stats.');
+});
+
+const queueDb = new TinyDb(manager, 'queue-db');
+
+check('failed writes wait in the queue until they are committed', async () => {
+  await expectError(queueDb.queueRun('INSERT', [], { onStatus: 'committed' }));
+  let onCommitted;
+  const committed = new Promise((resolve) => (onCommitted = resolve));
+  const receipt = await queueDb.queueRun('INSERT', [1], {
+    onStatus: ({ status }) => status === 'committed' && onCommitted(),
+  });
+  assert(receipt.status === 'queued', 'The write was not queued.');
+  assert(receipt.error?.message === 'Database offline', 'Missing first error.');
+  assert((await queueDb.getQueuedWrites()).length === 1, 'The write is not in the queue.');
+
+  await manager.send('queue-online');
+  await committed;
+});